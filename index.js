@@ -1,9 +1,9 @@
-const { Client, GatewayIntentBits, SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Client, GatewayIntentBits, SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder, GuildScheduledEventEntityType, GuildScheduledEventPrivacyLevel, GuildScheduledEventStatus, ThreadAutoArchiveDuration } = require('discord.js');
 const cron = require('node-cron');
 const { Pool, neonConfig } = require('@neondatabase/serverless');
 const { drizzle } = require('drizzle-orm/neon-serverless');
-const { eq, and, lt, desc } = require('drizzle-orm');
-const { pgTable, text, timestamp, integer, json, boolean } = require('drizzle-orm/pg-core');
+const { eq, and, lt, desc, inArray, sql, count } = require('drizzle-orm');
+const { pgTable, text, timestamp, integer, json, boolean, primaryKey } = require('drizzle-orm/pg-core');
 const ws = require('ws');
 
 // Configure Neon serverless
@@ -101,12 +101,43 @@ const lfgSessions = pgTable('lfg_sessions', {
     createdAt: timestamp('created_at').notNull().defaultNow(),
     updatedAt: timestamp('updated_at').notNull().defaultNow(),
     expiresAt: timestamp('expires_at').notNull(),
+    scheduledStart: timestamp('scheduled_start'),
+    reminderSent: boolean('reminder_sent').notNull().default(false),
+    waitlist: json('waitlist').notNull().default([]),
+    minRank: text('min_rank'),
+    maxRank: text('max_rank'),
+    region: text('region'),
+    platform: text('platform'),
+    locked: boolean('locked').notNull().default(false),
+    kickedPlayers: json('kicked_players').notNull().default([]),
+    visibility: text('visibility').notNull().default('public'),
+    inviteCode: text('invite_code'),
+    invitedPlayers: json('invited_players').notNull().default([]),
+    confirmationWindow: integer('confirmation_window'),
+    minConfirmed: integer('min_confirmed'),
+    customs: json('customs'),
+    filledAt: timestamp('filled_at'),
+    startedAt: timestamp('started_at'),
+    scheduledEventId: text('scheduled_event_id'),
+    voiceLockedLimit: integer('voice_locked_limit'),
+    voicePresence: json('voice_presence').notNull().default({}),
+    noShowChecked: boolean('no_show_checked').notNull().default(false),
+    threadId: text('thread_id'),
+    spectatorSlots: integer('spectator_slots').notNull().default(0),
+    spectators: json('spectators').notNull().default([]),
     isActive: boolean('is_active').notNull().default(true)
 });
 
 const guildSettings = pgTable('guild_settings', {
     guildId: text('guild_id').primaryKey(),
     lfgChannelId: text('lfg_channel_id'),
+    sessionLifetime: integer('session_lifetime'),
+    confirmationWindow: integer('confirmation_window'),
+    minReliability: integer('min_reliability'),
+    noShowCooldown: integer('no_show_cooldown'),
+    reviewChannelId: text('review_channel_id'),
+    noShowGrace: integer('no_show_grace'),
+    sessionThreads: boolean('session_threads'),
     createdAt: timestamp('created_at').notNull().defaultNow(),
     updatedAt: timestamp('updated_at').notNull().defaultNow()
 });
@@ -118,8 +149,149 @@ const userSessions = pgTable('user_sessions', {
     updatedAt: timestamp('updated_at').notNull().defaultNow()
 });
 
+const userPreferences = pgTable('user_preferences', {
+    userId: text('user_id').primaryKey(),
+    region: text('region'),
+    platform: text('platform'),
+    quietStart: integer('quiet_start'),
+    quietEnd: integer('quiet_end'),
+    timezone: text('timezone'), // IANA timezone for quiet hours, null = server time
+    notifyCap: integer('notify_cap'),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+});
+
+const matchmakingQueue = pgTable('matchmaking_queue', {
+    userId: text('user_id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    gamemode: text('gamemode').notNull(),
+    partySize: integer('party_size'),
+    joinedAt: timestamp('joined_at').notNull().defaultNow()
+});
+
+const gameCatalog = pgTable('game_catalog', {
+    guildId: text('guild_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    name: text('name').notNull(),
+    emoji: text('emoji'),
+    description: text('description'),
+    modes: json('modes').notNull().default([]),
+    ranks: json('ranks').notNull().default([]),
+    ranksSeeded: boolean('ranks_seeded').notNull().default(false), // Default ladders applied (or staff-managed) once
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.gameKey] })
+]);
+
+const playerRatings = pgTable('player_ratings', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    rating: integer('rating').notNull(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId, table.gameKey] })
+]);
+
+const playerReliability = pgTable('player_reliability', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    confirmations: integer('confirmations').notNull().default(0),
+    declines: integer('declines').notNull().default(0),
+    timeouts: integer('timeouts').notNull().default(0),
+    earlyLeaves: integer('early_leaves').notNull().default(0),
+    noShowStreak: integer('no_show_streak').notNull().default(0),
+    cooldownUntil: timestamp('cooldown_until'),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId] })
+]);
+
+const commendations = pgTable('commendations', {
+    guildId: text('guild_id').notNull(),
+    sessionId: text('session_id').notNull(),
+    fromUserId: text('from_user_id').notNull(),
+    toUserId: text('to_user_id').notNull(),
+    kind: text('kind').notNull(),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.sessionId, table.fromUserId, table.toUserId, table.kind] })
+]);
+
+const playerReports = pgTable('player_reports', {
+    id: text('id').primaryKey(), // sessionId:reporterId:reportedId - one report per teammate per session
+    guildId: text('guild_id').notNull(),
+    sessionId: text('session_id').notNull(),
+    reporterId: text('reporter_id').notNull(),
+    reportedId: text('reported_id').notNull(),
+    reason: text('reason').notNull(),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+});
+
+const playerProfilesTable = pgTable('player_profiles', {
+    userId: text('user_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    ign: text('ign').notNull(),
+    rank: text('rank'),
+    mains: text('mains'),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.userId, table.gameKey] })
+]);
+
+// Empty gamemode means every mode of the game; via is 'dm' or 'role'
+const notifySubscriptions = pgTable('notify_subscriptions', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    gameName: text('game_name').notNull(),
+    gamemode: text('gamemode').notNull().default(''),
+    via: text('via').notNull().default('dm'),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId, table.gameKey, table.gamemode] })
+]);
+
+// Staff-defined sessions posted on a cron schedule by the host
+const recurringSessions = pgTable('recurring_sessions', {
+    id: text('id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    hostId: text('host_id').notNull(),
+    createdBy: text('created_by').notNull(),
+    gameKey: text('game_key').notNull(),
+    gameName: text('game_name').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playersNeeded: integer('players_needed').notNull(),
+    info: text('info'),
+    cron: text('cron').notNull(),
+    paused: boolean('paused').notNull().default(false),
+    lastRunAt: timestamp('last_run_at'),
+    lastMissedAt: timestamp('last_missed_at'), // Latest run missed while the bot was offline, already reported
+    timezone: text('timezone'), // IANA timezone the cron runs in, null = server time
+    createdAt: timestamp('created_at').notNull().defaultNow()
+});
+
+// One row per finished session; outcome is one of SESSION_OUTCOMES
+const sessionHistory = pgTable('session_history', {
+    sessionId: text('session_id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    creatorId: text('creator_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    players: json('players').notNull().default([]),
+    outcome: text('outcome').notNull(),
+    createdAt: timestamp('created_at').notNull(),
+    filledAt: timestamp('filled_at'),
+    startedAt: timestamp('started_at'),
+    endedAt: timestamp('ended_at').notNull().defaultNow()
+});
+
 const db = drizzle(pool, {
-    schema: { lfgSessions, guildSettings, userSessions }
+    schema: { lfgSessions, guildSettings, userSessions, gameCatalog, userPreferences, matchmakingQueue, playerRatings, sessionHistory, playerReliability, commendations, playerReports, playerProfilesTable }
 });
 
 // Auto-create tables on startup for deployment environments
@@ -151,19 +323,251 @@ async function ensureDatabaseTables() {
                 created_at TIMESTAMP NOT NULL DEFAULT NOW(),
                 updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
                 expires_at TIMESTAMP NOT NULL,
+                scheduled_start TIMESTAMP,
+                reminder_sent BOOLEAN NOT NULL DEFAULT false,
+                waitlist JSON NOT NULL DEFAULT '[]',
+                min_rank TEXT,
+                max_rank TEXT,
+                region TEXT,
+                platform TEXT,
+                locked BOOLEAN NOT NULL DEFAULT false,
+                kicked_players JSON NOT NULL DEFAULT '[]',
+                visibility TEXT NOT NULL DEFAULT 'public',
+                invite_code TEXT,
+                invited_players JSON NOT NULL DEFAULT '[]',
+                confirmation_window INTEGER,
+                min_confirmed INTEGER,
+                customs JSON,
+                filled_at TIMESTAMP,
+                started_at TIMESTAMP,
                 is_active BOOLEAN NOT NULL DEFAULT true
             );
         `);
 
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS game_catalog (
+                guild_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                name TEXT NOT NULL,
+                emoji TEXT,
+                description TEXT,
+                modes JSON NOT NULL DEFAULT '[]',
+                ranks JSON NOT NULL DEFAULT '[]',
+                ranks_seeded BOOLEAN NOT NULL DEFAULT false,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, game_key)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS user_preferences (
+                user_id TEXT PRIMARY KEY,
+                region TEXT,
+                platform TEXT,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        await pool.query(`
+            ALTER TABLE user_preferences
+                ADD COLUMN IF NOT EXISTS quiet_start INTEGER,
+                ADD COLUMN IF NOT EXISTS quiet_end INTEGER,
+                ADD COLUMN IF NOT EXISTS timezone TEXT,
+                ADD COLUMN IF NOT EXISTS notify_cap INTEGER;
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS recurring_sessions (
+                id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                host_id TEXT NOT NULL,
+                created_by TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                game_name TEXT NOT NULL,
+                gamemode TEXT NOT NULL,
+                players_needed INTEGER NOT NULL,
+                info TEXT,
+                cron TEXT NOT NULL,
+                paused BOOLEAN NOT NULL DEFAULT FALSE,
+                last_run_at TIMESTAMP,
+                last_missed_at TIMESTAMP,
+                timezone TEXT,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        await pool.query(`
+            ALTER TABLE recurring_sessions
+                ADD COLUMN IF NOT EXISTS last_missed_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS timezone TEXT;
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS notify_subscriptions (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                game_name TEXT NOT NULL,
+                gamemode TEXT NOT NULL DEFAULT '',
+                via TEXT NOT NULL DEFAULT 'dm',
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, user_id, game_key, gamemode)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS matchmaking_queue (
+                user_id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                gamemode TEXT NOT NULL,
+                party_size INTEGER,
+                joined_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS player_ratings (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                rating INTEGER NOT NULL,
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, user_id, game_key)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS player_reliability (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                confirmations INTEGER NOT NULL DEFAULT 0,
+                declines INTEGER NOT NULL DEFAULT 0,
+                timeouts INTEGER NOT NULL DEFAULT 0,
+                early_leaves INTEGER NOT NULL DEFAULT 0,
+                no_show_streak INTEGER NOT NULL DEFAULT 0,
+                cooldown_until TIMESTAMP,
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, user_id)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS player_profiles (
+                user_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                ign TEXT NOT NULL,
+                rank TEXT,
+                mains TEXT,
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (user_id, game_key)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS commendations (
+                guild_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                from_user_id TEXT NOT NULL,
+                to_user_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (session_id, from_user_id, to_user_id, kind)
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS player_reports (
+                id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                reporter_id TEXT NOT NULL,
+                reported_id TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS session_history (
+                session_id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                creator_id TEXT NOT NULL,
+                game TEXT NOT NULL,
+                gamemode TEXT NOT NULL,
+                players JSON NOT NULL DEFAULT '[]',
+                outcome TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL,
+                filled_at TIMESTAMP,
+                started_at TIMESTAMP,
+                ended_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+
+        // Add columns introduced after the first release to existing deployments
+        await pool.query(`
+            ALTER TABLE lfg_sessions
+                ADD COLUMN IF NOT EXISTS scheduled_start TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS reminder_sent BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS waitlist JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS min_rank TEXT,
+                ADD COLUMN IF NOT EXISTS max_rank TEXT,
+                ADD COLUMN IF NOT EXISTS region TEXT,
+                ADD COLUMN IF NOT EXISTS platform TEXT,
+                ADD COLUMN IF NOT EXISTS locked BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS kicked_players JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public',
+                ADD COLUMN IF NOT EXISTS invite_code TEXT,
+                ADD COLUMN IF NOT EXISTS invited_players JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS confirmation_window INTEGER,
+                ADD COLUMN IF NOT EXISTS min_confirmed INTEGER,
+                ADD COLUMN IF NOT EXISTS customs JSON,
+                ADD COLUMN IF NOT EXISTS filled_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS scheduled_event_id TEXT,
+                ADD COLUMN IF NOT EXISTS voice_locked_limit INTEGER,
+                ADD COLUMN IF NOT EXISTS voice_presence JSON NOT NULL DEFAULT '{}',
+                ADD COLUMN IF NOT EXISTS no_show_checked BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS thread_id TEXT,
+                ADD COLUMN IF NOT EXISTS spectator_slots INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS spectators JSON NOT NULL DEFAULT '[]';
+        `);
+
+        await pool.query(`
+            ALTER TABLE game_catalog
+                ADD COLUMN IF NOT EXISTS ranks JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS ranks_seeded BOOLEAN NOT NULL DEFAULT false;
+        `);
+
         await pool.query(`
             CREATE TABLE IF NOT EXISTS guild_settings (
                 guild_id TEXT PRIMARY KEY,
                 lfg_channel_id TEXT,
+                session_lifetime INTEGER,
+                confirmation_window INTEGER,
+                min_reliability INTEGER,
+                no_show_cooldown INTEGER,
+                review_channel_id TEXT,
                 created_at TIMESTAMP NOT NULL DEFAULT NOW(),
                 updated_at TIMESTAMP NOT NULL DEFAULT NOW()
             );
         `);
 
+        await pool.query(`
+            ALTER TABLE guild_settings
+                ADD COLUMN IF NOT EXISTS session_lifetime INTEGER,
+                ADD COLUMN IF NOT EXISTS confirmation_window INTEGER,
+                ADD COLUMN IF NOT EXISTS min_reliability INTEGER,
+                ADD COLUMN IF NOT EXISTS no_show_cooldown INTEGER,
+                ADD COLUMN IF NOT EXISTS review_channel_id TEXT,
+                ADD COLUMN IF NOT EXISTS no_show_grace INTEGER,
+                ADD COLUMN IF NOT EXISTS session_threads BOOLEAN;
+        `);
+
         await pool.query(`
             CREATE TABLE IF NOT EXISTS user_sessions (
                 user_id TEXT PRIMARY KEY,
@@ -189,7 +593,8 @@ class DatabaseStorage {
                 .insert(lfgSessions)
                 .values({
                     ...session,
-                    expiresAt: new Date(Date.now() + 20 * 60 * 1000),
+                    // Scheduled sessions get their lifetime from the start time
+                    expiresAt: session.expiresAt || new Date((session.scheduledStart ? session.scheduledStart.getTime() : Date.now()) + DEFAULT_SESSION_LIFETIME * 60 * 1000),
                     updatedAt: new Date()
                 })
                 .returning();
@@ -268,14 +673,14 @@ class DatabaseStorage {
         }
     }
 
-    async setGuildSettings(guildId, lfgChannelId) {
+    async setGuildSettings(guildId, updates) {
         try {
             const [settings] = await db
                 .insert(guildSettings)
-                .values({ guildId, lfgChannelId, updatedAt: new Date() })
+                .values({ guildId, ...updates, updatedAt: new Date() })
                 .onConflictDoUpdate({
                     target: guildSettings.guildId,
-                    set: { lfgChannelId, updatedAt: new Date() }
+                    set: { ...updates, updatedAt: new Date() }
                 })
                 .returning();
             return settings;
@@ -342,2100 +747,8098 @@ class DatabaseStorage {
             return false;
         }
     }
-}
 
-const storage = new DatabaseStorage();
+    async getUserPreferences(userId) {
+        try {
+            const [preferences] = await db
+                .select()
+                .from(userPreferences)
+                .where(eq(userPreferences.userId, userId));
+            return preferences || undefined;
+        } catch (error) {
+            console.error('❌ Database error getting user preferences:', error);
+            return undefined;
+        }
+    }
 
-const client = new Client({
-    intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildVoiceStates
-    ]
-});
+    async setUserPreferences(userId, updates) {
+        try {
+            const [preferences] = await db
+                .insert(userPreferences)
+                .values({ userId, ...updates, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: userPreferences.userId,
+                    set: { ...updates, updatedAt: new Date() }
+                })
+                .returning();
+            return preferences;
+        } catch (error) {
+            console.error('❌ Database error setting user preferences:', error);
+            return undefined;
+        }
+    }
 
-// Supported games from the images
-const SUPPORTED_GAMES = {
-    'valorant': { name: 'Valorant', modes: ['Competitive', 'Unrated', 'Spike Rush', 'Deathmatch'] },
-    'fortnite': { name: 'Fortnite', modes: ['Battle Royale', 'Zero Build', 'Creative', 'Save the World'] },
-    'brawlhalla': { name: 'Brawlhalla', modes: ['1v1', '2v2', 'Ranked', 'Experimental'] },
-    'thefinals': { name: 'The Finals', modes: ['Quick Cash', 'Bank It', 'Tournament'] },
-    'roblox': { name: 'Roblox', modes: ['Various', 'Roleplay', 'Simulator', 'Obby'] },
-    'minecraft': { name: 'Minecraft', modes: ['Survival', 'Creative', 'PvP', 'Minigames'] },
-    'marvelrivals': { name: 'Marvel Rivals', modes: ['Quick Match', 'Competitive', 'Custom'] },
-    'rocketleague': { name: 'Rocket League', modes: ['3v3', '2v2', '1v1', 'Hoops'] },
-    'apexlegends': { name: 'Apex Legends', modes: ['Trios', 'Duos', 'Ranked', 'Arenas'] },
-    'callofduty': { name: 'Call of Duty', modes: ['Multiplayer', 'Warzone', 'Search & Destroy'] },
-    'overwatch': { name: 'Overwatch', modes: ['Competitive', 'Quick Play', 'Arcade'] },
-    'amongus': { name: 'Among Us', modes: ['Classic', 'Hide and Seek', 'Custom Rules', 'Private Lobby'] }
-};
+    async getGameSubscriptions(guildId, gameKey) {
+        try {
+            return await db
+                .select()
+                .from(notifySubscriptions)
+                .where(and(eq(notifySubscriptions.guildId, guildId), eq(notifySubscriptions.gameKey, gameKey)));
+        } catch (error) {
+            console.error('❌ Database error getting game subscriptions:', error);
+            return [];
+        }
+    }
 
-// 💾 PERSISTENT STORAGE - Sessions survive bot restarts!
-const activeSessions = new Map();
-const gameCategories = new Map();
-const guildSettingsCache = new Map(); // Cache for guild settings
-const userCreatedSessions = new Map(); // Track which user created which session
-const voiceChannelOperations = new Map(); // Prevent race conditions in voice channel operations
-const interactionTimeouts = new Map(); // Track interaction timeouts to prevent expired responses
-const memberNameCache = new Map(); // Cache member names for performance
-const guildSettingsLoadTime = new Map(); // Track when guild settings were last loaded
+    async getUserSubscriptions(guildId, userId) {
+        try {
+            return await db
+                .select()
+                .from(notifySubscriptions)
+                .where(and(eq(notifySubscriptions.guildId, guildId), eq(notifySubscriptions.userId, userId)))
+                .orderBy(notifySubscriptions.gameName);
+        } catch (error) {
+            console.error('❌ Database error getting user subscriptions:', error);
+            return [];
+        }
+    }
 
-// 💾 PERSISTENT SESSION MANAGEMENT - Survives bot restarts!
-async function saveSessionData() {
-    try {
-        // Sessions are automatically saved to database on every change
-        const sessionCount = activeSessions.size;
-        console.log(`💾 ${sessionCount} sessions currently in memory and synced to database`);
-        return sessionCount;
-    } catch (error) {
-        console.error('❌ Error checking session data:', error);
-        return 0;
+    async addSubscription(subscription) {
+        try {
+            const [created] = await db
+                .insert(notifySubscriptions)
+                .values(subscription)
+                .onConflictDoUpdate({
+                    target: [notifySubscriptions.guildId, notifySubscriptions.userId, notifySubscriptions.gameKey, notifySubscriptions.gamemode],
+                    set: { via: subscription.via, gameName: subscription.gameName }
+                })
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error adding subscription:', error);
+            return undefined;
+        }
     }
-}
 
-async function loadSessionData() {
-    try {
-        console.log('💾 Loading persistent sessions from database...');
+    // Without a gamemode every subscription to the game is removed
+    async removeSubscriptions(guildId, userId, gameKey, gamemode = null) {
+        try {
+            const conditions = [
+                eq(notifySubscriptions.guildId, guildId),
+                eq(notifySubscriptions.userId, userId),
+                eq(notifySubscriptions.gameKey, gameKey)
+            ];
+            if (gamemode) conditions.push(eq(notifySubscriptions.gamemode, gamemode));
+
+            return await db
+                .delete(notifySubscriptions)
+                .where(and(...conditions))
+                .returning();
+        } catch (error) {
+            console.error('❌ Database error removing subscriptions:', error);
+            return [];
+        }
+    }
 
-        // Clear existing memory state to ensure clean restoration
-        activeSessions.clear();
-        userCreatedSessions.clear();
-        guildSettingsCache.clear();
+    async getRecurringSessions() {
+        try {
+            return await db
+                .select()
+                .from(recurringSessions)
+                .orderBy(recurringSessions.createdAt);
+        } catch (error) {
+            console.error('❌ Database error getting recurring sessions:', error);
+            return [];
+        }
+    }
 
-        // Load all active sessions from database
-        const dbSessions = await storage.getAllActiveSessions();
-        console.log(`📋 Found ${dbSessions.length} active sessions in database`);
+    async addRecurringSession(recurring) {
+        try {
+            const [created] = await db
+                .insert(recurringSessions)
+                .values(recurring)
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error adding recurring session:', error);
+            return undefined;
+        }
+    }
 
-        // Load guild settings for all guilds with performance tracking
+    async updateRecurringSession(id, updates) {
         try {
-            const allGuilds = client.guilds.cache.values();
-            const loadStart = Date.now();
-            
-            for (const guild of allGuilds) {
-                const guildSettings = await storage.getGuildSettings(guild.id);
-                if (guildSettings) {
-                    guildSettingsCache.set(guild.id, {
-                        lfgChannel: guildSettings.lfgChannelId
-                    });
-                    guildSettingsLoadTime.set(guild.id, Date.now());
-                }
-            }
-            
-            const loadTime = Date.now() - loadStart;
-            console.log(`📋 Loaded settings for ${guildSettingsCache.size} guilds in ${loadTime}ms`);
+            const [updated] = await db
+                .update(recurringSessions)
+                .set(updates)
+                .where(eq(recurringSessions.id, id))
+                .returning();
+            return updated;
         } catch (error) {
-            console.error('⚠️ Error loading guild settings:', error);
+            console.error('❌ Database error updating recurring session:', error);
+            return undefined;
         }
+    }
 
-        // Restore sessions to memory
-        let restoredCount = 0;
-        let expiredCount = 0;
+    async deleteRecurringSession(id) {
+        try {
+            await db.delete(recurringSessions).where(eq(recurringSessions.id, id));
+            return true;
+        } catch (error) {
+            console.error('❌ Database error deleting recurring session:', error);
+            return false;
+        }
+    }
 
-        for (const dbSession of dbSessions) {
-            try {
-                // Check if session is still valid (not expired)
-                if (new Date(dbSession.expiresAt) > new Date()) {
-                    // Validate that guild and channel still exist
-                    const guild = client.guilds.cache.get(dbSession.guildId);
-                    const channel = guild?.channels.cache.get(dbSession.channelId);
+    async getQueueEntries() {
+        try {
+            return await db
+                .select()
+                .from(matchmakingQueue)
+                .orderBy(matchmakingQueue.joinedAt);
+        } catch (error) {
+            console.error('❌ Database error getting matchmaking queue:', error);
+            return [];
+        }
+    }
 
-                    if (!guild || !channel) {
-                        console.log(`🧹 Cleaning up session #${dbSession.id.slice(-6)} - guild/channel no longer exists`);
-                        await storage.deleteSession(dbSession.id);
+    async addQueueEntry(entry) {
+        try {
+            const [created] = await db
+                .insert(matchmakingQueue)
+                .values(entry)
+                .onConflictDoUpdate({
+                    target: matchmakingQueue.userId,
+                    set: entry
+                })
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error adding queue entry:', error);
+            return undefined;
+        }
+    }
 
-                        // Also cleanup any orphaned voice channel
-                        if (guild && dbSession.voiceChannelId) {
-                            try {
-                                const voiceChannel = guild.channels.cache.get(dbSession.voiceChannelId);
-                                if (voiceChannel) {
-                                    await safeDeleteVoiceChannel(voiceChannel, 'orphaned_session_cleanup');
-                                }
-                            } catch (error) {
-                                console.error(`⚠️ Error cleaning orphaned voice channel:`, error);
-                            }
-                        }
-                        continue;
-                    }
+    async removeQueueEntries(userIds) {
+        if (userIds.length === 0) return true;
+        try {
+            await db
+                .delete(matchmakingQueue)
+                .where(inArray(matchmakingQueue.userId, userIds));
+            return true;
+        } catch (error) {
+            console.error('❌ Database error removing queue entries:', error);
+            return false;
+        }
+    }
 
-                    // Convert database session to memory format
-                    const session = {
-                        id: dbSession.id,
-                        creator: dbSession.creatorId,
-                        guildId: dbSession.guildId,
-                        channelId: dbSession.channelId,
-                        messageId: dbSession.messageId,
-                        game: dbSession.game,
-                        gamemode: dbSession.gamemode,
-                        playersNeeded: dbSession.playersNeeded,
-                        info: dbSession.info,
-                        status: dbSession.status,
-                        currentPlayers: Array.isArray(dbSession.currentPlayers) ? dbSession.currentPlayers : [],
-                        confirmedPlayers: Array.isArray(dbSession.confirmedPlayers) ? dbSession.confirmedPlayers : [],
-                        voiceChannel: dbSession.voiceChannelId,
-                        confirmationStartTime: dbSession.confirmationStartTime ? new Date(dbSession.confirmationStartTime).getTime() : null,
-                        createdAt: new Date(dbSession.createdAt).getTime(),
-                        timeoutId: null // Will be restored by session management
-                    };
+    async getGameCatalog(guildId) {
+        try {
+            return await db
+                .select()
+                .from(gameCatalog)
+                .where(eq(gameCatalog.guildId, guildId))
+                .orderBy(gameCatalog.name);
+        } catch (error) {
+            console.error('❌ Database error getting game catalog:', error);
+            return [];
+        }
+    }
 
-                    activeSessions.set(dbSession.id, session);
+    async seedGameCatalog(guildId, games) {
+        try {
+            return await db
+                .insert(gameCatalog)
+                .values(Object.entries(games).map(([gameKey, game]) => ({
+                    guildId,
+                    gameKey,
+                    name: game.name,
+                    emoji: game.emoji,
+                    description: game.description,
+                    modes: game.modes,
+                    ranks: (game.ranks || []).map(name => ({ name, roleId: null })),
+                    ranksSeeded: true
+                })))
+                .onConflictDoNothing()
+                .returning();
+        } catch (error) {
+            console.error('❌ Database error seeding game catalog:', error);
+            return [];
+        }
+    }
 
-                    // Track creator sessions - CRITICAL for endlfg command
-                    if (dbSession.creatorId) {
-                        userCreatedSessions.set(dbSession.creatorId, dbSession.id);
+    async upsertCatalogGame(entry) {
+        try {
+            const [game] = await db
+                .insert(gameCatalog)
+                .values({ ...entry, ranksSeeded: true, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: [gameCatalog.guildId, gameCatalog.gameKey],
+                    set: {
+                        name: entry.name,
+                        emoji: entry.emoji,
+                        description: entry.description,
+                        modes: entry.modes,
+                        ranks: entry.ranks,
+                        updatedAt: new Date()
                     }
+                })
+                .returning();
+            return game;
+        } catch (error) {
+            console.error('❌ Database error saving catalog game:', error);
+            return undefined;
+        }
+    }
 
-                    // Restore session timeouts for automatic expiration
-                    const timeRemaining = new Date(dbSession.expiresAt).getTime() - Date.now();
-                    if (timeRemaining > 0) {
-                        session.timeoutId = setTimeout(async () => {
-                            await expireSession(dbSession.id, 'timeout');
-                        }, timeRemaining);
+    async markCatalogRanksSeeded(guildId) {
+        try {
+            await db
+                .update(gameCatalog)
+                .set({ ranksSeeded: true })
+                .where(eq(gameCatalog.guildId, guildId));
+            return true;
+        } catch (error) {
+            console.error('❌ Database error marking catalog ranks seeded:', error);
+            return false;
+        }
+    }
+
+    async deleteCatalogGame(guildId, gameKey) {
+        try {
+            const [deleted] = await db
+                .delete(gameCatalog)
+                .where(and(eq(gameCatalog.guildId, guildId), eq(gameCatalog.gameKey, gameKey)))
+                .returning();
+            return !!deleted;
+        } catch (error) {
+            console.error('❌ Database error deleting catalog game:', error);
+            return false;
+        }
+    }
+
+    async getPlayerRatings(guildId, gameKey, userIds) {
+        try {
+            return await db
+                .select()
+                .from(playerRatings)
+                .where(and(
+                    eq(playerRatings.guildId, guildId),
+                    eq(playerRatings.gameKey, gameKey),
+                    inArray(playerRatings.userId, userIds)
+                ));
+        } catch (error) {
+            console.error('❌ Database error getting player ratings:', error);
+            return [];
+        }
+    }
+
+    async setPlayerRating(guildId, userId, gameKey, rating) {
+        try {
+            const [saved] = await db
+                .insert(playerRatings)
+                .values({ guildId, userId, gameKey, rating, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: [playerRatings.guildId, playerRatings.userId, playerRatings.gameKey],
+                    set: { rating, updatedAt: new Date() }
+                })
+                .returning();
+            return saved;
+        } catch (error) {
+            console.error('❌ Database error setting player rating:', error);
+            return undefined;
+        }
+    }
+
+    async addSessionHistory(entry) {
+        try {
+            const [created] = await db
+                .insert(sessionHistory)
+                .values(entry)
+                .onConflictDoUpdate({
+                    // Finalized sessions are recorded at start; ending them adds late joiners and the final outcome
+                    target: sessionHistory.sessionId,
+                    set: {
+                        players: sql`(SELECT COALESCE(json_agg(DISTINCT player), '[]'::json) FROM jsonb_array_elements_text(${sessionHistory.players}::jsonb || excluded.players::jsonb) AS player)`,
+                        outcome: entry.outcome,
+                        filledAt: entry.filledAt,
+                        startedAt: entry.startedAt,
+                        endedAt: entry.endedAt
                     }
+                })
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error saving session history:', error);
+            return undefined;
+        }
+    }
 
-                    restoredCount++;
-                } else {
-                    // Clean up expired sessions
-                    await storage.deleteSession(dbSession.id);
-                    expiredCount++;
-                    console.log(`🧹 Cleaned up expired session #${dbSession.id.slice(-6)}`);
-                }
-            } catch (sessionError) {
-                console.error(`❌ Error restoring session #${dbSession.id.slice(-6)}:`, sessionError);
-                // Mark problematic session as inactive
-                try {
-                    await storage.deleteSession(dbSession.id);
-                } catch (deleteError) {
-                    console.error(`❌ Failed to clean up problematic session:`, deleteError);
-                }
-            }
+    // filters: { userId, game } - either may be null
+    async getSessionHistory(guildId, filters, limit, offset) {
+        try {
+            return await db
+                .select()
+                .from(sessionHistory)
+                .where(this.sessionHistoryFilter(guildId, filters))
+                .orderBy(desc(sessionHistory.endedAt))
+                .limit(limit)
+                .offset(offset);
+        } catch (error) {
+            console.error('❌ Database error getting session history:', error);
+            return [];
         }
+    }
 
-        console.log(`✅ Session restoration complete:`);
-        console.log(`   🔄 Restored: ${restoredCount} active sessions`);
-        console.log(`   🧹 Cleaned: ${expiredCount} expired sessions`);
-        if (restoredCount > 0) {
-            console.log('🎆 Session persistence working perfectly - no data lost!');
+    async countSessionHistory(guildId, filters) {
+        try {
+            const [result] = await db
+                .select({ total: count() })
+                .from(sessionHistory)
+                .where(this.sessionHistoryFilter(guildId, filters));
+            return result.total;
+        } catch (error) {
+            console.error('❌ Database error counting session history:', error);
+            return 0;
         }
+    }
 
-        // Run immediate cleanup of any remaining expired sessions
-        await storage.cleanupExpiredSessions();
+    async getAllPlayerProfiles() {
+        try {
+            return await db
+                .select()
+                .from(playerProfilesTable);
+        } catch (error) {
+            console.error('❌ Database error getting player profiles:', error);
+            return [];
+        }
+    }
 
-    } catch (error) {
-        console.error('❌ Critical error loading session data from database:', error);
-        console.log('⚠️ Bot will continue with empty session state');
-        // Clear maps to ensure consistent state
-        activeSessions.clear();
-        userCreatedSessions.clear();
+    async setPlayerProfile(profile) {
+        try {
+            const [saved] = await db
+                .insert(playerProfilesTable)
+                .values({ ...profile, updatedAt: new Date() })
+                .onConflictDoUpdate({
+                    target: [playerProfilesTable.userId, playerProfilesTable.gameKey],
+                    set: { ign: profile.ign, rank: profile.rank, mains: profile.mains, updatedAt: new Date() }
+                })
+                .returning();
+            return saved;
+        } catch (error) {
+            console.error('❌ Database error saving player profile:', error);
+            return undefined;
+        }
     }
-}
 
-// 🔄 Enhanced session cleanup and synchronization
-setInterval(async () => {
-    try {
-        if (activeSessions.size > 0) {
-            await saveSessionData();
-            console.log(`🔄 Database sync: ${activeSessions.size} sessions active and persistent`);
+    async getSessionHistoryEntry(sessionId) {
+        try {
+            const [entry] = await db
+                .select()
+                .from(sessionHistory)
+                .where(eq(sessionHistory.sessionId, sessionId));
+            return entry || undefined;
+        } catch (error) {
+            console.error('❌ Database error getting session history entry:', error);
+            return undefined;
         }
+    }
 
-        // Clean up expired sessions from database
-        const cleanedCount = await storage.cleanupExpiredSessions();
-        if (cleanedCount > 0) {
-            console.log(`🧹 Cleaned ${cleanedCount} expired sessions from database`);
+    // Returns undefined when this exact commendation was already given
+    async addCommendation(commendation) {
+        try {
+            const [created] = await db
+                .insert(commendations)
+                .values(commendation)
+                .onConflictDoNothing()
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error adding commendation:', error);
+            return undefined;
         }
+    }
 
-        // Clean up stale voice channel operations tracking
-        const now = Date.now();
-        for (const [channelId, timestamp] of voiceChannelOperations.entries()) {
-            if (now - timestamp > 30000) { // 30 seconds timeout
-                voiceChannelOperations.delete(channelId);
-            }
+    async getCommendationCounts(guildId) {
+        try {
+            return await db
+                .select({ toUserId: commendations.toUserId, kind: commendations.kind, total: count() })
+                .from(commendations)
+                .where(eq(commendations.guildId, guildId))
+                .groupBy(commendations.toUserId, commendations.kind);
+        } catch (error) {
+            console.error('❌ Database error getting commendation counts:', error);
+            return [];
         }
-    } catch (error) {
-        console.error('❌ Error in session synchronization:', error);
     }
-}, 5 * 60 * 1000);
 
-// Function to handle session expiration
-async function expireSession(sessionId, reason = 'expired') {
-    try {
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            console.log(`⚠️ Cannot expire session #${sessionId.slice(-6)} - not found in memory`);
-            return;
+    // Returns undefined when the reporter already reported this player for the session
+    async addPlayerReport(report) {
+        try {
+            const [created] = await db
+                .insert(playerReports)
+                .values(report)
+                .onConflictDoNothing()
+                .returning();
+            return created;
+        } catch (error) {
+            console.error('❌ Database error adding player report:', error);
+            return undefined;
         }
+    }
 
-        console.log(`⏰ Expiring session #${sessionId.slice(-6)} - reason: ${reason}`);
+    async getGuildReliability(guildId) {
+        try {
+            return await db
+                .select()
+                .from(playerReliability)
+                .where(eq(playerReliability.guildId, guildId));
+        } catch (error) {
+            console.error('❌ Database error getting reliability records:', error);
+            return [];
+        }
+    }
 
-        // Get guild and channel info
-        const guild = client.guilds.cache.get(session.guildId);
-        const channel = guild?.channels.cache.get(session.channelId);
+    async saveReliability(record) {
+        try {
+            const values = {
+                confirmations: record.confirmations,
+                declines: record.declines,
+                timeouts: record.timeouts,
+                earlyLeaves: record.earlyLeaves,
+                noShowStreak: record.noShowStreak,
+                cooldownUntil: record.cooldownUntil,
+                updatedAt: new Date()
+            };
+            const [saved] = await db
+                .insert(playerReliability)
+                .values({ guildId: record.guildId, userId: record.userId, ...values })
+                .onConflictDoUpdate({
+                    target: [playerReliability.guildId, playerReliability.userId],
+                    set: values
+                })
+                .returning();
+            return saved;
+        } catch (error) {
+            console.error('❌ Database error saving reliability record:', error);
+            return undefined;
+        }
+    }
 
-        // Delete voice channel and cleanup category if empty
+    async deleteReliability(guildId, userId) {
         try {
-            const voiceChannel = guild?.channels.cache.get(session.voiceChannel);
-            if (voiceChannel) {
-                const category = voiceChannel.parent;
-                await voiceChannel.delete();
-                console.log(`🗑️ Deleted voice channel for expired session ${sessionId}`);
+            await db
+                .delete(playerReliability)
+                .where(and(eq(playerReliability.guildId, guildId), eq(playerReliability.userId, userId)));
+            return true;
+        } catch (error) {
+            console.error('❌ Database error deleting reliability record:', error);
+            return false;
+        }
+    }
+
+    sessionHistoryFilter(guildId, filters) {
+        return and(
+            eq(sessionHistory.guildId, guildId),
+            filters.userId ? sql`${sessionHistory.players}::jsonb @> ${JSON.stringify([filters.userId])}::jsonb` : undefined,
+            filters.game ? eq(sessionHistory.game, filters.game) : undefined
+        );
+    }
+}
+
+const storage = new DatabaseStorage();
+
+const client = new Client({
+    intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildVoiceStates
+    ]
+});
+
+// Default game catalog - seeded into each guild's game_catalog, then managed with /game
+// `ranks` is the competitive ladder from lowest to highest; staff map each rank to a role with /game rankrole
+const DEFAULT_GAMES = {
+    'valorant': { name: 'Valorant', emoji: '🔫', description: 'Tactical FPS • 5v5 Competitive', modes: ['Competitive', 'Unrated', 'Spike Rush', 'Deathmatch'], ranks: ['Iron', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Ascendant', 'Immortal', 'Radiant'] },
+    'fortnite': { name: 'Fortnite', emoji: '🏗️', description: 'Battle Royale • Building Mechanics', modes: ['Battle Royale', 'Zero Build', 'Creative', 'Save the World'], ranks: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Elite', 'Champion', 'Unreal'] },
+    'brawlhalla': { name: 'Brawlhalla', emoji: '⚔️', description: '2D Fighter • Platform Combat', modes: ['1v1', '2v2', 'Ranked', 'Experimental'], ranks: ['Tin', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Valhallan'] },
+    'thefinals': { name: 'The Finals', emoji: '🏆', description: 'Destructible FPS • Team Strategy', modes: ['Quick Cash', 'Bank It', 'Tournament'], ranks: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Ruby'] },
+    'roblox': { name: 'Roblox', emoji: '🎮', description: 'Platform • Multiple Game Modes', modes: ['Various', 'Roleplay', 'Simulator', 'Obby'] },
+    'minecraft': { name: 'Minecraft', emoji: '🧺', description: 'Sandbox • Creative Building', modes: ['Survival', 'Creative', 'PvP', 'Minigames'] },
+    'marvelrivals': { name: 'Marvel Rivals', emoji: '⚡', description: 'Hero Shooter • Marvel Universe', modes: ['Quick Match', 'Competitive', 'Custom'], ranks: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Grandmaster', 'Celestial', 'Eternity', 'One Above All'] },
+    'rocketleague': { name: 'Rocket League', emoji: '⚽', description: 'Vehicular Soccer • High-Octane', modes: ['3v3', '2v2', '1v1', 'Hoops'], ranks: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Champion', 'Grand Champion', 'Supersonic Legend'] },
+    'apexlegends': { name: 'Apex Legends', emoji: '🎆', description: 'Squad-Based BR • Hero Abilities', modes: ['Trios', 'Duos', 'Ranked', 'Arenas'], ranks: ['Rookie', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Master', 'Apex Predator'] },
+    'callofduty': { name: 'Call of Duty', emoji: '🚁', description: 'Military FPS • Fast-Paced Action', modes: ['Multiplayer', 'Warzone', 'Search & Destroy'], ranks: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Crimson', 'Iridescent', 'Top 250'] },
+    'overwatch': { name: 'Overwatch', emoji: '🤖', description: 'Team-Based Hero Shooter', modes: ['Competitive', 'Quick Play', 'Arcade'], ranks: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Master', 'Grandmaster', 'Champion', 'Top 500'] },
+    'amongus': { name: 'Among Us', emoji: '🕵️', description: 'Social Deduction • Teamwork', modes: ['Classic', 'Hide and Seek', 'Custom Rules', 'Private Lobby'] }
+};
+
+// Session regions and platforms - values are what gets stored in the database
+const REGIONS = {
+    'na': '🇺🇸 North America',
+    'eu': '🇪🇺 Europe',
+    'sa': '🇧🇷 South America',
+    'asia': '🌏 Asia',
+    'oce': '🇦🇺 Oceania',
+    'me': '🕌 Middle East',
+    'af': '🌍 Africa'
+};
+
+const PLATFORMS = {
+    'pc': '🖥️ PC',
+    'playstation': '🎮 PlayStation',
+    'xbox': '🟩 Xbox',
+    'switch': '🕹️ Switch',
+    'crossplay': '🔀 Crossplay'
+};
+
+// Game catalog limits
+const MAX_CATALOG_MODES = 25; // Discord autocomplete shows at most 25 choices
+const MAX_MODE_NAME_LENGTH = 50;
+const CATALOG_FALLBACK_TTL = 60 * 1000; // Retry the database this soon after falling back to the default games
+
+// Waitlist limit per session
+const MAX_WAITLIST_SIZE = 10;
+
+// Scheduled session limits
+const MAX_SCHEDULE_AHEAD = 14 * 24 * 60 * 60 * 1000; // 14 days
+const SCHEDULE_REMINDER_LEAD = 15 * 60 * 1000; // Ping RSVPs 15 minutes before start
+
+// Session lifetime - how long a post stays open waiting for players
+const DEFAULT_SESSION_LIFETIME = 20; // Minutes, unless the guild sets its own with /settings
+const MIN_SESSION_LIFETIME = 5;
+const MAX_SESSION_LIFETIME = 240;
+const SESSION_EXTENSION = 15 * 60 * 1000; // "Extend +15m" button
+
+// Ready check - minutes players get to confirm once the party is full
+const DEFAULT_CONFIRMATION_WINDOW = 5;
+const MIN_CONFIRMATION_WINDOW = 1;
+const MAX_CONFIRMATION_WINDOW = 15;
+
+// Reliability - minimum score and no-show cooldowns are set per guild with /settings reliability
+const RELIABILITY_GRACE_EVENTS = 5; // Recorded ready checks before the minimum score applies
+const MAX_NO_SHOW_COOLDOWN = 24 * 60; // Minutes
+const DEFAULT_NO_SHOW_GRACE = 10; // Minutes after the start for confirmed players to join voice
+
+// Post-game feedback
+const COMMENDATION_TYPES = {
+    friendly: '😊 Friendly',
+    comms: '🎙️ Good Comms',
+    skilled: '🎯 Skilled'
+};
+const FEEDBACK_WINDOW = 24 * 60 * 60 * 1000; // Prompts stay usable for a day after the session ends
+
+// /notify - DMs per user per hour unless they pick their own limit
+const DEFAULT_NOTIFY_CAP = 5;
+const MAX_NOTIFY_CAP = 20;
+
+// /recurring - scheduled sessions per server
+const MAX_RECURRING_SESSIONS = 10;
+const RECURRING_CATCH_UP_WINDOW = 30 * 60 * 1000; // Missed runs this recent are still posted after a restart
+const RECURRING_CATCH_UP_LOOKBACK = 24 * 60 * 60 * 1000; // How far back missed runs are looked for
+
+// IANA timezones offered for /recurring schedules and /notify quiet hours
+const TIMEZONES = Intl.supportedValuesOf('timeZone');
+
+// Leader voice settings
+const VOICE_LIMIT_OPTIONS = [2, 3, 4, 5, 6, 8, 10, 12, 16, 20];
+const VOICE_BITRATE_OPTIONS = [32, 64, 96, 128, 256, 384]; // kbps, filtered by the guild's boost tier
+const VOICE_RENAME_COOLDOWN = 5 * 60 * 1000;
+const BLOCKED_NAME_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard', 'rape', 'nazi', 'porn'];
+
+// Matchmaking queue limits
+const QUEUE_MAX_WAIT = 60 * 60 * 1000; // Drop queue entries after an hour
+
+// Up to four friends can be added when creating a session
+const PREMADE_OPTION_NAMES = ['with', 'with2', 'with3', 'with4'];
+
+// Invite codes for invite-only sessions (no 0/O or 1/I to avoid typos)
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Custom matches - how the two teams get picked once everyone is ready
+const CUSTOMS_SPLIT_MODES = {
+    random: '🎲 Random',
+    draft: '👑 Captain\'s Draft',
+    balanced: '⚖️ Balanced by Rating'
+};
+const DEFAULT_PLAYER_RATING = 1000; // Used for players staff haven't rated yet
+const MAX_CUSTOMS_TEAM_SIZE = 8; // 8v8 keeps every draft pick button on one message
+
+// /lfgs browser
+const BROWSE_PAGE_SIZE = 5; // One Join button per entry fits a single row
+const BROWSE_STATE_TTL = 15 * 60 * 1000; // Matches Discord's interaction token lifetime
+
+// /history - outcome labels for the session_history outcome column
+const HISTORY_PAGE_SIZE = 5;
+const SESSION_OUTCOMES = {
+    finalized: '✅ Played',
+    timeout_no_joiners: '⌛ Expired unfilled',
+    creator_cancelled: '🛑 Cancelled by leader',
+    confirmation_timeout: '⏰ Ready check failed',
+    abandoned: '👻 Abandoned',
+    ended: '🔚 Ended'
+};
+
+// 💾 PERSISTENT STORAGE - Sessions survive bot restarts!
+const activeSessions = new Map();
+const gameCategories = new Map();
+const guildSettingsCache = new Map(); // Cache for guild settings
+const userCreatedSessions = new Map(); // Track which user created which session
+const voiceChannelOperations = new Map(); // Prevent race conditions in voice channel operations
+const interactionTimeouts = new Map(); // Track interaction timeouts to prevent expired responses
+const memberNameCache = new Map(); // Cache member names for performance
+const guildSettingsLoadTime = new Map(); // Track when guild settings were last loaded
+const gameCatalogs = new Map(); // guildId -> Map(gameKey -> catalog entry)
+const catalogFallbackTimes = new Map(); // guildId -> when the default games were cached because the database failed
+const queuedPlayers = new Map(); // userId -> matchmaking queue entry
+const formingQueues = new Set(); // Queue keys currently forming a party
+const browseStates = new Map(); // browse id -> /lfgs filters for paging
+const historyStates = new Map(); // history id -> /history filters for paging
+const reliabilityRecords = new Map(); // "guildId:userId" -> reliability counters and cooldown
+const commendationCounts = new Map(); // "guildId:userId" -> { friendly, comms, skilled }
+const playerProfiles = new Map(); // "userId:gameKey" -> IGN, rank and mains
+const notificationLog = new Map(); // userId -> timestamps of session DMs in the last hour
+const recurringJobs = new Map(); // recurring id -> { recurring, task } for registered cron jobs
+
+// 💾 PERSISTENT SESSION MANAGEMENT - Survives bot restarts!
+async function saveSessionData() {
+    try {
+        // Sessions are automatically saved to database on every change
+        const sessionCount = activeSessions.size;
+        console.log(`💾 ${sessionCount} sessions currently in memory and synced to database`);
+        return sessionCount;
+    } catch (error) {
+        console.error('❌ Error checking session data:', error);
+        return 0;
+    }
+}
+
+async function loadSessionData() {
+    try {
+        console.log('💾 Loading persistent sessions from database...');
+
+        // Clear existing memory state to ensure clean restoration
+        activeSessions.clear();
+        userCreatedSessions.clear();
+        guildSettingsCache.clear();
+        gameCatalogs.clear();
+        catalogFallbackTimes.clear();
+        reliabilityRecords.clear();
+        commendationCounts.clear();
+
+        // Load all active sessions from database
+        const dbSessions = await storage.getAllActiveSessions();
+        console.log(`📋 Found ${dbSessions.length} active sessions in database`);
+
+        // Load guild settings for all guilds with performance tracking
+        try {
+            const allGuilds = client.guilds.cache.values();
+            const loadStart = Date.now();
+            
+            for (const guild of allGuilds) {
+                const guildSettings = await storage.getGuildSettings(guild.id);
+                if (guildSettings) {
+                    cacheGuildSettings(guildSettings);
+                }
+                await getGuildCatalog(guild.id);
+                await loadGuildReliability(guild.id);
+                await loadGuildCommendations(guild.id);
+            }
+            
+            const loadTime = Date.now() - loadStart;
+            console.log(`📋 Loaded settings for ${guildSettingsCache.size} guilds in ${loadTime}ms`);
+
+            await loadPlayerProfiles();
+            await loadRecurringSessions();
+
+            queuedPlayers.clear();
+            for (const entry of await storage.getQueueEntries()) {
+                queuedPlayers.set(entry.userId, { ...entry, joinedAt: new Date(entry.joinedAt).getTime() });
+            }
+            console.log(`📋 Restored ${queuedPlayers.size} matchmaking queue entries`);
+        } catch (error) {
+            console.error('⚠️ Error loading guild settings:', error);
+        }
+
+        // Restore sessions to memory
+        let restoredCount = 0;
+        let expiredCount = 0;
+
+        for (const dbSession of dbSessions) {
+            try {
+                // Check if session is still valid (not expired)
+                if (new Date(dbSession.expiresAt) > new Date()) {
+                    // Validate that guild and channel still exist
+                    const guild = client.guilds.cache.get(dbSession.guildId);
+                    const channel = guild?.channels.cache.get(dbSession.channelId);
+
+                    if (!guild || !channel) {
+                        console.log(`🧹 Cleaning up session #${dbSession.id.slice(-6)} - guild/channel no longer exists`);
+                        await storage.deleteSession(dbSession.id);
+
+                        // Also cleanup any orphaned voice channel
+                        if (guild && dbSession.voiceChannelId) {
+                            try {
+                                const voiceChannel = guild.channels.cache.get(dbSession.voiceChannelId);
+                                if (voiceChannel) {
+                                    await safeDeleteVoiceChannel(voiceChannel, 'orphaned_session_cleanup');
+                                }
+                            } catch (error) {
+                                console.error(`⚠️ Error cleaning orphaned voice channel:`, error);
+                            }
+                        }
+                        continue;
+                    }
+
+                    // Convert database session to memory format
+                    const session = {
+                        id: dbSession.id,
+                        creator: dbSession.creatorId,
+                        guildId: dbSession.guildId,
+                        channelId: dbSession.channelId,
+                        messageId: dbSession.messageId,
+                        game: dbSession.game,
+                        gamemode: dbSession.gamemode,
+                        playersNeeded: dbSession.playersNeeded,
+                        info: dbSession.info,
+                        status: dbSession.status,
+                        currentPlayers: Array.isArray(dbSession.currentPlayers) ? dbSession.currentPlayers : [],
+                        confirmedPlayers: Array.isArray(dbSession.confirmedPlayers) ? dbSession.confirmedPlayers : [],
+                        voiceChannel: dbSession.voiceChannelId,
+                        confirmationStartTime: dbSession.confirmationStartTime ? new Date(dbSession.confirmationStartTime).getTime() : null,
+                        createdAt: new Date(dbSession.createdAt).getTime(),
+                        expiresAt: new Date(dbSession.expiresAt).getTime(),
+                        scheduledStart: dbSession.scheduledStart ? new Date(dbSession.scheduledStart).getTime() : null,
+                        reminderSent: !!dbSession.reminderSent,
+                        waitlist: Array.isArray(dbSession.waitlist) ? dbSession.waitlist : [],
+                        minRank: dbSession.minRank,
+                        maxRank: dbSession.maxRank,
+                        region: dbSession.region,
+                        platform: dbSession.platform,
+                        locked: !!dbSession.locked,
+                        kickedPlayers: Array.isArray(dbSession.kickedPlayers) ? dbSession.kickedPlayers : [],
+                        visibility: dbSession.visibility || 'public',
+                        inviteCode: dbSession.inviteCode,
+                        invitedPlayers: Array.isArray(dbSession.invitedPlayers) ? dbSession.invitedPlayers : [],
+                        confirmationWindow: dbSession.confirmationWindow || DEFAULT_CONFIRMATION_WINDOW,
+                        minConfirmed: dbSession.minConfirmed,
+                        customs: dbSession.customs || null,
+                        filledAt: dbSession.filledAt ? new Date(dbSession.filledAt).getTime() : null,
+                        startedAt: dbSession.startedAt ? new Date(dbSession.startedAt).getTime() : null,
+                        scheduledEventId: dbSession.scheduledEventId,
+                        voiceLockedLimit: dbSession.voiceLockedLimit ?? null,
+                        voicePresence: dbSession.voicePresence || {},
+                        noShowChecked: !!dbSession.noShowChecked,
+                        threadId: dbSession.threadId,
+                        spectatorSlots: dbSession.spectatorSlots || 0,
+                        spectators: Array.isArray(dbSession.spectators) ? dbSession.spectators : [],
+                        timeoutId: null // Will be restored by session management
+                    };
+
+                    activeSessions.set(dbSession.id, session);
+
+                    // Track creator sessions - CRITICAL for endlfg command
+                    if (dbSession.creatorId) {
+                        userCreatedSessions.set(dbSession.creatorId, dbSession.id);
+                    }
+
+                    // Restore session timeouts for automatic expiration
+                    const timeRemaining = new Date(dbSession.expiresAt).getTime() - Date.now();
+                    if (timeRemaining > 0) {
+                        session.timeoutId = setTimeout(async () => {
+                            await expireSession(dbSession.id, 'timeout');
+                        }, timeRemaining);
+                    }
+
+                    restoredCount++;
+                } else {
+                    // Clean up expired sessions, keeping a history record of how they ended
+                    const expiredSession = {
+                        id: dbSession.id,
+                        guildId: dbSession.guildId,
+                        creator: dbSession.creatorId,
+                        game: dbSession.game,
+                        gamemode: dbSession.gamemode,
+                        currentPlayers: Array.isArray(dbSession.currentPlayers) ? dbSession.currentPlayers : [],
+                        confirmedPlayers: Array.isArray(dbSession.confirmedPlayers) ? dbSession.confirmedPlayers : [],
+                        createdAt: new Date(dbSession.createdAt).getTime(),
+                        filledAt: dbSession.filledAt ? new Date(dbSession.filledAt).getTime() : null,
+                        startedAt: dbSession.startedAt ? new Date(dbSession.startedAt).getTime() : null,
+                        scheduledEventId: dbSession.scheduledEventId,
+                        threadId: dbSession.threadId
+                    };
+                    await closeSessionEvent(expiredSession);
+                    await archiveSessionThread(expiredSession);
+                    await recordSessionHistory(expiredSession, getExpiryOutcome(expiredSession));
+                    await storage.deleteSession(dbSession.id);
+                    expiredCount++;
+                    console.log(`🧹 Cleaned up expired session #${dbSession.id.slice(-6)}`);
+                }
+            } catch (sessionError) {
+                console.error(`❌ Error restoring session #${dbSession.id.slice(-6)}:`, sessionError);
+                // Mark problematic session as inactive
+                try {
+                    await storage.deleteSession(dbSession.id);
+                } catch (deleteError) {
+                    console.error(`❌ Failed to clean up problematic session:`, deleteError);
+                }
+            }
+        }
+
+        console.log(`✅ Session restoration complete:`);
+        console.log(`   🔄 Restored: ${restoredCount} active sessions`);
+        console.log(`   🧹 Cleaned: ${expiredCount} expired sessions`);
+        if (restoredCount > 0) {
+            console.log('🎆 Session persistence working perfectly - no data lost!');
+        }
+
+        // Run immediate cleanup of any remaining expired sessions
+        await storage.cleanupExpiredSessions();
+
+        await catchUpRecurringSessions();
+
+    } catch (error) {
+        console.error('❌ Critical error loading session data from database:', error);
+        console.log('⚠️ Bot will continue with empty session state');
+        // Clear maps to ensure consistent state
+        activeSessions.clear();
+        userCreatedSessions.clear();
+    }
+}
+
+// 🔄 Enhanced session cleanup and synchronization
+setInterval(async () => {
+    try {
+        if (activeSessions.size > 0) {
+            await saveSessionData();
+            console.log(`🔄 Database sync: ${activeSessions.size} sessions active and persistent`);
+        }
+
+        // Clean up expired sessions from database
+        const cleanedCount = await storage.cleanupExpiredSessions();
+        if (cleanedCount > 0) {
+            console.log(`🧹 Cleaned ${cleanedCount} expired sessions from database`);
+        }
+
+        // Clean up stale voice channel operations tracking
+        const now = Date.now();
+        for (const [channelId, timestamp] of voiceChannelOperations.entries()) {
+            if (now - timestamp > 30000) { // 30 seconds timeout
+                voiceChannelOperations.delete(channelId);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error in session synchronization:', error);
+    }
+}, 5 * 60 * 1000);
+
+// Function to handle session expiration
+async function expireSession(sessionId, reason = 'expired') {
+    try {
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            console.log(`⚠️ Cannot expire session #${sessionId.slice(-6)} - not found in memory`);
+            return;
+        }
+
+        console.log(`⏰ Expiring session #${sessionId.slice(-6)} - reason: ${reason}`);
+
+        // Get guild and channel info
+        const guild = client.guilds.cache.get(session.guildId);
+        const channel = guild?.channels.cache.get(session.channelId);
+
+        // Delete voice channel and cleanup category if empty
+        try {
+            await deleteCustomsTeamChannels(session, guild);
+            const voiceChannel = guild?.channels.cache.get(session.voiceChannel);
+            if (voiceChannel) {
+                const category = voiceChannel.parent;
+                await voiceChannel.delete();
+                console.log(`🗑️ Deleted voice channel for expired session ${sessionId}`);
+
+                // Immediately check and cleanup empty category
+                if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
+                    await category.delete();
+                    console.log(`🗑️ Deleted empty category: ${category.name}`);
+                }
+            }
+        } catch (error) {
+            console.error('Error deleting voice channel during expiration:', error);
+        }
+
+        // Create simple expired embed - clean and clear
+        const expiredEmbed = new EmbedBuilder()
+            .setColor(0x95a5a6) // Gray for expired
+            .setTitle('⏰ **Session Expired**')
+            .setDescription(`**${session.game} session has automatically ended**${formatThreadLink(session)}\n\n🔄 Create a new session with \`/lfg create\``)
+            .addFields(
+                {
+                    name: '📋 Session Info',
+                    value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Status:** ❌ Expired\n**Duration:** ${getTimeAgo(session.createdAt)}`,
+                    inline: false
+                }
+            )
+            .setFooter({ 
+                text: `Session #${sessionId.slice(-6)} • Expired after ${getLifetimeMinutes(session)} minutes`
+            })
+            .setTimestamp();
+
+        // Update original message if possible
+        if (channel && session.messageId) {
+            try {
+                const originalMessage = await channel.messages.fetch(session.messageId);
+                await originalMessage.edit({ embeds: [expiredEmbed], components: [], attachments: [] });
+                console.log(`✅ Updated expired session message for #${sessionId.slice(-6)}`);
+            } catch (error) {
+                console.warn(`⚠️ Could not update expired session message: ${error.message}`);
+            }
+        }
+
+        // Notify session owner via DM
+        if (session.creator) {
+            try {
+                const creator = await client.users.fetch(session.creator);
+                if (creator) {
+                    const dmEmbed = new EmbedBuilder()
+                        .setColor(0x95a5a6)
+                        .setTitle('⏰ Your LFG Session Expired')
+                        .setDescription(`Your **${session.game}** session has automatically ended after ${getLifetimeMinutes(session)} minutes.`)
+                        .addFields({
+                            name: '📋 Session Details',
+                            value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Players:** ${session.currentPlayers.length}/${session.playersNeeded}\n**Duration:** ${getTimeAgo(session.createdAt)}`,
+                            inline: false
+                        })
+                        .setFooter({ text: `Session #${sessionId.slice(-6)} • Create a new one with /lfg create` })
+                        .setTimestamp();
+                    
+                    await creator.send({ embeds: [dmEmbed] });
+                    console.log(`📧 Sent expiration notification to session creator ${creator.displayName || creator.username}`);
+                }
+            } catch (dmError) {
+                console.log(`⚠️ Could not send DM to session creator: ${dmError.message}`);
+            }
+        }
+
+        // Clear timeout if it exists
+        if (session.timeoutId) {
+            clearTimeout(session.timeoutId);
+            session.timeoutId = null;
+        }
+
+        await closeSessionEvent(session);
+
+        await archiveSessionThread(session);
+        await recordSessionHistory(session, reason === 'scheduled_start_failed' ? 'ended' : getExpiryOutcome(session));
+        await sendPostGamePrompts(session);
+
+        // Remove from memory and database
+        activeSessions.delete(sessionId);
+
+        // Clean up user session tracking for all players, not just creator
+        if (session.creator) {
+            userCreatedSessions.delete(session.creator);
+        }
+
+        // Also clean up any other user session references
+        for (const [userId, userSessionId] of userCreatedSessions.entries()) {
+            if (userSessionId === sessionId) {
+                userCreatedSessions.delete(userId);
+            }
+        }
+
+        // Remove all user session mappings from database
+        for (const playerId of session.currentPlayers || []) {
+            try {
+                await storage.deleteUserSession(playerId);
+            } catch (dbError) {
+                console.error(`Failed to delete user session for ${playerId}:`, dbError);
+            }
+        }
+
+        try {
+            await storage.deleteSession(sessionId);
+            console.log(`💾 Expired session #${sessionId.slice(-6)} removed from database`);
+        } catch (dbError) {
+            console.error(`❌ Failed to remove expired session from database:`, dbError);
+        }
+
+    } catch (error) {
+        console.error(`❌ Error expiring session #${sessionId.slice(-6)}:`, error);
+    }
+}
+
+// Create consistent detailed LFG embed format (original beautiful style)
+function createDetailedLfgEmbed(session, guild, sessionId) {
+    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+    const isFull = spotsLeft === 0;
+    const isScheduled = session.status === 'scheduled';
+    const startUnix = session.scheduledStart ? Math.floor(session.scheduledStart / 1000) : null;
+
+    const accessLine = session.visibility === 'invite' ? '\n**Access:** 🔐 Invite Only' : '';
+
+    // Create visual progress bar
+    const progressBar = createProgressBar(session.currentPlayers.length, session.playersNeeded);
+
+    let description;
+    if (isScheduled) {
+        description = `📅 **Starts <t:${startUnix}:F>** (<t:${startUnix}:R>)\n` + (isFull
+            ? '🎯 **All spots RSVP\'d!** Everyone gets pinged 15 minutes before start.'
+            : `📝 **${spotsLeft} ${spotsLeft === 1 ? 'spot' : 'spots'} open** - RSVP now and get pinged 15 minutes before start`);
+    } else {
+        description = isFull ? 
+            '🎯 **Party is full!** Waiting for confirmations...' : 
+            `🔍 **Seeking ${spotsLeft} skilled ${spotsLeft === 1 ? 'player' : 'players'} to complete the squad**`;
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(isScheduled ? 0x9b59b6 : 0x00d4ff)
+        .setTitle(`${isScheduled ? '📅' : session.customs ? '⚔️' : '🎮'} ${session.game} • ${isScheduled ? 'Scheduled Session' : session.customs ? 'Custom Match' : 'Looking for Group'}`)
+        .setDescription(description)
+        .addFields(
+            { 
+                name: '👥 Party Progress', 
+                value: `${progressBar}\n**${session.currentPlayers.length}/${session.playersNeeded} players**`, 
+                inline: false 
+            },
+            { 
+                name: '🎯 Current Squad', 
+                value: session.currentPlayers.length > 0 
+                    ? session.currentPlayers.map((playerId, index) => {
+                        const member = guild.members.cache.get(playerId);
+                        const playerName = member?.displayName || `Player-${playerId.slice(-4)}`;
+                        const icon = index === 0 ? '👑' : '⚔️'; // Leader gets crown, others get sword
+                        return `${icon} **${playerName}**${formatProfileTag(session.guildId, playerId, session.game)}${formatReliability(session.guildId, playerId)}${formatCommendations(session.guildId, playerId)}${formatVoicePresence(session, playerId)}`;
+                    }).join('\n')
+                    : '🔍 **Waiting for players to join...**', 
+                inline: false 
+            },
+            { 
+                name: '🎮 Game Details', 
+                value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Skill Level:** ${formatRankRequirement(session)}${session.customs ? `\n**Format:** ${session.customs.teamSize}v${session.customs.teamSize} • ${CUSTOMS_SPLIT_MODES[session.customs.split]}` : ''}`, 
+                inline: true 
+            },
+            { 
+                name: '👥 Squad Status', 
+                value: `**Current:** ${session.currentPlayers.length}/${session.playersNeeded}\n**Available Spots:** ${spotsLeft}\n**Status:** ${isFull ? '🔴 Full' : session.locked ? '🔒 Locked' : isScheduled ? '📅 Taking RSVPs' : '🟢 Recruiting'}`, 
+                inline: true 
+            },
+            { 
+                name: '⏱️ Session Info', 
+                value: isScheduled
+                    ? `**Created:** <t:${Math.floor(session.createdAt/1000)}:R>\n**Starts:** <t:${startUnix}:R>\n**Region:** ${formatRegion(session.region)}\n**Platform:** ${formatPlatform(session.platform)}${accessLine}`
+                    : `**Created:** <t:${Math.floor(session.createdAt/1000)}:R>\n**Expires:** <t:${Math.floor(session.expiresAt/1000)}:R>\n**Region:** ${formatRegion(session.region)}\n**Platform:** ${formatPlatform(session.platform)}${accessLine}`, 
+                inline: true 
+            },
+            { 
+                name: '👑 Squad Leader', 
+                value: `**${guild.members.cache.get(session.creator)?.displayName || 'Unknown'}**\n🌟 Session Creator\n🎯 Ready to Play`, 
+                inline: false 
+            },
+            { 
+                name: '🔊 Premium Voice Channel', 
+                value: session.voiceChannel
+                    ? `<#${session.voiceChannel}>\n🔒 **Private & Secure** - Auto-access when you join\n🎤 Crystal clear voice communication\n⚡ Low latency gaming optimized`
+                    : `📅 **Opens at start time**\n🔒 Everyone who RSVP'd gets access automatically`, 
+                inline: false 
+            }
+        );
+
+    // Show the waitlist queue in order
+    if (session.waitlist && session.waitlist.length > 0) {
+        const shown = session.waitlist.slice(0, 5).map((playerId, index) => {
+            const member = guild.members.cache.get(playerId);
+            return `**${index + 1}.** ${member?.displayName || `Player-${playerId.slice(-4)}`}`;
+        });
+        if (session.waitlist.length > 5) {
+            shown.push(`*+${session.waitlist.length - 5} more*`);
+        }
+        embed.addFields({ name: `📋 Waitlist (${session.waitlist.length})`, value: shown.join('\n'), inline: false });
+    }
+
+    // Spectators are listed apart from the squad - they don't take player slots
+    if (session.spectatorSlots > 0) {
+        const spectators = session.spectators || [];
+        embed.addFields({
+            name: `👀 Spectators (${spectators.length}/${session.spectatorSlots})`,
+            value: spectators.length > 0
+                ? spectators.map(spectatorId => `🎧 ${guild.members.cache.get(spectatorId)?.displayName || `Spectator-${spectatorId.slice(-4)}`}`).join('\n')
+                : '🎧 *Press **Spectate** to listen in on voice*',
+            inline: false
+        });
+    }
+
+    // Add info field if provided
+    if (session.info) {
+        embed.addFields({ name: '📝 Additional Info', value: session.info, inline: false });
+    }
+
+    embed.setFooter({ 
+        text: `Session #${sessionId.slice(-6)} • Created by ${guild.members.cache.get(session.creator)?.displayName || `Creator-${session.creator.slice(-4)}`}`,
+        iconURL: guild.members.cache.get(session.creator)?.displayAvatarURL() || null
+    })
+    .setTimestamp();
+
+    return embed;
+}
+
+// 🎙️ ENHANCED VOICE CHANNEL MANAGEMENT SYSTEM
+
+// Safe voice channel deletion with race condition prevention
+async function safeDeleteVoiceChannel(voiceChannel, reason = 'cleanup') {
+    if (!voiceChannel || !voiceChannel.id) return false;
+
+    const channelId = voiceChannel.id;
+    const operationKey = `delete_${channelId}`;
+
+    // Prevent race conditions
+    if (voiceChannelOperations.has(operationKey)) {
+        console.log(`⚠️ Voice channel deletion already in progress: ${voiceChannel.name}`);
+        return false;
+    }
+
+    voiceChannelOperations.set(operationKey, Date.now());
+
+    try {
+        // Check if channel still exists and we have permission
+        const channel = await voiceChannel.fetch().catch(() => null);
+        if (!channel) {
+            console.log(`🔍 Voice channel ${channelId} no longer exists`);
+            return true; // Consider this successful
+        }
+
+        // Verify bot has permission to delete
+        const botMember = channel.guild.members.cache.get(client.user.id);
+        if (!botMember?.permissions.has(PermissionFlagsBits.ManageChannels)) {
+            console.error(`❌ No permission to delete voice channel: ${channel.name}`);
+            return false;
+        }
+
+        // Disconnect all users before deletion
+        if (channel.members.size > 0) {
+            console.log(`🔇 Disconnecting ${channel.members.size} users from ${channel.name}`);
+            for (const member of channel.members.values()) {
+                try {
+                    await member.voice.disconnect(`LFG session ended - ${reason}`);
+                } catch (disconnectError) {
+                    console.warn(`⚠️ Could not disconnect ${member.displayName}:`, disconnectError.message);
+                }
+            }
+        }
+
+        // Get category before deleting the channel
+        const category = channel.parent;
+
+        // Delete the channel
+        await channel.delete(`LFG ${reason}`);
+        console.log(`🗑️ Successfully deleted voice channel: ${channel.name} (${reason})`);
+
+        // Immediately check and cleanup empty category
+        if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
+            await category.delete();
+            console.log(`🗑️ Deleted empty category: ${category.name}`);
+        }
+
+        // Update database to remove voice channel reference
+        const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === channelId);
+        if (session) {
+            try {
+                await storage.updateSession(session.id, { voiceChannelId: null });
+            } catch (dbError) {
+                console.warn(`⚠️ Could not update database for deleted voice channel:`, dbError);
+            }
+        }
+
+        return true;
+
+    } catch (error) {
+        console.error(`❌ Error deleting voice channel ${voiceChannel.name}:`, error);
+        return false;
+    } finally {
+        voiceChannelOperations.delete(operationKey);
+    }
+}
+
+// Enhanced voice channel permission management
+async function manageVoiceChannelAccess(voiceChannel, userId, action = 'grant', reason = 'LFG access') {
+    if (!voiceChannel || !userId) return false;
+
+    const operationKey = `permission_${voiceChannel.id}_${userId}`;
+
+    // Prevent race conditions
+    if (voiceChannelOperations.has(operationKey)) {
+        console.log(`⚠️ Voice permission operation already in progress for user ${userId}`);
+        return false;
+    }
+
+    voiceChannelOperations.set(operationKey, Date.now());
+
+    try {
+        const permissions = {
+            Connect: action === 'grant' || action === 'spectate',
+            ViewChannel: action === 'grant' || action === 'spectate',
+            Speak: action === 'grant'
+        };
+
+        if (action === 'grant') {
+            await voiceChannel.permissionOverwrites.edit(userId, permissions, { reason });
+            console.log(`✅ Granted voice access to user ${userId} in ${voiceChannel.name}`);
+        } else if (action === 'spectate') {
+            // Spectators can listen in but not talk
+            await voiceChannel.permissionOverwrites.edit(userId, permissions, { reason });
+            console.log(`👀 Granted listen-only voice access to user ${userId} in ${voiceChannel.name}`);
+        } else if (action === 'revoke') {
+            await voiceChannel.permissionOverwrites.delete(userId, reason);
+            console.log(`❌ Revoked voice access for user ${userId} from ${voiceChannel.name}`);
+        }
+
+        return true;
+
+    } catch (error) {
+        console.error(`❌ Error managing voice permissions for ${userId}:`, error);
+        return false;
+    } finally {
+        voiceChannelOperations.delete(operationKey);
+    }
+}
+
+// Enhanced voice channel creation with better error handling; name defaults to "<game> - <creator>".
+// Spectator slots are added on top of the player limit so listeners never take a player's place.
+async function createLfgVoiceChannel(guild, user, gameData, category, name = null, spectatorSlots = 0, playerLimit = 10) {
+    try {
+        // Verify bot has necessary permissions
+        const botMember = guild.members.cache.get(client.user.id);
+        if (!botMember?.permissions.has([PermissionFlagsBits.ManageChannels, PermissionFlagsBits.Connect])) {
+            throw new Error('Bot lacks required permissions to create voice channels');
+        }
+
+        const channelName = (name || `${gameData.name} - ${user.displayName}`).substring(0, 50); // Discord limit
+
+        const voiceChannel = await guild.channels.create({
+            name: channelName,
+            type: ChannelType.GuildVoice,
+            parent: category.id,
+            userLimit: Math.min(99, playerLimit + spectatorSlots), // Reasonable limit for LFG sessions, custom lobbies fit both teams
+            bitrate: guild.features.includes('VIP_REGIONS') ? 384000 : 128000, // Higher quality for premium servers
+            permissionOverwrites: [
+                {
+                    id: guild.roles.everyone.id,
+                    deny: [PermissionFlagsBits.Connect, PermissionFlagsBits.ViewChannel]
+                },
+                {
+                    id: user.id,
+                    allow: [
+                        PermissionFlagsBits.Connect,
+                        PermissionFlagsBits.ViewChannel,
+                        PermissionFlagsBits.Speak,
+                        PermissionFlagsBits.UseVAD,
+                        PermissionFlagsBits.Stream
+                    ]
+                },
+                {
+                    id: client.user.id, // Bot permissions
+                    allow: [
+                        PermissionFlagsBits.Connect,
+                        PermissionFlagsBits.ViewChannel,
+                        PermissionFlagsBits.ManageChannels,
+                        PermissionFlagsBits.MoveMembers,
+                        PermissionFlagsBits.MuteMembers
+                    ]
+                }
+            ]
+        });
+
+        console.log(`🎙️ Created LFG voice channel: ${channelName}`);
+        return voiceChannel;
+
+    } catch (error) {
+        console.error(`❌ Error creating LFG voice channel:`, error);
+        throw error;
+    }
+}
+
+// Voice state change handler for better user experience
+client.on('voiceStateUpdate', async (oldState, newState) => {
+    try {
+        const userId = newState.member?.id;
+        // Mute, deafen and stream changes keep the same channel
+        if (!userId || oldState.channelId === newState.channelId) return;
+
+        const leftSession = getSessionForVoiceChannel(oldState.channelId);
+        const joinedSession = getSessionForVoiceChannel(newState.channelId);
+        const isPlayer = (session) => session.currentPlayers.includes(userId) || session.confirmedPlayers.includes(userId);
+
+        // Handle user leaving LFG voice channels (moving between a session's lobby and team channels isn't leaving)
+        if (leftSession && leftSession !== joinedSession && isPlayer(leftSession)) {
+            console.log(`📢 User ${newState.member.displayName} left LFG voice channel`);
+
+            // Don't automatically remove from session - let them rejoin
+            await recordVoicePresence(leftSession, userId, false);
+        }
+
+        // Handle user joining LFG voice channels
+        if (joinedSession && joinedSession !== leftSession && isPlayer(joinedSession)) {
+            console.log(`🎙️ User ${newState.member.displayName} joined LFG voice channel`);
+            await recordVoicePresence(joinedSession, userId, true);
+        }
+
+    } catch (error) {
+        console.error('❌ Error in voice state update handler:', error);
+    }
+});
+
+client.once('clientReady', async () => {
+    console.log(`🚀 Party Up! Bot is online! Logged in as ${client.user.tag}`);
+    console.log(`🎮 Serving ${client.guilds.cache.size} servers with premium LFG features`);
+
+    try {
+        await loadSessionData(); // Load any persisted session data
+        await registerCommands();
+        console.log('🎯 Bot ready and operational!');
+    } catch (error) {
+        console.error('❌ Error during bot ready phase:', error);
+    }
+
+    // Enhanced cleanup system running every minute with optimized performance
+    cron.schedule('* * * * *', async () => {
+        console.log('🧹 Running optimized cleanup tasks...');
+        
+        const cleanupStart = Date.now();
+        
+        // Run all cleanup tasks in parallel for better performance
+        const [emptyChannels, expiredConfirmations, expiredSessions, cacheCleared, scheduledSessions, queues, noShows] = await Promise.allSettled([
+            cleanupEmptyChannels(),
+            checkExpiredConfirmations(), 
+            checkExpiredLfgSessions(),
+            cleanupCaches(),
+            checkScheduledSessions(),
+            checkMatchmakingQueues(),
+            checkVoiceNoShows()
+        ]);
+        
+        const cleanupTime = Date.now() - cleanupStart;
+        
+        // Log results of cleanup operations
+        let cleanupResults = [];
+        if (emptyChannels.status === 'rejected') {
+            console.error('Error in channel cleanup:', emptyChannels.reason);
+        }
+        if (expiredConfirmations.status === 'rejected') {
+            console.error('Error checking confirmations:', expiredConfirmations.reason);
+        }
+        if (expiredSessions.status === 'rejected') {
+            console.error('Error checking sessions:', expiredSessions.reason);
+        }
+        if (scheduledSessions.status === 'rejected') {
+            console.error('Error checking scheduled sessions:', scheduledSessions.reason);
+        }
+        if (queues.status === 'rejected') {
+            console.error('Error checking matchmaking queues:', queues.reason);
+        }
+        if (noShows.status === 'rejected') {
+            console.error('Error checking voice no-shows:', noShows.reason);
+        }
+        if (cacheCleared.status === 'fulfilled' && cacheCleared.value > 0) {
+            cleanupResults.push(`${cacheCleared.value} cached items`);
+        }
+        
+        // Performance summary
+        if (cleanupResults.length > 0) {
+            console.log(`🧹 Cleanup completed in ${cleanupTime}ms - cleared: ${cleanupResults.join(', ')}`);
+        } else {
+            console.log(`🧹 Cleanup completed in ${cleanupTime}ms - system optimized`);
+        }
+    });
+
+});
+
+async function registerCommands() {
+    const commands = [
+        new SlashCommandBuilder()
+            .setName('lfg')
+            .setDescription('Look for group - find teammates for your game')
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Create an LFG session and find teammates')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('Game mode')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Number of players needed (including you)')
+                            .setRequired(true)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('Additional information (optional)')
+                            .setRequired(false)
+                            .setMaxLength(200))
+                    .addStringOption(option =>
+                        option.setName('min_rank')
+                            .setDescription('Lowest rank allowed to join (optional)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('max_rank')
+                            .setDescription('Highest rank allowed to join (optional)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('region')
+                            .setDescription('Server region (defaults to your /preferences)')
+                            .setRequired(false)
+                            .addChoices(...Object.entries(REGIONS).map(([value, name]) => ({ name, value }))))
+                    .addStringOption(option =>
+                        option.setName('platform')
+                            .setDescription('Platform, or Crossplay if any platform is fine (defaults to your /preferences)')
+                            .setRequired(false)
+                            .addChoices(...Object.entries(PLATFORMS).map(([value, name]) => ({ name, value }))))
+                    .addUserOption(option =>
+                        option.setName('with')
+                            .setDescription('Friend already playing with you - they take a spot right away')
+                            .setRequired(false))
+                    .addUserOption(option =>
+                        option.setName('with2')
+                            .setDescription('Another friend in your party')
+                            .setRequired(false))
+                    .addUserOption(option =>
+                        option.setName('with3')
+                            .setDescription('Another friend in your party')
+                            .setRequired(false))
+                    .addUserOption(option =>
+                        option.setName('with4')
+                            .setDescription('Another friend in your party')
+                            .setRequired(false))
+                    .addIntegerOption(option =>
+                        option.setName('lifetime')
+                            .setDescription('Minutes to keep the post open without joiners (default: server setting)')
+                            .setRequired(false)
+                            .setMinValue(MIN_SESSION_LIFETIME)
+                            .setMaxValue(MAX_SESSION_LIFETIME))
+                    .addIntegerOption(option =>
+                        option.setName('confirm_window')
+                            .setDescription('Minutes players get to confirm once the party is full (default: server setting)')
+                            .setRequired(false)
+                            .setMinValue(MIN_CONFIRMATION_WINDOW)
+                            .setMaxValue(MAX_CONFIRMATION_WINDOW))
+                    .addIntegerOption(option =>
+                        option.setName('min_confirmed')
+                            .setDescription('Start at the deadline if at least this many are ready (default: everyone)')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('visibility')
+                            .setDescription('Who can join (default: Public)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Public', value: 'public' },
+                                { name: 'Invite Only', value: 'invite' }
+                            ))
+                    .addStringOption(option =>
+                        option.setName('start')
+                            .setDescription('Schedule for later: "tonight 21:00", "tomorrow 18:30", "in 2h" or a Discord timestamp')
+                            .setRequired(false)
+                            .setMaxLength(50))
+                    .addIntegerOption(option =>
+                        option.setName('spectators')
+                            .setDescription('Listen-only spectator slots in the voice channel (default: 0)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(10)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('invite')
+                    .setDescription('Invite a player to the session you lead')
+                    .addUserOption(option =>
+                        option.setName('player')
+                            .setDescription('Player to invite')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('join')
+                    .setDescription('Join an invite-only session with its invite code')
+                    .addStringOption(option =>
+                        option.setName('code')
+                            .setDescription('Invite code from the session leader')
+                            .setRequired(true)
+                            .setMinLength(INVITE_CODE_LENGTH)
+                            .setMaxLength(INVITE_CODE_LENGTH)))
+            .addSubcommandGroup(group =>
+                group.setName('manage')
+                    .setDescription('Leader controls for the session you lead')
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('kick')
+                            .setDescription('Remove a player from your session')
+                            .addUserOption(option =>
+                                option.setName('player')
+                                    .setDescription('Player to remove')
+                                    .setRequired(true)))
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('transfer')
+                            .setDescription('Hand leadership of your session to another player')
+                            .addUserOption(option =>
+                                option.setName('player')
+                                    .setDescription('New session leader')
+                                    .setRequired(true)))
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('lock')
+                            .setDescription('Stop new players from joining your session'))
+                    .addSubcommand(subcommand =>
+                        subcommand.setName('unlock')
+                            .setDescription('Let new players join your session again'))),
+        new SlashCommandBuilder()
+            .setName('lfgs')
+            .setDescription('Browse open LFG sessions in this server')
+            .addStringOption(option =>
+                option.setName('game')
+                    .setDescription('Only show sessions for this game')
+                    .setRequired(false)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('gamemode')
+                    .setDescription('Only show sessions for this mode')
+                    .setRequired(false)
+                    .setAutocomplete(true))
+            .addIntegerOption(option =>
+                option.setName('min_spots')
+                    .setDescription('Only show sessions with at least this many open spots')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(9))
+            .addIntegerOption(option =>
+                option.setName('max_age')
+                    .setDescription('Only show sessions created in the last N minutes')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(1440)),
+        new SlashCommandBuilder()
+            .setName('setchannel')
+            .setDescription('Set the LFG channel (Staff only)')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel where LFG commands are allowed')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels),
+        new SlashCommandBuilder()
+            .setName('embed')
+            .setDescription('Create custom embed messages (Staff only)')
+            .addStringOption(option =>
+                option.setName('title')
+                    .setDescription('Embed title')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('description')
+                    .setDescription('Embed description')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('color')
+                    .setDescription('Embed color (hex code like #ff0000)')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+        new SlashCommandBuilder()
+            .setName('mod')
+            .setDescription('Moderation commands (Staff only)')
+            .addStringOption(option =>
+                option.setName('action')
+                    .setDescription('Moderation action')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'Kick', value: 'kick' },
+                        { name: 'Ban', value: 'ban' },
+                        { name: 'Mute', value: 'mute' },
+                        { name: 'Unmute', value: 'unmute' },
+                        { name: 'Reset Reliability', value: 'resetreliability' }
+                    ))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Target user')
+                    .setRequired(true))
+            .addStringOption(option =>
+                option.setName('reason')
+                    .setDescription('Reason for action')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('duration')
+                    .setDescription('Duration for mute (e.g., 10m, 1h, 1d)')
+                    .setRequired(false))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+        new SlashCommandBuilder()
+            .setName('game')
+            .setDescription('Manage this server\'s game catalog (Staff only)')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Add a game or update an existing one')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Game name')
+                            .setRequired(true)
+                            .setMaxLength(40))
+                    .addStringOption(option =>
+                        option.setName('modes')
+                            .setDescription('Comma-separated game modes, e.g. "Ranked, Casual"')
+                            .setRequired(true)
+                            .setMaxLength(500))
+                    .addStringOption(option =>
+                        option.setName('emoji')
+                            .setDescription('Emoji shown with the game')
+                            .setRequired(false)
+                            .setMaxLength(64))
+                    .addStringOption(option =>
+                        option.setName('description')
+                            .setDescription('Short description, e.g. "Tactical FPS • 5v5"')
+                            .setRequired(false)
+                            .setMaxLength(100)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Remove a game from the catalog')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('addmode')
+                    .setDescription('Add a mode to a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to update')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Mode name')
+                            .setRequired(true)
+                            .setMaxLength(MAX_MODE_NAME_LENGTH)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('removemode')
+                    .setDescription('Remove a mode from a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to update')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Mode to remove')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('ranks')
+                    .setDescription('Set a game\'s rank ladder, lowest rank first')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to update')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('ranks')
+                            .setDescription('Comma-separated ranks, lowest first, e.g. "Iron, Bronze, Silver" (use "none" to clear)')
+                            .setRequired(true)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('rankrole')
+                    .setDescription('Link a rank to the server role that proves it')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Game to update')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('rank')
+                            .setDescription('Rank on the game\'s ladder')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role members with this rank have')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show every game and mode in the catalog'))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+        new SlashCommandBuilder()
+            .setName('settings')
+            .setDescription('Configure LFG behaviour for this server (Staff only)')
+            .addSubcommand(subcommand =>
+                subcommand.setName('view')
+                    .setDescription('Show the current LFG settings'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('lifetime')
+                    .setDescription('Set how long new sessions stay open without joiners')
+                    .addIntegerOption(option =>
+                        option.setName('minutes')
+                            .setDescription(`Minutes (${MIN_SESSION_LIFETIME}-${MAX_SESSION_LIFETIME}, default ${DEFAULT_SESSION_LIFETIME})`)
+                            .setRequired(true)
+                            .setMinValue(MIN_SESSION_LIFETIME)
+                            .setMaxValue(MAX_SESSION_LIFETIME)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('confirmation')
+                    .setDescription('Set how long players get to confirm once a party is full')
+                    .addIntegerOption(option =>
+                        option.setName('minutes')
+                            .setDescription(`Minutes (${MIN_CONFIRMATION_WINDOW}-${MAX_CONFIRMATION_WINDOW}, default ${DEFAULT_CONFIRMATION_WINDOW})`)
+                            .setRequired(true)
+                            .setMinValue(MIN_CONFIRMATION_WINDOW)
+                            .setMaxValue(MAX_CONFIRMATION_WINDOW)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('reliability')
+                    .setDescription('Set the minimum reliability to join or create sessions, and the no-show cooldown')
+                    .addIntegerOption(option =>
+                        option.setName('min_score')
+                            .setDescription('Minimum reliability in percent (0 to turn off)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(100))
+                    .addIntegerOption(option =>
+                        option.setName('cooldown')
+                            .setDescription('Minutes locked out after a no-show, doubling for repeats (0 to turn off)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(240))
+                    .addIntegerOption(option =>
+                        option.setName('grace')
+                            .setDescription(`Minutes confirmed players get to join voice before it's a no-show (default ${DEFAULT_NO_SHOW_GRACE}, 0 to turn off)`)
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(60)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('reviews')
+                    .setDescription('Choose where player reports from post-game feedback are sent')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Staff review channel')
+                            .setRequired(true)
+                            .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('threads')
+                    .setDescription('Turn the private party chat thread for each new session on or off')
+                    .addBooleanOption(option =>
+                        option.setName('enabled')
+                            .setDescription('Create a party thread for new sessions (default on)')
+                            .setRequired(true)))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+        new SlashCommandBuilder()
+            .setName('recurring')
+            .setDescription('Post sessions automatically on a schedule (Staff only)')
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Post a session on a cron schedule, e.g. weekly league nights')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Game mode')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('players')
+                            .setDescription('Number of players needed (including the host)')
+                            .setRequired(true)
+                            .setMinValue(2)
+                            .setMaxValue(10))
+                    .addStringOption(option =>
+                        option.setName('cron')
+                            .setDescription('When to post (minute hour day month weekday), e.g. 0 21 * * FRI')
+                            .setRequired(true))
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel to post the session in')
+                            .setRequired(true)
+                            .addChannelTypes(ChannelType.GuildText))
+                    .addUserOption(option =>
+                        option.setName('host')
+                            .setDescription('Who leads the posted sessions (defaults to you)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('Additional information for each session')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('Timezone the schedule runs in, e.g. Europe/Berlin (default: server time)')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show this server\'s recurring sessions'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('pause')
+                    .setDescription('Pause or resume a recurring session')
+                    .addStringOption(option =>
+                        option.setName('id')
+                            .setDescription('Recurring session')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('delete')
+                    .setDescription('Delete a recurring session')
+                    .addStringOption(option =>
+                        option.setName('id')
+                            .setDescription('Recurring session')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+        new SlashCommandBuilder()
+            .setName('queue')
+            .setDescription('Queue up solo and let the bot build a party for you')
+            .addSubcommand(subcommand =>
+                subcommand.setName('join')
+                    .setDescription('Join the matchmaking queue for a game and mode')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('Game mode')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('size')
+                            .setDescription('Party size you want (leave empty to match any size)')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(10)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('leave')
+                    .setDescription('Leave the matchmaking queue'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('status')
+                    .setDescription('Show who is queued in this server')),
+        new SlashCommandBuilder()
+            .setName('customs')
+            .setDescription('Run a custom match with two teams')
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Open a custom match and split the players into Team A and Team B')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('gamemode')
+                            .setDescription('Game mode')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('team_size')
+                            .setDescription('Players per team')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_CUSTOMS_TEAM_SIZE))
+                    .addStringOption(option =>
+                        option.setName('split')
+                            .setDescription('How teams are picked (default: random)')
+                            .setRequired(false)
+                            .addChoices(...Object.entries(CUSTOMS_SPLIT_MODES).map(([value, name]) => ({ name, value }))))
+                    .addStringOption(option =>
+                        option.setName('info')
+                            .setDescription('Additional information (optional)')
+                            .setRequired(false)
+                            .setMaxLength(200)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('rating')
+                    .setDescription('View or set a player\'s rating used for balanced teams (setting is Staff only)')
+                    .addUserOption(option =>
+                        option.setName('player')
+                            .setDescription('Player to look up')
+                            .setRequired(true))
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('rating')
+                            .setDescription(`New rating (leave empty to view, default ${DEFAULT_PLAYER_RATING})`)
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(10000))),
+        new SlashCommandBuilder()
+            .setName('history')
+            .setDescription('Look back at past sessions - yours, another player\'s or the whole server\'s')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Only sessions this player was in')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('game')
+                    .setDescription('Only sessions for this game')
+                    .setRequired(false)
+                    .setAutocomplete(true)),
+        new SlashCommandBuilder()
+            .setName('profile')
+            .setDescription('Your in-game names, ranks and mains, shown on the sessions you join')
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Save your in-game name, rank and mains for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('ign')
+                            .setDescription('Your in-game name')
+                            .setRequired(true)
+                            .setMaxLength(50))
+                    .addStringOption(option =>
+                        option.setName('rank')
+                            .setDescription('Your current rank (optional)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mains')
+                            .setDescription('Roles, agents or heroes you play (optional)')
+                            .setRequired(false)
+                            .setMaxLength(100)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('view')
+                    .setDescription('Show a player\'s profile')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('Player to look up (defaults to you)')
+                            .setRequired(false))),
+        new SlashCommandBuilder()
+            .setName('notify')
+            .setDescription('Get pinged or DMed when sessions for your games are posted')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Subscribe to new sessions for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Only this mode (DMs only, defaults to every mode)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('via')
+                            .setDescription('How to notify you (defaults to DM)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: '📬 DM', value: 'dm' },
+                                { name: '📣 Role ping', value: 'role' }
+                            )))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Stop notifications for a game')
+                    .addStringOption(option =>
+                        option.setName('game')
+                            .setDescription('Choose a game')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('mode')
+                            .setDescription('Only this mode (defaults to every subscription for the game)')
+                            .setRequired(false)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show your subscriptions and notification settings'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('settings')
+                    .setDescription('Set quiet hours and how many DMs you get per hour')
+                    .addIntegerOption(option =>
+                        option.setName('quiet_start')
+                            .setDescription('Hour quiet time starts, in your timezone (0-23)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(23))
+                    .addIntegerOption(option =>
+                        option.setName('quiet_end')
+                            .setDescription('Hour quiet time ends, in your timezone (0-23, same as start turns it off)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(23))
+                    .addIntegerOption(option =>
+                        option.setName('max_per_hour')
+                            .setDescription(`Most session DMs per hour (default ${DEFAULT_NOTIFY_CAP})`)
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_NOTIFY_CAP))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('Your timezone for quiet hours, e.g. Europe/Berlin (default: server time)')
+                            .setRequired(false)
+                            .setAutocomplete(true))),
+        new SlashCommandBuilder()
+            .setName('preferences')
+            .setDescription('Save your default region and platform (run without options to view)')
+            .addStringOption(option =>
+                option.setName('region')
+                    .setDescription('Your region')
+                    .setRequired(false)
+                    .addChoices(
+                        ...Object.entries(REGIONS).map(([value, name]) => ({ name, value })),
+                        { name: '🚫 No preference', value: 'none' }
+                    ))
+            .addStringOption(option =>
+                option.setName('platform')
+                    .setDescription('The platform you play on')
+                    .setRequired(false)
+                    .addChoices(
+                        ...Object.entries(PLATFORMS).map(([value, name]) => ({ name, value })),
+                        { name: '🚫 No preference', value: 'none' }
+                    )),
+        new SlashCommandBuilder()
+            .setName('help')
+            .setDescription('Show all bot commands and features'),
+        new SlashCommandBuilder()
+            .setName('endlfg')
+            .setDescription('End your active LFG session')
+    ].map(command => command.toJSON());
+
+    try {
+        console.log('Started refreshing application (/) commands.');
+        await client.application.commands.set(commands);
+        console.log('Successfully reloaded application (/) commands.');
+    } catch (error) {
+        console.error('Error registering commands:', error);
+    }
+}
+
+client.on('interactionCreate', async interaction => {
+    if (interaction.isChatInputCommand()) {
+        if (interaction.commandName === 'lfg') {
+            const subcommand = interaction.options.getSubcommand();
+            if (interaction.options.getSubcommandGroup(false) === 'manage') {
+                await handleLfgManageCommand(interaction);
+            } else if (subcommand === 'invite') {
+                await handleLfgInviteCommand(interaction);
+            } else if (subcommand === 'join') {
+                await handleLfgJoinCodeCommand(interaction);
+            } else {
+                await handleLfgCommand(interaction);
+            }
+        } else if (interaction.commandName === 'setchannel') {
+            await handleSetChannelCommand(interaction);
+        } else if (interaction.commandName === 'embed') {
+            await handleEmbedCommand(interaction);
+        } else if (interaction.commandName === 'mod') {
+            await handleModCommand(interaction);
+        } else if (interaction.commandName === 'help') {
+            await handleHelpCommand(interaction);
+        } else if (interaction.commandName === 'endlfg') {
+            await handleEndLfgCommand(interaction);
+        } else if (interaction.commandName === 'game') {
+            await handleGameCommand(interaction);
+        } else if (interaction.commandName === 'preferences') {
+            await handlePreferencesCommand(interaction);
+        } else if (interaction.commandName === 'queue') {
+            await handleQueueCommand(interaction);
+        } else if (interaction.commandName === 'customs') {
+            await handleCustomsCommand(interaction);
+        } else if (interaction.commandName === 'history') {
+            await handleHistoryCommand(interaction);
+        } else if (interaction.commandName === 'profile') {
+            await handleProfileCommand(interaction);
+        } else if (interaction.commandName === 'recurring') {
+            await handleRecurringCommand(interaction);
+        } else if (interaction.commandName === 'notify') {
+            await handleNotifyCommand(interaction);
+        } else if (interaction.commandName === 'lfgs') {
+            await handleBrowseCommand(interaction);
+        } else if (interaction.commandName === 'settings') {
+            await handleSettingsCommand(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isButton()) {
+        if (interaction.customId.startsWith('join_lfg_')) {
+            await handleJoinLfg(interaction);
+        } else if (interaction.customId.startsWith('join_anyway_')) {
+            await handleJoinLfg(interaction, { ignoreMismatch: true });
+        } else if (interaction.customId.startsWith('accept_invite_')) {
+            await handleJoinLfg(interaction);
+        } else if (interaction.customId.startsWith('spectate_lfg_')) {
+            await handleSpectate(interaction);
+        } else if (interaction.customId.startsWith('reject_invite_')) {
+            await handleRejectInvite(interaction);
+        } else if (interaction.customId.startsWith('confirm_')) {
+            await handleConfirmation(interaction);
+        } else if (interaction.customId.startsWith('decline_')) {
+            await handleDecline(interaction);
+        } else if (interaction.customId.startsWith('leave_lfg_')) {
+            await handleLeaveLfg(interaction);
+        } else if (interaction.customId.startsWith('leave_waitlist_')) {
+            await handleLeaveWaitlist(interaction);
+        } else if (interaction.customId.startsWith('manage_lfg_')) {
+            await handleManageButton(interaction);
+        } else if (interaction.customId.startsWith('lfg_lock_')) {
+            await handleLockButton(interaction);
+        } else if (interaction.customId.startsWith('voice_settings_')) {
+            await handleVoiceSettingsButton(interaction);
+        } else if (interaction.customId.startsWith('voice_rename_')) {
+            await handleVoiceRenameButton(interaction);
+        } else if (interaction.customId.startsWith('voice_lock_')) {
+            await handleVoiceLockButton(interaction);
+        } else if (interaction.customId.startsWith('lfgs_page_')) {
+            await handleBrowsePage(interaction);
+        } else if (interaction.customId.startsWith('extend_lfg_')) {
+            await handleExtendSession(interaction);
+        } else if (interaction.customId.startsWith('force_start_')) {
+            await handleForceStart(interaction);
+        } else if (interaction.customId.startsWith('customs_pick_')) {
+            await handleCustomsPick(interaction);
+        } else if (interaction.customId.startsWith('history_page_')) {
+            await handleHistoryPage(interaction);
+        } else if (interaction.customId.startsWith('copy_igns_')) {
+            await handleCopyIgns(interaction);
+        } else if (interaction.customId.startsWith('feedback_open_')) {
+            await handleFeedbackOpen(interaction);
+        } else if (interaction.customId.startsWith('commend_')) {
+            await handleCommend(interaction);
+        } else if (interaction.customId.startsWith('report_player_')) {
+            await handleReportButton(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isStringSelectMenu()) {
+        if (interaction.customId.startsWith('lfg_kick_') || interaction.customId.startsWith('lfg_transfer_')) {
+            await handleManageSelect(interaction);
+        } else if (interaction.customId.startsWith('feedback_player_')) {
+            await handleFeedbackSelect(interaction);
+        } else if (interaction.customId.startsWith('voice_limit_')) {
+            await handleVoiceLimitSelect(interaction);
+        } else if (interaction.customId.startsWith('voice_bitrate_')) {
+            await handleVoiceBitrateSelect(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isModalSubmit()) {
+        if (interaction.customId.startsWith('report_modal_')) {
+            await handleReportSubmit(interaction);
+        } else if (interaction.customId.startsWith('voice_rename_modal_')) {
+            await handleVoiceRenameSubmit(interaction);
+        } else if (interaction.customId.startsWith('voice_limit_modal_')) {
+            await handleVoiceLimitSubmit(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isAutocomplete()) {
+        try {
+            if (['lfg', 'game', 'queue', 'lfgs', 'customs', 'history', 'profile', 'notify', 'recurring'].includes(interaction.commandName)) {
+                const focusedOption = interaction.options.getFocused(true);
+                const catalog = await getGuildCatalog(interaction.guildId);
+
+                if (focusedOption.name === 'game') {
+                    const search = focusedOption.value.toLowerCase();
+                    const games = Array.from(catalog.values())
+                        .filter(game => game.name.toLowerCase().includes(search) || game.key.includes(search))
+                        .slice(0, 25);
+                    await interaction.respond(
+                        games.map(game => ({ name: `${game.emoji || '🎮'} ${game.name}`, value: game.key }))
+                    );
+                } else if (focusedOption.name === 'gamemode' || focusedOption.name === 'mode') {
+                    const gameData = findCatalogGame(interaction.guildId, interaction.options.getString('game'));
+                    if (gameData) {
+                        const modes = gameData.modes.filter(mode => 
+                            mode.toLowerCase().includes(focusedOption.value.toLowerCase())
+                        ).slice(0, 25);
+                        await interaction.respond(
+                            modes.map(mode => ({ name: mode, value: mode }))
+                        );
+                    } else {
+                        await interaction.respond([]);
+                    }
+                } else if (['min_rank', 'max_rank', 'rank'].includes(focusedOption.name)) {
+                    const gameData = findCatalogGame(interaction.guildId, interaction.options.getString('game'));
+                    const ranks = (gameData?.ranks || []).filter(rank =>
+                        rank.name.toLowerCase().includes(focusedOption.value.toLowerCase())
+                    ).slice(0, 25);
+                    await interaction.respond(
+                        ranks.map(rank => ({ name: rank.name, value: rank.name }))
+                    );
+                } else if (focusedOption.name === 'id') {
+                    const search = focusedOption.value.toLowerCase();
+                    const matches = getGuildRecurringSessions(interaction.guildId)
+                        .filter(recurring => recurring.id.includes(search) || recurring.gameName.toLowerCase().includes(search))
+                        .slice(0, 25);
+                    await interaction.respond(
+                        matches.map(recurring => ({ 
+                            name: `${recurring.paused ? '⏸️' : '▶️'} ${recurring.gameName} • ${recurring.gamemode} • ${recurring.cron}`.substring(0, 100),
+                            value: recurring.id
+                        }))
+                    );
+                } else if (focusedOption.name === 'timezone') {
+                    const search = focusedOption.value.toLowerCase();
+                    await interaction.respond(
+                        TIMEZONES.filter(timezone => timezone.toLowerCase().includes(search))
+                            .slice(0, 25)
+                            .map(timezone => ({ name: timezone, value: timezone }))
+                    );
+                }
+            }
+        } catch (error) {
+            console.error('Error handling autocomplete:', error);
+            try {
+                if (!interaction.responded) {
+                    await interaction.respond([]);
+                }
+            } catch (respondError) {
+                console.error('Error responding to autocomplete:', respondError);
+            }
+        }
+    }
+});
+
+// Also creates /customs sessions, passed in as options.customs = { teamSize, split }
+async function handleLfgCommand(interaction, options = {}) {
+    // Defer reply immediately to prevent timeout issues
+    await interaction.deferReply();
+
+    const game = interaction.options.getString('game');
+    const gamemode = interaction.options.getString('gamemode');
+    const playersNeeded = options.customs ? options.customs.teamSize * 2 : interaction.options.getInteger('players');
+    const info = interaction.options.getString('info');
+    const startInput = interaction.options.getString('start');
+    const minRankInput = interaction.options.getString('min_rank');
+    const maxRankInput = interaction.options.getString('max_rank');
+    let region = interaction.options.getString('region');
+    let platform = interaction.options.getString('platform');
+    const visibility = interaction.options.getString('visibility') || 'public';
+    const lifetime = interaction.options.getInteger('lifetime') || getSessionLifetime(interaction.guild.id);
+    const confirmationWindow = interaction.options.getInteger('confirm_window') || getConfirmationWindow(interaction.guild.id);
+    const minConfirmed = interaction.options.getInteger('min_confirmed');
+    const spectatorSlots = interaction.options.getInteger('spectators') || 0;
+    const partyUsers = PREMADE_OPTION_NAMES.map(name => interaction.options.getUser(name)).filter(Boolean);
+    const user = interaction.user;
+    const guild = interaction.guild;
+
+    // Parse the optional start time before touching any state
+    let scheduledStart = null;
+    if (startInput) {
+        scheduledStart = parseStartTime(startInput);
+        if (!scheduledStart) {
+            return interaction.editReply({ 
+                content: '❌ Could not understand that start time. Try `tonight 21:00`, `tomorrow 18:30`, `2025-06-01 20:00`, `in 2h` or a Discord timestamp like `<t:1767225600:F>`.'
+            });
+        }
+        if (scheduledStart.getTime() < Date.now() + 60000) {
+            return interaction.editReply({ content: '❌ The start time must be at least a minute in the future.' });
+        }
+        if (scheduledStart.getTime() > Date.now() + MAX_SCHEDULE_AHEAD) {
+            return interaction.editReply({ content: '❌ Sessions can only be scheduled up to 14 days ahead.' });
+        }
+    }
+
+    // Check if user already has an active LFG session as creator
+    // Clean up any orphaned user session references first
+    const existingSessionId = userCreatedSessions.get(user.id);
+    if (existingSessionId) {
+        const existingSession = activeSessions.get(existingSessionId);
+        if (!existingSession) {
+            // Clean up orphaned reference and also check database
+            userCreatedSessions.delete(user.id);
+            try {
+                const dbSession = await storage.getSession(existingSessionId);
+                if (dbSession) {
+                    await storage.deleteSession(existingSessionId);
+                    console.log(`🧹 Cleaned up orphaned session #${existingSessionId.slice(-6)} from database`);
+                }
+            } catch (error) {
+                console.error('Error cleaning up orphaned database session:', error);
+            }
+            console.log(`Cleaned up orphaned session reference for user ${user.displayName}`);
+        } else {
+            return interaction.editReply({ 
+                content: `❌ You already have an active LFG session (#${existingSessionId.slice(-6)}) for ${existingSession.game}! Use \`/endlfg\` to end it first.`
+            });
+        }
+    }
+
+    // Check if user is already in another LFG session with better cleanup
+    // Scheduled sessions and RSVPs don't block playing something else right now
+    let userInSession = scheduledStart ? null : Array.from(activeSessions.values()).find(s => 
+        s.status !== 'scheduled' && s.currentPlayers.includes(user.id)
+    );
+
+    // If found in memory, double-check in database and clean up if needed
+    if (userInSession) {
+        try {
+            const dbSession = await storage.getSession(userInSession.id);
+            if (!dbSession || !dbSession.currentPlayers.includes(user.id)) {
+                // Session doesn't exist in DB or user isn't in it - clean up memory
+                const sessionIndex = userInSession.currentPlayers.indexOf(user.id);
+                if (sessionIndex > -1) {
+                    userInSession.currentPlayers.splice(sessionIndex, 1);
+                    console.log(`🧹 Cleaned up user ${user.displayName} from stale session #${userInSession.id.slice(-6)}`);
+                }
+                userInSession = null; // Allow user to create new session
+            } else {
+                return interaction.editReply({ 
+                    content: `❌ You are already in an LFG session (#${userInSession.id.slice(-6)})! Use \`/endlfg\` or the leave button to exit first.`
+                });
+            }
+        } catch (error) {
+            console.error('Error checking user session in database:', error);
+            // If database check fails, still prevent creating new session for safety
+            return interaction.editReply({ 
+                content: `❌ You are already in an LFG session (#${userInSession.id.slice(-6)})! Use \`/endlfg\` to end it first.`
+            });
+        }
+    }
+
+    const reliabilityError = getReliabilityError(guild.id, user.id);
+    if (reliabilityError) {
+        return interaction.editReply({ content: `❌ ${reliabilityError}` });
+    }
+
+    // Check if LFG channel is set and if user is in the correct channel
+    const guildSetting = guildSettingsCache.get(guild.id);
+
+    if (guildSetting && guildSetting.lfgChannel) {
+        if (interaction.channel.id !== guildSetting.lfgChannel) {
+            const lfgChannel = guild.channels.cache.get(guildSetting.lfgChannel);
+            return interaction.editReply({ 
+                content: `❌ LFG commands can only be used in ${lfgChannel ? lfgChannel.toString() : 'the designated channel'}!`
+            });
+        }
+    }
+
+    await getGuildCatalog(guild.id);
+    const gameData = findCatalogGame(guild.id, game);
+
+    if (!gameData) {
+        return interaction.editReply({ content: '❌ Unsupported game selected. Pick one from the list, or ask staff to add it with `/game add`.' });
+    }
+
+    // Validate gamemode
+    if (!gameData.modes.includes(gamemode)) {
+        return interaction.editReply({ 
+            content: `Invalid mode for ${gameData.name}. Available modes: ${gameData.modes.join(', ')}`
+        });
+    }
+
+    // Teams are picked once everyone has readied up
+    const customs = options.customs
+        ? { ...options.customs, gameKey: gameData.key, teams: null, captains: null, teamChannels: [] }
+        : null;
+
+    // Validate the optional rank range against the game's ladder
+    let minRank = null;
+    let maxRank = null;
+    if (minRankInput || maxRankInput) {
+        if (gameData.ranks.length === 0) {
+            return interaction.editReply({ content: `❌ ${gameData.name} has no rank ladder configured, so rank requirements aren't available.` });
+        }
+
+        const findRank = (input) => gameData.ranks.findIndex(rank => rank.name.toLowerCase() === input.toLowerCase());
+        const minIndex = minRankInput ? findRank(minRankInput) : 0;
+        const maxIndex = maxRankInput ? findRank(maxRankInput) : gameData.ranks.length - 1;
+
+        if (minIndex === -1 || maxIndex === -1) {
+            return interaction.editReply({ 
+                content: `❌ Unknown rank for ${gameData.name}. Ranks: ${gameData.ranks.map(rank => rank.name).join(', ')}`
+            });
+        }
+        if (minIndex > maxIndex) {
+            return interaction.editReply({ content: '❌ The minimum rank must be the same as or below the maximum rank.' });
+        }
+
+        minRank = minRankInput ? gameData.ranks[minIndex].name : null;
+        maxRank = maxRankInput ? gameData.ranks[maxIndex].name : null;
+    }
+
+    // Validate the premade party before anything is created
+    const partyIds = [...new Set(partyUsers.map(partyUser => partyUser.id))];
+    if (partyIds.length > 0) {
+        if (partyUsers.some(partyUser => partyUser.bot) || partyIds.includes(user.id)) {
+            return interaction.editReply({ content: '❌ Your party can only include other players - no bots, and not yourself.' });
+        }
+        if (1 + partyIds.length >= playersNeeded) {
+            return interaction.editReply({ content: `❌ You and your party already fill all ${playersNeeded} spots. Leave at least one open for someone to join.` });
+        }
+    }
+
+    if (minConfirmed && minConfirmed > playersNeeded) {
+        return interaction.editReply({ content: `❌ \`min_confirmed\` can't be more than the ${playersNeeded} players in the session.` });
+    }
+
+    // Fall back to the creator's saved region and platform
+    if (!region || !platform) {
+        const preferences = await storage.getUserPreferences(user.id);
+        region = region || preferences?.region || null;
+        platform = platform || preferences?.platform || null;
+    }
+
+    // Premade members skip the join button, so they go through the same checks as joining
+    const premadeCheck = { id: interaction.id, guildId: guild.id, game: gameData.name, minRank, maxRank, region, platform, scheduledStart };
+    for (const partyId of partyIds) {
+        const partyMember = await guild.members.fetch(partyId).catch(() => null);
+        if (!partyMember) {
+            return interaction.editReply({ content: `❌ <@${partyId}> isn't a member of this server.` });
+        }
+
+        const problem = await getPremadeMemberProblem(partyMember, premadeCheck);
+        if (problem) {
+            return interaction.editReply({ content: `❌ **${partyMember.displayName}** ${problem}. Create the session without them, or sort it out first.` });
+        }
+    }
+
+    try {
+        // Scheduled sessions get their category and voice channel at start time
+        const category = scheduledStart ? null : await getOrCreateGameCategory(guild, gameData.key, gameData.name);
+
+        // Create private voice channel
+        const voiceChannel = scheduledStart ? null : await createLfgVoiceChannel(guild, user, gameData, category, customs ? `${gameData.name} Lobby - ${user.displayName}` : null, spectatorSlots, customs ? playersNeeded : 10);
+
+        // 💾 Create persistent LFG session with database storage
+        const sessionId = `${user.id}-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
+        const inviteCode = visibility === 'invite' ? generateInviteCode() : null;
+        // Scheduled sessions count their lifetime from the start time
+        const expiresAt = (scheduledStart ? scheduledStart.getTime() : Date.now()) + lifetime * 60 * 1000;
+
+        // Prepare session data for database
+        const sessionData = {
+            id: sessionId,
+            creatorId: user.id,
+            guildId: guild.id,
+            channelId: interaction.channel.id,
+            game: gameData.name,
+            gamemode: gamemode,
+            playersNeeded: playersNeeded,
+            info: info,
+            status: scheduledStart ? 'scheduled' : 'waiting',
+            currentPlayers: [user.id, ...partyIds],
+            confirmedPlayers: [],
+            voiceChannelId: voiceChannel ? voiceChannel.id : null,
+            confirmationStartTime: null,
+            scheduledStart: scheduledStart,
+            minRank: minRank,
+            maxRank: maxRank,
+            region: region,
+            platform: platform,
+            visibility: visibility,
+            inviteCode: inviteCode,
+            invitedPlayers: partyIds,
+            expiresAt: new Date(expiresAt),
+            confirmationWindow: confirmationWindow,
+            minConfirmed: minConfirmed,
+            customs: customs,
+            spectatorSlots: spectatorSlots
+        };
+
+        // 💾 Save to database FIRST for persistence
+        let dbSession;
+        try {
+            dbSession = await storage.createSession(sessionData);
+            console.log(`💾 Created persistent session #${sessionId.slice(-6)} in database`);
+
+            // Create user session tracking in database (scheduled sessions do this at start)
+            if (!scheduledStart) {
+                for (const playerId of [user.id, ...partyIds]) {
+                    await storage.createUserSession({
+                        userId: playerId,
+                        sessionId: sessionId
+                    });
+                }
+                console.log(`📋 Created user session tracking for ${user.displayName}${partyIds.length > 0 ? ` and ${partyIds.length} party members` : ''}`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to create session in database:', error);
+            // Clean up voice channel if database creation failed
+            if (voiceChannel) {
+                try {
+                    await voiceChannel.delete();
+                    console.log('🧹 Cleaned up voice channel after database error');
+                } catch (cleanupError) {
+                    console.error('Error cleaning up voice channel:', cleanupError);
+                }
+            }
+
+            await interaction.editReply({ 
+                content: '❌ **Database Error**: Could not create persistent session. Please try again.'
+            });
+            return;
+        }
+
+        // Create memory session with all data
+        const session = {
+            id: sessionId,
+            creator: user.id,
+            guildId: guild.id,
+            channelId: interaction.channel.id,
+            messageId: null, // Will be set after message creation
+            game: gameData.name,
+            gamemode: gamemode,
+            playersNeeded: playersNeeded,
+            info: info,
+            currentPlayers: [user.id, ...partyIds], // Creator first, then any premade party
+            confirmedPlayers: [],
+            voiceChannel: voiceChannel ? voiceChannel.id : null,
+            category: category ? category.id : null,
+            createdAt: Date.now(),
+            expiresAt: expiresAt, // Extended by the leader's "Extend +15m" button
+            confirmationStartTime: null, // When confirmation phase started
+            scheduledStart: scheduledStart ? scheduledStart.getTime() : null,
+            reminderSent: false,
+            waitlist: [], // Players queued for the next free slot, in order
+            minRank: minRank,
+            maxRank: maxRank,
+            region: region,
+            platform: platform,
+            locked: false, // Leader can stop new players joining
+            kickedPlayers: [], // Players the leader removed; they can't rejoin
+            visibility: visibility, // public or invite
+            inviteCode: inviteCode,
+            invitedPlayers: [...partyIds], // Players allowed into an invite-only session
+            confirmationWindow: confirmationWindow, // Minutes to confirm once full
+            minConfirmed: minConfirmed, // Start at the deadline with this many ready (null = everyone)
+            customs: customs, // Team setup for /customs matches, null for regular sessions
+            filledAt: null, // First time the party was full, for session history
+            startedAt: null, // When the match was finalized
+            scheduledEventId: null, // Discord guild event for scheduled sessions
+            voiceLockedLimit: null, // User limit to restore when the leader unlocks voice
+            voicePresence: {}, // userId -> { firstJoinedAt, joinedAt, leftAt } in the session's voice channels
+            noShowChecked: false, // Voice no-shows are flagged once per session
+            threadId: null, // Private party chat thread, when the guild allows them
+            spectatorSlots: spectatorSlots, // Listen-only voice slots, 0 = no spectators
+            spectators: [], // Users watching the session without a player slot
+            status: scheduledStart ? 'scheduled' : 'waiting', // scheduled, waiting, confirming, completed
+            timeoutId: null // Store timeout ID for proper cleanup
+        };
+
+        activeSessions.set(sessionId, session);
+        userCreatedSessions.set(user.id, sessionId); // Track creator
+        if (!scheduledStart) {
+            await removeFromQueue([user.id, ...partyIds]);
+
+            for (const playerId of [user.id, ...partyIds]) {
+                await stopSpectatingOnJoin(guild, playerId, sessionId);
+            }
+            for (const partyId of partyIds) {
+                await manageVoiceChannelAccess(voiceChannel, partyId, 'grant', `Added to LFG session #${sessionId.slice(-6)} by ${user.displayName}`);
+            }
+        }
+
+        // Set up automatic expiration (scheduled sessions start their timer at start time)
+        if (!scheduledStart) {
+            scheduleNoJoinerExpiry(session);
+        }
+
+        // Create embed using original beautiful detailed format
+        const embed = createDetailedLfgEmbed(session, guild, sessionId);
+
+        const joinButton = scheduledStart
+            ? createRsvpButton(session)
+            : new ButtonBuilder()
+                .setCustomId(`join_lfg_${sessionId}`)
+                .setLabel(`⚡ Join Squad (${playersNeeded - session.currentPlayers.length} spots left)`)
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('🎮');
+
+        const row = createSessionRow(session, joinButton);
+
+        // Planned sessions come with a calendar invite
+        const files = scheduledStart ? [createSessionIcs(session, guild)] : [];
+        const response = await interaction.editReply({ embeds: [embed], components: [row], files });
+
+        // 💾 Store the message ID for reliable updates in BOTH memory and database
+        session.messageId = response.id;
+
+        if (inviteCode) {
+            await interaction.followUp({ 
+                content: `🔐 **Your session is invite-only.** Invite players with \`/lfg invite\`, or share the code **\`${inviteCode}\`** - they can join with \`/lfg join code:${inviteCode}\`.`,
+                flags: 64
+            });
+        }
+
+        // Update database with message ID for persistence
+        try {
+            await storage.updateSession(sessionId, { messageId: response.id });
+            console.log(`💾 Updated session #${sessionId.slice(-6)} with message ID in database`);
+        } catch (error) {
+            console.error('❌ Failed to update message ID in database:', error);
+        }
+
+        await createSessionThread(session, interaction.channel, user.displayName);
+        if (scheduledStart) {
+            await createSessionEvent(session, guild);
+        }
+
+        await notifyPremadeParty(session, user, partyIds);
+        await notifySubscribers(session, gameData, interaction.channel);
+
+    } catch (error) {
+        console.error('Error creating LFG session:', error);
+
+        // Clean up any partially created resources
+        if (userCreatedSessions.has(user.id)) {
+            const partialSessionId = userCreatedSessions.get(user.id);
+            activeSessions.delete(partialSessionId);
+            userCreatedSessions.delete(user.id);
+
+            // Also clean up from database
+            try {
+                await storage.deleteSession(partialSessionId);
+                console.log(`🧹 Cleaned up partial session #${partialSessionId.slice(-6)} from database`);
+            } catch (dbError) {
+                console.error('Error cleaning up partial session from database:', dbError);
+            }
+        }
+
+        // Clean up voice channel if it was created
+        if (voiceChannel) {
+            try {
+                await voiceChannel.delete();
+                console.log('🧹 Cleaned up voice channel after error');
+            } catch (cleanupError) {
+                console.error('Error cleaning up voice channel:', cleanupError);
+            }
+        }
+
+        try {
+            await interaction.editReply({ content: 'Failed to create LFG session. Please try again.' });
+        } catch (replyError) {
+            console.error('Error sending failure message:', replyError);
+        }
+    }
+}
+
+// Why a premade member couldn't have joined the session themselves, or null if they could
+async function getPremadeMemberProblem(partyMember, session) {
+    const busySession = session.scheduledStart ? null : findLiveSessionForUser(partyMember.id);
+    if (busySession) {
+        return `is already in an LFG session (#${busySession.id.slice(-6)})`;
+    }
+    if (getReliabilityError(session.guildId, partyMember.id)) {
+        return "can't join sessions right now - they're on a no-show cooldown or below this server's reliability minimum";
+    }
+    if (checkRankRequirement(partyMember, session)) {
+        return `doesn't meet the ${formatRankRequirement(session)} rank requirement`;
+    }
+    if ((await getPreferenceMismatches(partyMember.id, session)).length > 0) {
+        return `has a saved region or platform that doesn't match this session (${formatRegion(session.region)} • ${formatPlatform(session.platform)})`;
+    }
+    return null;
+}
+
+// DM friends added with the `with` options so they know, with a one-click way out
+async function notifyPremadeParty(session, creator, partyIds) {
+    const isScheduled = session.status === 'scheduled';
+
+    for (const partyId of partyIds) {
+        const embed = new EmbedBuilder()
+            .setColor(isScheduled ? 0x9b59b6 : 0x00d4ff)
+            .setTitle(`🎮 You're in ${creator.displayName}'s ${session.game} party!`)
+            .setDescription(`**${creator.displayName}** added you to their **${session.game} • ${session.gamemode}** session.\n\n👥 **Squad:** ${session.currentPlayers.length}/${session.playersNeeded}\n${isScheduled ? `📅 **Starts:** <t:${Math.floor(session.scheduledStart / 1000)}:F> - voice opens at start time` : `🔊 **Voice:** <#${session.voiceChannel}>`}\n\nNot playing? Opt out below and your spot opens up for someone else.`)
+            .setFooter({ text: `Session #${session.id.slice(-6)}` })
+            .setTimestamp();
+
+        const optOutButton = new ButtonBuilder()
+            .setCustomId(`leave_lfg_${session.id}`)
+            .setLabel('Opt Out')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('🚪');
+
+        try {
+            const partyUser = await client.users.fetch(partyId);
+            await partyUser.send({ embeds: [embed], components: [new ActionRowBuilder().addComponents(optOutButton)] });
+        } catch (error) {
+            console.log(`Could not DM party member ${partyId}: ${error.message}`);
+        }
+    }
+}
+
+async function getOrCreateGameCategory(guild, gameKey, gameName) {
+    const categoryName = `🎮 ${gameName}`;
+
+    // Check if category already exists
+    let category = guild.channels.cache.find(c => 
+        c.type === ChannelType.GuildCategory && c.name === categoryName
+    );
+
+    if (!category) {
+        // Create new category
+        category = await guild.channels.create({
+            name: categoryName,
+            type: ChannelType.GuildCategory,
+            permissionOverwrites: [
+                {
+                    id: guild.roles.everyone.id,
+                    allow: [PermissionFlagsBits.ViewChannel],
+                    deny: [PermissionFlagsBits.Connect]
+                }
+            ]
+        });
+
+        gameCategories.set(gameKey, category.id);
+        console.log(`Created category: ${categoryName}`);
+    }
+
+    return category;
+}
+
+// 🎮 GAME CATALOG - per-guild games and modes, managed with /game
+
+// Load a guild's catalog into memory, seeding it from DEFAULT_GAMES when empty
+async function getGuildCatalog(guildId) {
+    const fallbackAt = catalogFallbackTimes.get(guildId);
+    if (gameCatalogs.has(guildId) && (!fallbackAt || Date.now() - fallbackAt < CATALOG_FALLBACK_TTL)) {
+        return gameCatalogs.get(guildId);
+    }
+
+    let rows = await storage.getGameCatalog(guildId);
+    if (rows.length === 0) {
+        rows = await storage.seedGameCatalog(guildId, DEFAULT_GAMES);
+        if (rows.length > 0) {
+            console.log(`🎮 Seeded default game catalog for guild ${guildId}`);
+        }
+    } else if (rows.some(row => !row.ranksSeeded)) {
+        rows = await backfillDefaultRanks(guildId, rows);
+    }
+
+    // Fall back to the defaults if the database is unavailable, cached briefly so lookups keep working
+    if (rows.length === 0) {
+        const fallback = new Map(Object.entries(DEFAULT_GAMES).map(([key, game]) => [key, {
+            key,
+            ...game,
+            ranks: (game.ranks || []).map(name => ({ name, roleId: null }))
+        }]));
+        gameCatalogs.set(guildId, fallback);
+        catalogFallbackTimes.set(guildId, Date.now());
+        return fallback;
+    }
+
+    const catalog = new Map(rows.map(row => [row.gameKey, catalogEntryFromRow(row)]));
+    gameCatalogs.set(guildId, catalog);
+    catalogFallbackTimes.delete(guildId);
+    return catalog;
+}
+
+// Catalogs seeded before rank ladders existed get the default ladders once; staff edits after that stick
+async function backfillDefaultRanks(guildId, rows) {
+    const updated = [];
+    for (const row of rows) {
+        const defaultRanks = DEFAULT_GAMES[row.gameKey]?.ranks || [];
+        if (row.ranksSeeded || (Array.isArray(row.ranks) && row.ranks.length > 0) || defaultRanks.length === 0) {
+            updated.push(row);
+            continue;
+        }
+
+        const saved = await storage.upsertCatalogGame({
+            guildId,
+            gameKey: row.gameKey,
+            name: row.name,
+            emoji: row.emoji,
+            description: row.description,
+            modes: row.modes,
+            ranks: defaultRanks.map(name => ({ name, roleId: null }))
+        });
+        updated.push(saved || row);
+    }
+
+    if (await storage.markCatalogRanksSeeded(guildId)) {
+        console.log(`🏅 Backfilled default rank ladders for guild ${guildId}`);
+    }
+    return updated;
+}
+
+function catalogEntryFromRow(row) {
+    return {
+        key: row.gameKey,
+        name: row.name,
+        emoji: row.emoji,
+        description: row.description,
+        modes: Array.isArray(row.modes) ? row.modes : [],
+        ranks: Array.isArray(row.ranks) ? row.ranks : []
+    };
+}
+
+// Find a game in a loaded catalog by key or (case-insensitive) name
+function findCatalogGame(guildId, input) {
+    if (!input) return undefined;
+    const catalog = gameCatalogs.get(guildId);
+    if (!catalog) return undefined;
+
+    const search = input.toLowerCase();
+    return catalog.get(search) || catalog.get(toGameKey(input)) ||
+        Array.from(catalog.values()).find(game => game.name.toLowerCase() === search);
+}
+
+function toGameKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 32);
+}
+
+// Store empty channel timestamps
+const emptyChannelTimestamps = new Map();
+
+// Cleanup empty channels every minute with improved reliability
+async function cleanupEmptyChannels() {
+    for (const guild of client.guilds.cache.values()) {
+        try {
+            // Verify bot has necessary permissions
+            const botMember = guild.members.cache.get(client.user.id);
+            if (!botMember || !botMember.permissions.has(PermissionFlagsBits.ManageChannels)) {
+                console.log(`Skipping cleanup for guild ${guild.name} - missing permissions`);
+                continue;
+            }
+            // Clean up empty LFG voice channels - but respect active LFG sessions until they expire
+            const voiceChannels = guild.channels.cache.filter(c => 
+                c.type === ChannelType.GuildVoice && 
+                c.members.size === 0 && 
+                c.parent && 
+                c.parent.name.startsWith('🎮')
+            );
+
+            for (const channel of voiceChannels.values()) {
+                // Ending a match earlier in this pass can delete its other channels
+                if (!guild.channels.cache.has(channel.id)) continue;
+
+                const now = Date.now();
+
+                // Check if this channel belongs to an active LFG session
+                const session = Array.from(activeSessions.values()).find(s => 
+                    s.voiceChannel === channel.id || s.customs?.teamChannels.includes(channel.id)
+                );
+
+                if (session) {
+                    // Verify session is still valid
+                    if (!session.guildId || !session.creator || !session.currentPlayers) {
+                        console.log(`Found corrupted session ${session.id}, removing...`);
+                        activeSessions.delete(session.id);
+                        userCreatedSessions.delete(session.creator);
+                        // Allow channel to be cleaned up
+                    } else if (session.status === 'waiting') {
+                        // Active LFG session - don't delete the voice channel
+                        // Voice channel will be deleted when:
+                        // 1. Session times out at its expiry time (handled by checkExpiredLfgSessions)
+                        // 2. All players leave permanently (handled by leave LFG command)
+                        console.log(`Protecting active LFG session voice channel: ${channel.name}`);
+                        // Clear any empty timestamp since we're protecting this channel
+                        emptyChannelTimestamps.delete(channel.id);
+                    } else if (session.status === 'active' && session.startedAt && !isNoShowGraceOver(session)) {
+                        // Players get the no-show grace period to connect before an empty channel counts
+                        emptyChannelTimestamps.delete(channel.id);
+                    } else {
+                        // Session in other states (started, ended, etc.) - allow normal cleanup
+                        if (!emptyChannelTimestamps.has(channel.id)) {
+                            // Mark channel as empty
+                            emptyChannelTimestamps.set(channel.id, now);
+                        } else {
+                            // Check if channel has been empty for more than 5 minutes
+                            const emptyTime = now - emptyChannelTimestamps.get(channel.id);
+                            if (emptyTime > 300000) { // 5 minutes for non-waiting sessions
+                                // Everyone has left the match's voice channels (or nobody ever came), so the game is over
+                                const sessionChannels = [session.voiceChannel, ...(session.customs?.teamChannels || [])];
+                                if (session.status === 'active' && sessionChannels.every(id => !guild.channels.cache.get(id)?.members.size)) {
+                                    emptyChannelTimestamps.delete(channel.id);
+                                    await checkSessionNoShows(session);
+                                    await endFinishedSession(session, guild);
+                                    continue;
+                                }
+
+                                const category = channel.parent;
+                                await channel.delete();
+                                emptyChannelTimestamps.delete(channel.id);
+                                console.log(`Deleted empty voice channel: ${channel.name} (session not waiting, 5min cleanup)`);
+
+                                // Immediately check and cleanup empty category
+                                if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
+                                    await category.delete();
+                                    console.log(`Deleted empty category: ${category.name}`);
+                                }
+                            }
+                        }
+                    }
+                } else {
+                    // No active session, use regular 1-minute cleanup
+                    if (!emptyChannelTimestamps.has(channel.id)) {
+                        // Mark channel as empty
+                        emptyChannelTimestamps.set(channel.id, now);
+                    } else {
+                        // Check if channel has been empty for more than 1 minute
+                        const emptyTime = now - emptyChannelTimestamps.get(channel.id);
+                        if (emptyTime > 60000) { // 1 minute
+                            const category = channel.parent;
+                            await channel.delete();
+                            emptyChannelTimestamps.delete(channel.id);
+                            console.log(`Deleted empty voice channel: ${channel.name} (no active session)`);
+
+                            // Immediately check and cleanup empty category
+                            if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
+                                await category.delete();
+                                console.log(`Deleted empty category: ${category.name}`);
+                            }
+                        }
+                    }
+                }
+            }
+
+            // Clean up empty game categories
+            const gameCategories = guild.channels.cache.filter(c => 
+                c.type === ChannelType.GuildCategory && 
+                c.name.startsWith('🎮') &&
+                c.children.cache.size === 0
+            );
+
+            for (const category of gameCategories.values()) {
+                await category.delete();
+                console.log(`Deleted empty category: ${category.name}`);
+            }
+
+        } catch (error) {
+            console.error('Error during cleanup:', error);
+        }
+    }
+}
+
+// Handle voice state changes
+client.on('voiceStateUpdate', async (oldState, newState) => {
+    // Handle someone leaving a channel
+    if (oldState.channel && oldState.channel.members.size === 0) {
+        // Channel became empty - start tracking for cleanup
+        if (oldState.channel.parent && oldState.channel.parent.name.startsWith('🎮')) {
+            emptyChannelTimestamps.set(oldState.channel.id, Date.now());
+        }
+    }
+
+    // Handle someone joining a channel
+    if (newState.channel && emptyChannelTimestamps.has(newState.channel.id)) {
+        // Channel is no longer empty - stop tracking for cleanup
+        emptyChannelTimestamps.delete(newState.channel.id);
+    }
+
+    // Handle joining LFG voice channels - only allow if in session
+    if (newState.channel) {
+        const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === newState.channel.id);
+
+        if (session) {
+            // Only allow users who are part of the LFG session
+            if (session.currentPlayers.includes(newState.member.id) || session.confirmedPlayers.includes(newState.member.id)) {
+                console.log(`${newState.member.displayName} joined LFG voice channel: ${session.game}`);
+            } else if (session.spectators?.includes(newState.member.id)) {
+                console.log(`👀 ${newState.member.displayName} is spectating LFG voice channel: ${session.game}`);
+            } else {
+                // Kick users who aren't part of the session
+                try {
+                    await newState.member.voice.disconnect('Not part of this LFG session');
+                    console.log(`Kicked ${newState.member.displayName} from LFG voice channel - not in session`);
+                } catch (error) {
+                    console.error('Error kicking unauthorized user:', error);
+                }
+            }
+        }
+    }
+
+    // Handle members leaving voice - track for potential session cleanup
+    if (oldState.channel && !newState.channel) {
+        const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === oldState.channel.id);
+        if (session && session.currentPlayers.includes(oldState.member.id)) {
+            console.log(`Member ${oldState.member.displayName} left LFG voice channel for session ${session.id.slice(-6)}`);
+        }
+    }
+});
+
+// New command handlers
+async function handleSetChannelCommand(interaction) {
+
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+        return interaction.reply({ content: '❌ You need Manage Channels permission to use this command!', flags: 64 });
+    }
+
+    const channel = interaction.options.getChannel('channel');
+    const guildId = interaction.guild.id;
+
+
+    // Initialize guild settings if not exists
+    if (!guildSettings.has(guildId)) {
+        guildSettings.set(guildId, {});
+    }
+
+    // Set the LFG channel
+    const settings = guildSettings.get(guildId);
+    settings.lfgChannel = channel.id;
+    guildSettings.set(guildId, settings); // Make sure to set it back
+
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle('✅ LFG Channel Set')
+        .setDescription(`LFG commands can now only be used in ${channel.toString()}`)
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleEmbedCommand(interaction) {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageMessages)) {
+        return interaction.reply({ content: '❌ You need Manage Messages permission to use this command!', flags: 64 });
+    }
+
+    const title = interaction.options.getString('title');
+    const description = interaction.options.getString('description');
+    const colorInput = interaction.options.getString('color') || '#5865f2';
+
+    let color = 0x5865f2;
+    if (colorInput.startsWith('#')) {
+        color = parseInt(colorInput.slice(1), 16);
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setDescription(description)
+        .setColor(color)
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleModCommand(interaction) {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+        return interaction.reply({ content: '❌ You need Moderate Members permission to use this command!', flags: 64 });
+    }
+
+    const action = interaction.options.getString('action');
+    const targetUser = interaction.options.getMember('user');
+    const reason = interaction.options.getString('reason') || 'No reason provided';
+    const duration = interaction.options.getString('duration');
+
+    if (!targetUser) {
+        return interaction.reply({ content: '❌ User not found in this server!', flags: 64 });
+    }
+
+    if (targetUser.roles.highest.position >= interaction.member.roles.highest.position) {
+        return interaction.reply({ content: '❌ You cannot moderate this user (equal or higher role)!', flags: 64 });
+    }
+
+    try {
+        switch (action) {
+            case 'kick':
+                await targetUser.kick(reason);
+                await removeMemberFromAllSessions(targetUser.id);
+                await interaction.reply(`✅ Kicked ${targetUser.user.tag} - ${reason}`);
+                break;
+
+            case 'ban':
+                await targetUser.ban({ reason, deleteMessageDays: 1 });
+                await removeMemberFromAllSessions(targetUser.id);
+                await interaction.reply(`✅ Banned ${targetUser.user.tag} - ${reason}`);
+                break;
+
+            case 'mute':
+                const timeoutDuration = parseDuration(duration || '1h');
+                await targetUser.timeout(timeoutDuration, reason);
+                await interaction.reply(`✅ Muted ${targetUser.user.tag} for ${duration || '1h'} - ${reason}`);
+                break;
+
+            case 'unmute':
+                await targetUser.timeout(null, reason);
+                await interaction.reply(`✅ Unmuted ${targetUser.user.tag} - ${reason}`);
+                break;
+
+            case 'resetreliability':
+                reliabilityRecords.delete(`${interaction.guild.id}:${targetUser.id}`);
+                await storage.deleteReliability(interaction.guild.id, targetUser.id);
+                await interaction.reply(`✅ Reset reliability and cleared any no-show cooldown for ${targetUser.user.tag} - ${reason}`);
+                break;
+        }
+    } catch (error) {
+        console.error('Moderation error:', error);
+        await interaction.reply({ content: `❌ Failed to ${action} user: ${error.message}`, flags: 64 });
+    }
+}
+
+async function handleGameCommand(interaction) {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.reply({ content: '❌ You need Manage Server permission to use this command!', flags: 64 });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+    const catalog = await getGuildCatalog(guildId);
+
+    if (subcommand === 'list') {
+        const games = Array.from(catalog.values()).sort((a, b) => a.name.localeCompare(b.name));
+        const lines = games.map(game => {
+            let line = `${game.emoji || '🎮'} **${game.name}** (\`${game.key}\`)\n└ ${game.modes.length > 0 ? game.modes.join(', ') : '*No modes*'}`;
+            if (game.ranks.length > 0) {
+                const linked = game.ranks.filter(rank => rank.roleId).length;
+                line += `\n└ 🏅 ${game.ranks[0].name} → ${game.ranks[game.ranks.length - 1].name} (${linked}/${game.ranks.length} ranks linked to roles)`;
+            }
+            return line;
+        });
+
+        let description = lines.join('\n');
+        if (description.length > 4000) {
+            description = description.substring(0, 3990) + '\n…';
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00d4ff)
+            .setTitle(`🎮 Game Catalog • ${games.length} ${games.length === 1 ? 'game' : 'games'}`)
+            .setDescription(description || 'No games yet - add one with `/game add`.')
+            .setTimestamp();
+
+        return interaction.reply({ embeds: [embed], flags: 64 });
+    }
+
+    if (subcommand === 'add') {
+        const name = interaction.options.getString('name').trim();
+        const gameKey = toGameKey(name);
+        const modes = [...new Set(interaction.options.getString('modes')
+            .split(',')
+            .map(mode => mode.trim())
+            .filter(mode => mode.length > 0 && mode.length <= MAX_MODE_NAME_LENGTH))];
+
+        if (!gameKey) {
+            return interaction.reply({ content: '❌ The game name needs at least one letter or number.', flags: 64 });
+        }
+        if (modes.length === 0) {
+            return interaction.reply({ content: `❌ Add at least one mode (up to ${MAX_MODE_NAME_LENGTH} characters each).`, flags: 64 });
+        }
+        if (modes.length > MAX_CATALOG_MODES) {
+            return interaction.reply({ content: `❌ A game can have at most ${MAX_CATALOG_MODES} modes.`, flags: 64 });
+        }
+
+        const existing = catalog.get(gameKey);
+        const saved = await storage.upsertCatalogGame({
+            guildId,
+            gameKey,
+            name,
+            emoji: interaction.options.getString('emoji') || existing?.emoji || '🎮',
+            description: interaction.options.getString('description') || existing?.description || null,
+            modes,
+            ranks: existing?.ranks || []
+        });
+
+        if (!saved) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save the game. Please try again.', flags: 64 });
+        }
+
+        catalog.set(gameKey, catalogEntryFromRow(saved));
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00ff00)
+            .setTitle(`✅ Game ${existing ? 'Updated' : 'Added'}`)
+            .setDescription(`${saved.emoji} **${saved.name}** (\`${gameKey}\`)\n**Modes:** ${modes.join(', ')}${saved.description ? `\n**Description:** ${saved.description}` : ''}`)
+            .setTimestamp();
+
+        return interaction.reply({ embeds: [embed] });
+    }
+
+    const game = findCatalogGame(guildId, interaction.options.getString('game'));
+    if (!game) {
+        return interaction.reply({ content: '❌ That game is not in this server\'s catalog. See `/game list`.', flags: 64 });
+    }
+
+    if (subcommand === 'remove') {
+        if (catalog.size === 1) {
+            return interaction.reply({ content: '❌ You can\'t remove the last game in the catalog.', flags: 64 });
+        }
+
+        const deleted = await storage.deleteCatalogGame(guildId, game.key);
+        if (!deleted) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not remove the game. Please try again.', flags: 64 });
+        }
+
+        catalog.delete(game.key);
+        return interaction.reply({ content: `🗑️ Removed ${game.emoji || '🎮'} **${game.name}** from the catalog. Existing sessions are not affected.` });
+    }
+
+    if (subcommand === 'ranks' || subcommand === 'rankrole') {
+        return handleGameRanksSubcommand(interaction, subcommand, game);
+    }
+
+    const mode = interaction.options.getString('mode').trim();
+    let modes;
+
+    if (subcommand === 'addmode') {
+        if (!mode) {
+            return interaction.reply({ content: '❌ The mode name can\'t be empty.', flags: 64 });
+        }
+        if (game.modes.some(existing => existing.toLowerCase() === mode.toLowerCase())) {
+            return interaction.reply({ content: `❌ **${game.name}** already has a **${mode}** mode.`, flags: 64 });
+        }
+        if (game.modes.length >= MAX_CATALOG_MODES) {
+            return interaction.reply({ content: `❌ A game can have at most ${MAX_CATALOG_MODES} modes.`, flags: 64 });
+        }
+        modes = [...game.modes, mode];
+    } else if (subcommand === 'removemode') {
+        if (!game.modes.includes(mode)) {
+            return interaction.reply({ content: `❌ **${game.name}** has no **${mode}** mode.`, flags: 64 });
+        }
+        if (game.modes.length === 1) {
+            return interaction.reply({ content: '❌ A game needs at least one mode. Remove the game instead.', flags: 64 });
+        }
+        modes = game.modes.filter(existing => existing !== mode);
+    }
+
+    const saved = await storage.upsertCatalogGame({
+        guildId,
+        gameKey: game.key,
+        name: game.name,
+        emoji: game.emoji,
+        description: game.description,
+        modes,
+        ranks: game.ranks
+    });
+
+    if (!saved) {
+        return interaction.reply({ content: '❌ **Database Error**: Could not update the game. Please try again.', flags: 64 });
+    }
+
+    catalog.set(game.key, catalogEntryFromRow(saved));
+    await interaction.reply({ 
+        content: `✅ ${subcommand === 'addmode' ? 'Added' : 'Removed'} mode **${mode}** ${subcommand === 'addmode' ? 'to' : 'from'} ${game.emoji || '🎮'} **${game.name}**.\n**Modes:** ${modes.join(', ')}`
+    });
+}
+
+async function handleGameRanksSubcommand(interaction, subcommand, game) {
+    let ranks;
+
+    if (subcommand === 'ranks') {
+        const input = interaction.options.getString('ranks').trim();
+        const names = input.toLowerCase() === 'none' ? [] : [...new Set(input
+            .split(',')
+            .map(rank => rank.trim())
+            .filter(rank => rank.length > 0 && rank.length <= MAX_MODE_NAME_LENGTH))];
+
+        if (names.length > MAX_CATALOG_MODES) {
+            return interaction.reply({ content: `❌ A rank ladder can have at most ${MAX_CATALOG_MODES} ranks.`, flags: 64 });
+        }
+
+        // Keep role links for ranks that survive the edit
+        ranks = names.map(name => ({
+            name,
+            roleId: game.ranks.find(rank => rank.name.toLowerCase() === name.toLowerCase())?.roleId || null
+        }));
+    } else {
+        const rankName = interaction.options.getString('rank');
+        const role = interaction.options.getRole('role');
+        const rankIndex = game.ranks.findIndex(rank => rank.name.toLowerCase() === rankName.toLowerCase());
+
+        if (rankIndex === -1) {
+            return interaction.reply({ content: `❌ **${game.name}** has no **${rankName}** rank. Set the ladder with \`/game ranks\` first.`, flags: 64 });
+        }
+
+        ranks = game.ranks.map((rank, index) => index === rankIndex ? { ...rank, roleId: role.id } : rank);
+    }
+
+    const saved = await storage.upsertCatalogGame({
+        guildId: interaction.guild.id,
+        gameKey: game.key,
+        name: game.name,
+        emoji: game.emoji,
+        description: game.description,
+        modes: game.modes,
+        ranks
+    });
+
+    if (!saved) {
+        return interaction.reply({ content: '❌ **Database Error**: Could not update the game. Please try again.', flags: 64 });
+    }
+
+    gameCatalogs.get(interaction.guild.id)?.set(game.key, catalogEntryFromRow(saved));
+
+    const ladder = ranks.length > 0
+        ? ranks.map((rank, index) => `**${index + 1}.** ${rank.name}${rank.roleId ? ` → <@&${rank.roleId}>` : ''}`).join('\n')
+        : '*No rank ladder - rank requirements are disabled for this game*';
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle(`🏅 ${game.emoji || '🎮'} ${game.name} Rank Ladder`)
+        .setDescription(ladder.length > 4000 ? ladder.substring(0, 3990) + '\n…' : ladder)
+        .setFooter({ text: `Ranks without a linked role match a role named "${game.name} <rank>"` })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], allowedMentions: { roles: [] } });
+}
+
+async function handleJoinLfg(interaction, options = {}) {
+    try {
+        // Defer the interaction immediately to prevent timeout
+        await interaction.deferUpdate();
+
+        const sessionId = interaction.customId.replace(/^(join_lfg_|join_anyway_|accept_invite_)/, '');
+        const session = activeSessions.get(sessionId);
+
+        console.log(`User ${interaction.user.displayName} (${interaction.user.id}) attempting to join session ${sessionId}`);
+
+        if (!session) {
+            console.log(`Session ${sessionId} not found`);
+
+            // Try to find and disable this outdated button
+            const embed = new EmbedBuilder()
+                .setColor(0x95a5a6)
+                .setTitle('❌ LFG Session Expired')
+                .setDescription('This LFG session is no longer active.')
+                .setTimestamp();
+
+            try {
+                await interaction.editReply({ embeds: [embed], components: [] });
+                console.log(`Disabled outdated LFG button for session ${sessionId}`);
+            } catch (updateError) {
+                console.error('Error disabling outdated button:', updateError);
+            }
+            return;
+        }
+
+        // Invites are accepted from DMs, so don't rely on the interaction's guild
+        const guild = client.guilds.cache.get(session.guildId);
+        const member = interaction.member || await guild?.members.fetch(interaction.user.id).catch(() => null);
+        if (!member) {
+            return interaction.followUp({ content: "❌ You need to be a member of the session's server to join it.", ephemeral: true });
+        }
+
+        if (session.currentPlayers.includes(interaction.user.id)) {
+            // User is already in this session, show enhanced status
+            const statusEmbed = new EmbedBuilder()
+                .setColor(0xffa500)
+                .setTitle('ℹ️ **Already in Team!**')
+                .setDescription(`**You're already part of this ${session.game} session**\n\n👥 **Team:** ${session.currentPlayers.length}/${session.playersNeeded}\n🔊 **Voice:** ${session.voiceChannel ? `<#${session.voiceChannel}>` : 'Opens at start time'}\n⏰ **Status:** ${session.status === 'confirming' ? 'Waiting for confirmations' : session.status === 'scheduled' ? `Starts <t:${Math.floor(session.scheduledStart / 1000)}:R>` : 'Looking for more players'}\n\n*Click **Leave Team** if you want to exit this session.*`)
+                .setTimestamp();
+
+            const leaveButton = new ButtonBuilder()
+                .setCustomId(`leave_lfg_${sessionId}`)
+                .setLabel('Leave Team')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🚪');
+
+            const row = new ActionRowBuilder().addComponents(leaveButton);
+
+            console.log(`User ${interaction.user.id} (${interaction.user.displayName}) tried to join session they're already in`);
+
+            return interaction.editReply({ 
+                embeds: [statusEmbed],
+                components: [row]
+            });
+        }
+
+        // Leaders can lock a session or remove players who then can't come back
+        if (session.locked || session.kickedPlayers?.includes(interaction.user.id)) {
+            const lockedEmbed = new EmbedBuilder()
+                .setColor(0xff6b6b)
+                .setTitle('🔒 **Session Closed to New Players**')
+                .setDescription(session.locked
+                    ? `**The leader has locked this ${session.game} session**\n\n🔍 Look for another session or create your own with \`/lfg create\`!`
+                    : `**You were removed from this ${session.game} session by the leader**\n\n🔍 Look for another session or create your own with \`/lfg create\`!`)
+                .setTimestamp();
+
+            return interaction.followUp({ embeds: [lockedEmbed], ephemeral: true });
+        }
+
+        const reliabilityError = getReliabilityError(session.guildId, interaction.user.id);
+        if (reliabilityError) {
+            return interaction.followUp({ content: `❌ ${reliabilityError}`, ephemeral: true });
+        }
+
+        if (session.visibility === 'invite' && !session.invitedPlayers.includes(interaction.user.id)) {
+            const inviteEmbed = new EmbedBuilder()
+                .setColor(0xff6b6b)
+                .setTitle('🔐 **Invite Only**')
+                .setDescription(`**This ${session.game} session is invite-only**\n\nAsk the leader for an invite, or redeem their code with \`/lfg join code:XXXXXX\`.`)
+                .setTimestamp();
+
+            return interaction.followUp({ embeds: [inviteEmbed], ephemeral: true });
+        }
+
+        // Rank-restricted sessions only accept players whose rank role is in range
+        const rankProblem = checkRankRequirement(member, session);
+        if (rankProblem) {
+            const rankEmbed = new EmbedBuilder()
+                .setColor(0xff6b6b)
+                .setTitle('🏅 **Rank Requirement Not Met**')
+                .setDescription(`**This ${session.game} session is for ${formatRankRequirement(session)} players**\n\n${rankProblem}\n\n🔍 Look for another session or create your own with \`/lfg create\`!`)
+                .setTimestamp();
+
+            return interaction.followUp({ embeds: [rankEmbed], ephemeral: true });
+        }
+
+        // Warn players whose saved region or platform doesn't match, and let them confirm
+        if (!options.ignoreMismatch) {
+            const mismatches = await getPreferenceMismatches(interaction.user.id, session);
+            if (mismatches.length > 0) {
+                const warningEmbed = new EmbedBuilder()
+                    .setColor(0xffa500)
+                    .setTitle('⚠️ **Region / Platform Mismatch**')
+                    .setDescription(`**This ${session.game} session might not be a good fit for you**\n\n${mismatches.join('\n')}\n\nJoin anyway if you're sure you can play together.`)
+                    .setFooter({ text: 'Change your defaults with /preferences' })
+                    .setTimestamp();
+
+                const joinAnywayButton = new ButtonBuilder()
+                    .setCustomId(`join_anyway_${sessionId}`)
+                    .setLabel('Join Anyway')
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('✅');
+
+                return interaction.followUp({
+                    embeds: [warningEmbed],
+                    components: [new ActionRowBuilder().addComponents(joinAnywayButton)],
+                    ephemeral: true
+                });
+            }
+        }
+
+        if (session.currentPlayers.length >= session.playersNeeded) {
+            await handleJoinWaitlist(interaction, session);
+            return;
+        }
+
+        // Check if user is already in another LFG session (improved check)
+        // RSVPs to scheduled sessions don't count against live sessions and vice versa
+        const userInOtherSession = session.status === 'scheduled' ? null : findLiveSessionForUser(interaction.user.id, sessionId);
+
+        if (userInOtherSession) {
+            const conflictEmbed = new EmbedBuilder()
+                .setColor(0xff6b6b)
+                .setTitle('⚠️ **Already in Another Team!**')
+                .setDescription(`**You can only be in one LFG session at a time**\n\n🎮 **Current Session:** ${userInOtherSession.game}\n🆔 **Session ID:** #${userInOtherSession.id.slice(-6)}\n👥 **Team:** ${userInOtherSession.currentPlayers.length}/${userInOtherSession.playersNeeded}\n\n🚪 Leave your current session first to join this one!`)
+                .setTimestamp();
+
+            return interaction.editReply({ 
+                embeds: [conflictEmbed]
+            });
+        }
+
+        // Add user to session and update database immediately
+        session.currentPlayers.push(interaction.user.id);
+
+        // A spectator taking a player slot gives up the spectator slot; the player grant below restores Speak
+        await stopSpectatingOnJoin(guild, interaction.user.id, session.id);
+
+        // Update database with new player
+        try {
+            await storage.updateSession(sessionId, {
+                currentPlayers: session.currentPlayers,
+                status: session.status
+            });
+            console.log(`✅ Updated session ${sessionId.slice(-6)} in database with new player`);
+
+            // Create user session tracking for the new player (RSVPs are tracked at start time)
+            if (session.status !== 'scheduled') {
+                await storage.createUserSession({
+                    userId: interaction.user.id,
+                    sessionId: sessionId
+                });
+                console.log(`📋 Created user session tracking for ${interaction.user.displayName}`);
+                await removeFromQueue([interaction.user.id]);
+            }
+        } catch (dbError) {
+            console.error(`❌ Failed to update session in database:`, dbError);
+        }
+
+        await addToSessionThread(session, interaction.user.id);
+
+        // RSVPs don't get voice access or a ready check until the session starts
+        if (session.status === 'scheduled') {
+            await handleScheduledRsvp(interaction, session);
+            return;
+        }
+
+    // Grant voice channel access to the new player
+    try {
+        const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+        if (voiceChannel) {
+            const accessGranted = await manageVoiceChannelAccess(
+                voiceChannel, 
+                interaction.user.id, 
+                'grant', 
+                `Joined LFG session #${sessionId.slice(-6)}`
+            );
+
+            if (!accessGranted) {
+                console.warn(`⚠️ Failed to grant voice access to ${interaction.user.displayName}`);
+                // Still continue with the session join, voice access can be retried
+            }
+        }
+    } catch (error) {
+        console.error('Error granting voice channel access:', error);
+    }
+
+    // Keep the original format and just add party progress
+    const isFull = session.currentPlayers.length === session.playersNeeded;
+    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+
+    // Use the original beautiful detailed format
+    const embed = createDetailedLfgEmbed(session, guild, sessionId);
+
+    if (session.currentPlayers.length === session.playersNeeded) {
+        // Team is full, start enhanced confirmation process
+        await startConfirmationPhase(session, guild, interaction);
+    } else {
+        const row = createSessionRow(session, createJoinButton(session));
+
+        await updateSessionPost(interaction, session, { embeds: [embed], components: [row] });
+
+        // Enhanced join confirmation with better UX (only for non-full teams)
+        const successEmbed = new EmbedBuilder()
+            .setColor(0x00ff00)
+            .setTitle('🎉 Welcome to the Team!')
+            .setDescription(`**Successfully joined ${session.game}!**\n\n🔊 **Voice Channel:** <#${session.voiceChannel}>\n🎮 **Mode:** ${session.gamemode}\n👥 **Team Size:** ${session.currentPlayers.length}/${session.playersNeeded}\n\n🔍 **Waiting for ${spotsLeft} more ${spotsLeft === 1 ? 'player' : 'players'}**`)
+            .setTimestamp();
+
+        const leaveButton = new ButtonBuilder()
+            .setCustomId(`leave_lfg_${sessionId}`)
+            .setLabel('🚪 Leave Squad')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('🔄');
+
+        const leaveRow = new ActionRowBuilder().addComponents(leaveButton);
+
+        // Send join confirmation as ephemeral message (only visible to the user who joined)
+        try {
+            await interaction.followUp({ 
+                embeds: [successEmbed], 
+                components: [leaveRow],
+                ephemeral: true
+            });
+        } catch (followUpError) {
+            console.error('Error sending join confirmation:', followUpError);
+            // Fallback to channel message if followUp fails
+            try {
+                const channel = guild.channels.cache.get(session.channelId);
+                if (channel) {
+                    await channel.send({ 
+                        content: `<@${interaction.user.id}>`,
+                        embeds: [successEmbed], 
+                        components: [leaveRow],
+                        allowedMentions: { users: [interaction.user.id] }
+                    });
+                }
+            } catch (channelError) {
+                console.error('Error sending fallback join confirmation:', channelError);
+            }
+        }
+    }
+    } catch (error) {
+        console.error('Error in handleJoinLfg:', error);
+        try {
+            await interaction.editReply({ 
+                content: '❌ Something went wrong. Please try again.'
+            });
+        } catch (replyError) {
+            console.error('Error replying to interaction:', replyError);
+        }
+    }
+}
+
+// Start the ready check for a full party. Without an interaction the session message is edited directly.
+async function startConfirmationPhase(session, guild, interaction = null) {
+    const sessionId = session.id;
+    session.status = 'confirming';
+    session.confirmationStartTime = Date.now();
+    session.filledAt = session.filledAt || session.confirmationStartTime;
+
+    const embed = createDetailedLfgEmbed(session, guild, sessionId);
+    const row = createConfirmationRow(session);
+
+    // Enhanced confirmation message with better visuals
+    const playerPings = session.currentPlayers.map(id => `<@${id}>`).join(' ');
+    const confirmEmbed = new EmbedBuilder()
+        .setColor(0xffd700)
+        .setTitle('🎯 **TEAM ASSEMBLED!**')
+        .setDescription(`**All players found for ${session.game}!**\n\n⏰ **You have ${session.confirmationWindow} ${session.confirmationWindow === 1 ? 'minute' : 'minutes'} to confirm**\nClick **Ready to Play!** if you're available right now.${session.minConfirmed ? `\n🚀 The match starts at the deadline if at least **${session.minConfirmed}** players are ready.` : ''}\n\n🔊 Voice channel: <#${session.voiceChannel}>`)
+        .setTimestamp();
+
+    try {
+        await updateSessionPost(interaction, session, { embeds: [embed], components: [row] });
+
+        // Use a separate channel message instead of followUp to avoid interaction conflicts
+        const channel = guild.channels.cache.get(session.channelId);
+        if (channel) {
+            await channel.send({ 
+                content: `${playerPings}`,
+                embeds: [confirmEmbed],
+                allowedMentions: { users: session.currentPlayers }
+            });
+        }
+    } catch (interactionError) {
+        console.error('Error updating interaction for full team:', interactionError);
+    }
+
+    // Clear any existing timeout first to prevent conflicts
+    if (session.timeoutId) {
+        clearTimeout(session.timeoutId);
+    }
+
+    session.timeoutId = setTimeout(() => handleConfirmationTimeout(sessionId), session.confirmationWindow * 60 * 1000);
+    console.log(`Started confirmation timeout for session ${sessionId} at ${new Date().toISOString()}`);
+
+    // Update session status in database
+    try {
+        await storage.updateSession(sessionId, {
+            status: 'confirming',
+            confirmationStartTime: new Date(session.confirmationStartTime),
+            filledAt: new Date(session.filledAt),
+            currentPlayers: session.currentPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to update session status in database:`, dbError);
+    }
+
+    // Players already waiting in the lobby voice channel are ready by definition
+    const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+    const inVoice = session.currentPlayers.filter(playerId => voiceChannel?.members.has(playerId));
+    for (const playerId of inVoice) {
+        if (session.status !== 'confirming') break;
+        if (!session.confirmedPlayers.includes(playerId)) {
+            await autoConfirmFromVoice(session, playerId);
+        }
+    }
+}
+
+async function handleConfirmation(interaction) {
+    // Add interaction timeout protection
+    const interactionId = `${interaction.id}_${Date.now()}`;
+    interactionTimeouts.set(interactionId, setTimeout(() => {
+        interactionTimeouts.delete(interactionId);
+        console.warn(`⚠️ Confirmation interaction ${interaction.id} timed out`);
+    }, 14000)); // Discord interactions expire after 15 seconds
+
+    await interaction.deferReply({ flags: 64 });
+
+    const sessionId = interaction.customId.replace('confirm_', '');
+    const session = activeSessions.get(sessionId);
+    
+    // Clear timeout since we're processing
+    const timeout = interactionTimeouts.get(interactionId);
+    if (timeout) {
+        clearTimeout(timeout);
+        interactionTimeouts.delete(interactionId);
+    }
+
+    if (!session) {
+        const expiredEmbed = new EmbedBuilder()
+            .setColor(0x95a5a6)
+            .setTitle('⏰ **Session Expired**')
+            .setDescription('This LFG session is no longer active or has been completed.\n\n🆕 Create a new session with `/lfg create`')
+            .setTimestamp();
+        return interaction.editReply({ embeds: [expiredEmbed] });
+    }
+
+    if (!session.currentPlayers.includes(interaction.user.id)) {
+        const notInSessionEmbed = new EmbedBuilder()
+            .setColor(0xff6b6b)
+            .setTitle('❌ **Not in Team**')
+            .setDescription('You are not part of this LFG session!\n\n🔍 Look for open sessions or create your own with `/lfg create`')
+            .setTimestamp();
+        return interaction.editReply({ embeds: [notInSessionEmbed] });
+    }
+
+    if (session.status !== 'confirming') {
+        const notConfirmingEmbed = new EmbedBuilder()
+            .setColor(0xffa500)
+            .setTitle('⚠️ **Not in Confirmation Phase**')
+            .setDescription('This session is not currently asking for confirmations.\n\n⏰ Wait for the team to fill up!')
+            .setTimestamp();
+        return interaction.editReply({ embeds: [notConfirmingEmbed] });
+    }
+
+    if (session.confirmedPlayers.includes(interaction.user.id)) {
+        const alreadyConfirmedEmbed = new EmbedBuilder()
+            .setColor(0x00ff00)
+            .setTitle('✅ **Already Confirmed!**')
+            .setDescription(`You've already confirmed for this ${session.game} session!\n\n⏰ Waiting for other players to confirm...`)
+            .setTimestamp();
+        return interaction.editReply({ embeds: [alreadyConfirmedEmbed] });
+    }
+
+    session.confirmedPlayers.push(interaction.user.id);
+    await recordReliability(session.guildId, interaction.user.id, 'confirmations');
+
+    if (session.confirmedPlayers.length === session.currentPlayers.length) {
+        // All players confirmed - clear timeout and finalize
+        if (session.timeoutId) {
+            clearTimeout(session.timeoutId);
+            session.timeoutId = null;
+        }
+        session.confirmationStartTime = null; // Clear confirmation time
+        console.log(`All players confirmed for session ${sessionId}, finalizing`);
+        await finalizeSession(session, interaction);
+    } else {
+        await interaction.editReply({ content: '✅ Confirmed! Waiting for other players...' });
+    }
+}
+
+async function handleDecline(interaction) {
+    // Add interaction timeout protection
+    const interactionId = `${interaction.id}_${Date.now()}`;
+    interactionTimeouts.set(interactionId, setTimeout(() => {
+        interactionTimeouts.delete(interactionId);
+        console.warn(`⚠️ Decline interaction ${interaction.id} timed out`);
+    }, 14000));
+
+    await interaction.deferReply({ flags: 64 });
+
+    const sessionId = interaction.customId.replace('decline_', '');
+    const session = activeSessions.get(sessionId);
+    
+    // Clear timeout since we're processing
+    const timeout = interactionTimeouts.get(interactionId);
+    if (timeout) {
+        clearTimeout(timeout);
+        interactionTimeouts.delete(interactionId);
+    }
+
+    if (!session || !session.currentPlayers.includes(interaction.user.id)) {
+        return interaction.editReply({ content: '❌ You are not part of this LFG!' });
+    }
+
+    // Check if the session creator is declining - if so, cancel entire session
+    if (interaction.user.id === session.creator) {
+        console.log(`Session creator ${interaction.user.displayName} declined session ${sessionId}, cancelling entire session`);
+
+        // Clear timeout
+        if (session.timeoutId) {
+            clearTimeout(session.timeoutId);
+            session.timeoutId = null;
+        }
+
+        // Delete voice channel
+        try {
+            const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
+            if (voiceChannel) {
+                await voiceChannel.delete();
+            }
+        } catch (error) {
+            console.error('Error deleting voice channel:', error);
+        }
+
+        await closeSessionEvent(session);
+
+        await archiveSessionThread(session);
+        await recordSessionHistory(session, 'creator_cancelled');
+
+        // Remove session and clean up all user references
+        activeSessions.delete(sessionId);
+        userCreatedSessions.delete(session.creator);
+
+        // Remove all player references from user sessions
+        for (const playerId of session.currentPlayers || []) {
+            userCreatedSessions.delete(playerId);
+            try {
+                await storage.deleteUserSession(playerId);
+            } catch (dbError) {
+                console.error(`Failed to delete user session for ${playerId}:`, dbError);
+            }
+        }
+
+        // Remove session from database
+        try {
+            await storage.deleteSession(sessionId);
+        } catch (dbError) {
+            console.error(`Failed to delete session from database:`, dbError);
+        }
+
+        // Update embed to show session cancelled
+        const cancelledEmbed = new EmbedBuilder()
+            .setColor(0xff6b6b)
+            .setTitle('❌ LFG Session Cancelled')
+            .setDescription(`The session creator cancelled this LFG.${formatThreadLink(session)}`)
+            .setTimestamp();
+
+        await interaction.update({ embeds: [cancelledEmbed], components: [] });
+        await interaction.editReply({ content: '❌ You cancelled your LFG session.' });
+        return;
+    }
+
+    // Regular player declining - remove them and continue (leaders cancelling their own session aren't penalised)
+    await recordReliability(session.guildId, interaction.user.id, 'declines');
+    session.currentPlayers = session.currentPlayers.filter(id => id !== interaction.user.id);
+    session.confirmedPlayers = session.confirmedPlayers.filter(id => id !== interaction.user.id);
+    await removeFromSessionThread(session, interaction.user.id);
+
+    // Clear timeout if it exists (someone declined, so we're reopening)
+    if (session.timeoutId) {
+        clearTimeout(session.timeoutId);
+        session.timeoutId = null;
+    }
+    session.confirmationStartTime = null; // Clear confirmation time
+    console.log(`Player ${interaction.user.displayName} declined session ${sessionId}, reopening`);
+
+    // Remove voice channel access
+    try {
+        const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
+        if (voiceChannel) {
+            await voiceChannel.permissionOverwrites.delete(interaction.user.id);
+            // Disconnect if user is in the voice channel
+            if (interaction.member.voice.channel?.id === session.voiceChannel) {
+                await interaction.member.voice.disconnect('Declined LFG session');
+            }
+        }
+    } catch (error) {
+        console.error('Error removing voice channel access:', error);
+    }
+
+    await interaction.editReply({ content: '❌ You declined the LFG session.' });
+
+    // Promote from the waitlist, or reopen LFG for remaining spots
+    await fillFromWaitlist(session);
+}
+
+async function handleConfirmationTimeout(sessionId) {
+    const session = activeSessions.get(sessionId);
+
+    if (!session || session.status !== 'confirming') {
+        console.log(`Timeout called for session ${sessionId} but session not found or not confirming`);
+        return;
+    }
+
+    console.log(`Processing confirmation timeout for session ${sessionId}`);
+
+    // Clear the timeout reference
+    session.timeoutId = null;
+
+    // Enough ready players for a partial start - go without the rest
+    const readyCount = getReadyCount(session);
+    if (session.minConfirmed && readyCount >= session.minConfirmed) {
+        console.log(`Deadline passed with ${readyCount}/${session.minConfirmed} required confirmations, starting session ${sessionId}`);
+        await startWithConfirmedPlayers(session, null, { recordTimeouts: true });
+        return;
+    }
+
+    await removeUnconfirmedPlayers(session, { recordTimeouts: true });
+
+    session.confirmedPlayers = [];
+    session.status = 'waiting';
+    session.confirmationStartTime = null; // Reset confirmation time
+
+    await fillFromWaitlist(session);
+}
+
+// Confirmed players plus the leader, who always stays in the match
+function getReadyCount(session) {
+    return new Set([session.creator, ...session.confirmedPlayers]).size;
+}
+
+// Revoke voice from players who didn't confirm and drop them from the party (the creator always stays).
+// Only a ready check that ran out records no-shows; the leader's Force start drops players without a penalty.
+async function removeUnconfirmedPlayers(session, { recordTimeouts = false } = {}) {
+    // Get players who didn't confirm
+    const unconfirmedPlayers = session.currentPlayers.filter(id => !session.confirmedPlayers.includes(id) && id !== session.creator);
+    console.log(`Unconfirmed players: ${unconfirmedPlayers.length}, Confirmed players: ${session.confirmedPlayers.length}`);
+
+    for (const playerId of unconfirmedPlayers) {
+        if (recordTimeouts) {
+            await recordReliability(session.guildId, playerId, 'timeouts');
+        }
+        await removeFromSessionThread(session, playerId);
+    }
+
+    // Remove voice channel access from unconfirmed players
+    try {
+        const guild = client.guilds.cache.get(session.guildId);
+        const voiceChannel = guild?.channels.cache.get(session.voiceChannel);
+
+        if (voiceChannel) {
+            for (const playerId of unconfirmedPlayers) {
+                await voiceChannel.permissionOverwrites.delete(playerId);
+
+                // Disconnect if user is in the voice channel
+                let member = guild.members.cache.get(playerId);
+                if (!member) {
+                    try {
+                        member = await guild.members.fetch(playerId);
+                    } catch (fetchError) {
+                        console.warn(`Could not fetch member ${playerId} for disconnect`);
+                    }
+                }
+
+                if (member && member.voice.channel?.id === session.voiceChannel) {
+                    await member.voice.disconnect('Failed to confirm in time');
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error removing voice access from unconfirmed players:', error);
+    }
+
+    // Always keep the creator + all confirmed players
+    const keepPlayers = [session.creator, ...session.confirmedPlayers];
+
+    // Remove duplicates (in case creator also confirmed)
+    session.currentPlayers = [...new Set(keepPlayers)];
+
+    console.log(`Keeping creator + ${session.confirmedPlayers.length} confirmed players = ${session.currentPlayers.length} total players`);
+}
+
+// Start the match with whoever is ready, used by partial starts and the leader's Force start
+async function startWithConfirmedPlayers(session, interaction = null, { recordTimeouts = false } = {}) {
+    if (session.timeoutId) {
+        clearTimeout(session.timeoutId);
+        session.timeoutId = null;
+    }
+
+    await removeUnconfirmedPlayers(session, { recordTimeouts });
+    session.confirmedPlayers = [...session.currentPlayers];
+    session.confirmationStartTime = null;
+
+    try {
+        await storage.updateSession(session.id, {
+            status: 'active',
+            currentPlayers: session.currentPlayers,
+            confirmedPlayers: session.confirmedPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist partial start for session ${session.id}:`, dbError);
+    }
+
+    await finalizeSession(session, interaction);
+}
+
+async function handleForceStart(interaction) {
+    const session = activeSessions.get(interaction.customId.replace('force_start_', ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) {
+        return interaction.reply({ content: `❌ ${leaderError}`, flags: 64 });
+    }
+
+    if (session.status !== 'confirming') {
+        return interaction.reply({ content: '❌ Force start is only available during the ready check.', flags: 64 });
+    }
+
+    const readyCount = getReadyCount(session);
+    if (readyCount < 2) {
+        return interaction.reply({ content: '❌ At least one other player has to confirm before you can force start.', flags: 64 });
+    }
+
+    await interaction.reply({ content: `🚀 Starting now with ${readyCount} ready players.`, flags: 64 });
+    console.log(`🚀 Leader force-started session ${session.id} with ${readyCount} players`);
+    await startWithConfirmedPlayers(session, interaction);
+}
+
+// 🕐 Enhanced session timer update system - runs every 5 minutes
+async function updateSessionTimers() {
+    if (activeSessions.size === 0) {
+        return;
+    }
+
+    console.log(`🔄 Updating timers for ${activeSessions.size} active sessions...`);
+    let updatedCount = 0;
+
+    for (const [sessionId, session] of activeSessions) {
+        try {
+            if (session.status === 'waiting' && session.channelId && session.messageId) {
+                const timeInfo = getDetailedExpiryTime(session.expiresAt);
+
+                // Update the session embed with new timing
+                await updateSessionEmbed(sessionId, session, timeInfo);
+                updatedCount++;
+
+                console.log(`✅ Updated timer for session #${sessionId.slice(-6)}: ${timeInfo.text}`);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to update timer for session #${sessionId.slice(-6)}:`, error.message);
+
+            // If it's a message-related error, clean up the session
+            if (error.code === 10008 || error.message.includes('Unknown Message')) {
+                console.warn(`🧹 Session #${sessionId.slice(-6)} has invalid message, cleaning up...`);
+                await cleanupInvalidSession(sessionId, 'timer_update_failed');
+            }
+        }
+    }
+
+    if (updatedCount > 0) {
+        console.log(`🏆 Timer update cycle completed - ${updatedCount} sessions updated`);
+    }
+}
+
+// Clean up invalid sessions (deleted messages, missing channels, etc)
+async function cleanupInvalidSession(sessionId, reason) {
+    try {
+        console.log(`🧹 Cleaning up invalid session #${sessionId.slice(-6)} (reason: ${reason})`);
+
+        const session = activeSessions.get(sessionId);
+        if (session) {
+            // Clear any timeouts
+            if (session.timeoutId) {
+                clearTimeout(session.timeoutId);
+                session.timeoutId = null;
+            }
+
+            await closeSessionEvent(session);
+
+            await archiveSessionThread(session);
+            await recordSessionHistory(session, 'ended');
+
+            // Remove from memory
+            activeSessions.delete(sessionId);
+
+            // Clean up ALL user session references for this session
+            for (const [userId, userSessionId] of userCreatedSessions.entries()) {
+                if (userSessionId === sessionId) {
+                    userCreatedSessions.delete(userId);
+                }
+            }
+
+            // Remove user session mappings from database
+            for (const playerId of session.currentPlayers) {
+                try {
+                    await storage.deleteUserSession(playerId);
+                } catch (dbError) {
+                    console.warn(`⚠️ Could not clean up user session for ${playerId}:`, dbError.message);
+                }
+            }
+
+            // Clean up voice channel if it exists
+            try {
+                const guild = client.guilds.cache.get(session.guildId);
+                if (guild && session.voiceChannel) {
+                    const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+                    if (voiceChannel) {
+                        await safeDeleteVoiceChannel(voiceChannel, reason);
+                    }
+                }
+            } catch (voiceError) {
+                console.warn(`⚠️ Could not clean up voice channel:`, voiceError.message);
+            }
+
+            // Mark as inactive in database
+            await storage.deleteSession(sessionId);
+        }
+
+        console.log(`✅ Successfully cleaned up invalid session #${sessionId.slice(-6)}`);
+    } catch (error) {
+        console.error(`❌ Error cleaning up invalid session #${sessionId.slice(-6)}:`, error);
+    }
+}
+
+// Optimized cache cleanup function for memory management
+async function cleanupCaches() {
+    try {
+        let itemsCleared = 0;
+        const now = Date.now();
+        const maxAge = 300000; // 5 minutes
+        
+        // Clean expired member name cache
+        for (const [key, cached] of memberNameCache.entries()) {
+            if (now - cached.timestamp > maxAge) {
+                memberNameCache.delete(key);
+                itemsCleared++;
+            }
+        }
+        
+        // Clean expired interaction timeouts
+        for (const [key, timeout] of interactionTimeouts.entries()) {
+            if (timeout && typeof timeout === 'object') {
+                clearTimeout(timeout);
+                interactionTimeouts.delete(key);
+                itemsCleared++;
+            }
+        }
+        
+        // Clean stale voice channel operations (already running in setInterval, but double-check)
+        for (const [channelId, timestamp] of voiceChannelOperations.entries()) {
+            if (now - timestamp > 30000) { // 30 seconds timeout
+                voiceChannelOperations.delete(channelId);
+                itemsCleared++;
+            }
+        }
+        
+        // Clean /lfgs and /history paging state once their buttons can no longer be used
+        for (const [browseId, state] of browseStates.entries()) {
+            if (now - state.createdAt > BROWSE_STATE_TTL) {
+                browseStates.delete(browseId);
+                itemsCleared++;
+            }
+        }
+        for (const [historyId, state] of historyStates.entries()) {
+            if (now - state.createdAt > BROWSE_STATE_TTL) {
+                historyStates.delete(historyId);
+                itemsCleared++;
+            }
+        }
+
+        // Drop session DM timestamps older than the hourly limit window
+        for (const [userId, sentTimes] of notificationLog.entries()) {
+            const recent = sentTimes.filter(sentAt => now - sentAt < 60 * 60 * 1000);
+            if (recent.length === 0) {
+                notificationLog.delete(userId);
+                itemsCleared++;
+            } else {
+                notificationLog.set(userId, recent);
+            }
+        }
+
+        // Reload guild settings older than 30 minutes (dropping them would lift the channel restriction and lifetime)
+        const oldGuildSettingsAge = 30 * 60 * 1000; // 30 minutes
+        for (const [guildId, timestamp] of guildSettingsLoadTime.entries()) {
+            if (now - timestamp > oldGuildSettingsAge) {
+                const settings = await storage.getGuildSettings(guildId);
+                if (settings) {
+                    cacheGuildSettings(settings);
+                } else {
+                    guildSettingsCache.delete(guildId);
+                    guildSettingsLoadTime.delete(guildId);
+                }
+                itemsCleared++;
+            }
+        }
+        
+        return itemsCleared;
+    } catch (error) {
+        console.error('❌ Error during cache cleanup:', error);
+        return 0;
+    }
+}
+
+// Enhanced session embed updater with time synchronization
+async function updateSessionEmbed(sessionId, session, timeInfo) {
+    try {
+        const guild = client.guilds.cache.get(session.guildId);
+        if (!guild) return;
+
+        const channel = guild.channels.cache.get(session.channelId);
+        if (!channel) return;
+
+        // Enhanced message fetching with proper error handling and recovery
+        let message;
+        try {
+            if (!session.messageId) {
+                console.warn(`⚠️ No message ID stored for session #${sessionId.slice(-6)}, skipping update`);
+                return;
+            }
+
+            message = await channel.messages.fetch(session.messageId);
+        } catch (fetchError) {
+            if (fetchError.code === 10008) { // Unknown Message - message was deleted
+                console.warn(`⚠️ Message deleted for session #${sessionId.slice(-6)}, attempting recovery...`);
+
+                // Try to find the message by searching recent messages
+                try {
+                    const recentMessages = await channel.messages.fetch({ limit: 50 });
+                    const sessionMessage = recentMessages.find(msg => 
+                        msg.embeds.length > 0 && 
+                        msg.embeds[0].footer?.text?.includes(sessionId.slice(-6))
+                    );
+
+                    if (sessionMessage) {
+                        session.messageId = sessionMessage.id;
+                        await storage.updateSession(sessionId, { messageId: sessionMessage.id });
+                        console.log(`✅ Recovered message ID for session #${sessionId.slice(-6)}`);
+                        message = sessionMessage;
+                    } else {
+                        console.log(`✅ Recovered and updated LFG message for session #${sessionId.slice(-6)}`);
+                        return;
+                    }
+                } catch (recoveryError) {
+                    console.error('Failed to recover message ID:', recoveryError);
+                    return;
+                }
+            } else {
+                throw fetchError; // Re-throw other errors
+            }
+        }
+
+        if (!message) return;
+
+        const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+        const isFull = spotsLeft === 0;
+        const gameEmoji = getGameEmoji(session.game, session.guildId);
+        const gameDesc = getGameDescription(session.game, session.guildId);
+
+        // Use the consistent detailed embed format that includes player names
+        const embed = createDetailedLfgEmbed(session, guild, sessionId);
+
+        // Update message with new embed (keep existing components)
+        await message.edit({ embeds: [embed], components: message.components });
+
+    } catch (error) {
+        console.error(`❌ Error updating session embed:`, error);
+    }
+}
+
+// Backup function to check for expired confirmations (runs every minute)
+async function checkExpiredConfirmations() {
+    const now = Date.now();
+
+    for (const [sessionId, session] of activeSessions) {
+        if (session.status === 'confirming' && session.confirmationStartTime) {
+            const elapsed = now - session.confirmationStartTime;
+
+            if (elapsed >= session.confirmationWindow * 60 * 1000) {
+                console.log(`⏰ Found expired confirmation for session #${sessionId.slice(-6)}, processing timeout`);
+                await handleConfirmationTimeout(sessionId);
+            }
+        }
+    }
+}
+
+async function checkExpiredLfgSessions() {
+    const now = Date.now();
+
+    for (const [sessionId, session] of activeSessions) {
+        // Only check sessions that are in 'waiting' status with only the creator (no one joined)
+        if (session.status === 'waiting' && session.currentPlayers.length === 1) {
+            if (now >= session.expiresAt) {
+                console.log(`⏰ Found expired LFG session #${sessionId.slice(-6)} with no joiners, processing timeout`);
+                await handleLfgTimeout(sessionId);
+            }
+        }
+    }
+}
+
+async function handleLfgTimeout(sessionId) {
+    // Use the new unified expiration function
+    await expireSession(sessionId, 'timeout_no_joiners');
+}
+
+// 📅 SCHEDULED SESSIONS - RSVP ahead of time, started by the cleanup cron
+
+// Send reminders and start scheduled sessions whose time has come (runs every minute)
+async function checkScheduledSessions() {
+    const now = Date.now();
+
+    for (const [sessionId, session] of activeSessions) {
+        if (session.status !== 'scheduled' || !session.scheduledStart) continue;
+
+        try {
+            if (now >= session.scheduledStart) {
+                console.log(`📅 Scheduled session #${sessionId.slice(-6)} is starting`);
+                await startScheduledSession(sessionId);
+            } else if (!session.reminderSent && now >= session.scheduledStart - SCHEDULE_REMINDER_LEAD) {
+                await sendScheduledReminder(session);
+            }
+        } catch (error) {
+            console.error(`❌ Error processing scheduled session #${sessionId.slice(-6)}:`, error);
+        }
+    }
+}
+
+async function sendScheduledReminder(session) {
+    // Mark first so a failing channel doesn't get pinged every minute
+    session.reminderSent = true;
+    try {
+        await storage.updateSession(session.id, { reminderSent: true });
+    } catch (dbError) {
+        console.error(`Failed to persist reminder flag for session ${session.id}:`, dbError);
+    }
+
+    const guild = client.guilds.cache.get(session.guildId);
+    const channel = guild?.channels.cache.get(session.channelId);
+    if (!channel) return;
+
+    const startUnix = Math.floor(session.scheduledStart / 1000);
+    const reminderEmbed = new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setTitle(`⏰ **${session.game} starts soon!**`)
+        .setDescription(`**${session.gamemode}** starts <t:${startUnix}:R> (<t:${startUnix}:t>)\n\n👥 **RSVPs:** ${session.currentPlayers.length}/${session.playersNeeded}\n🔊 The voice channel opens at start time and everyone gets a ready check once the squad is full.`)
+        .setFooter({ text: `Session #${session.id.slice(-6)}` })
+        .setTimestamp();
+
+    try {
+        await channel.send({
+            content: session.currentPlayers.map(id => `<@${id}>`).join(' '),
+            embeds: [reminderEmbed],
+            allowedMentions: { users: session.currentPlayers }
+        });
+        console.log(`📣 Sent start reminder for scheduled session #${session.id.slice(-6)}`);
+    } catch (error) {
+        console.error(`Error sending reminder for session #${session.id.slice(-6)}:`, error);
+    }
+}
+
+// Move a scheduled session into the normal voice channel / confirmation flow
+// The live (non-scheduled) session a player is already part of, if any
+function findLiveSessionForUser(userId, excludeSessionId = null) {
+    return Array.from(activeSessions.values()).find(s =>
+        s.id !== excludeSessionId && s.status !== 'scheduled' && s.currentPlayers.includes(userId)
+    ) || null;
+}
+
+async function startScheduledSession(sessionId) {
+    const session = activeSessions.get(sessionId);
+    if (!session || session.status !== 'scheduled') return;
+
+    const guild = client.guilds.cache.get(session.guildId);
+    if (!guild) {
+        await cleanupInvalidSession(sessionId, 'scheduled_guild_missing');
+        return;
+    }
+
+    await getGuildCatalog(guild.id);
+    const gameData = findCatalogGame(guild.id, session.game) || { key: toGameKey(session.game), name: session.game };
+    const gameKey = gameData.key;
+
+    try {
+        const creator = await guild.members.fetch(session.creator);
+        const category = await getOrCreateGameCategory(guild, gameKey, gameData.name);
+        const voiceChannel = await createLfgVoiceChannel(guild, creator, gameData, category, null, session.spectatorSlots, session.customs ? session.playersNeeded : 10);
+
+        session.voiceChannel = voiceChannel.id;
+        session.category = category.id;
+    } catch (error) {
+        console.error(`❌ Could not open voice channel for scheduled session #${sessionId.slice(-6)}:`, error);
+        await expireSession(sessionId, 'scheduled_start_failed');
+        return;
+    }
+
+    // RSVPs who joined another live session since keep that one, the same rule as joining
+    const busyPlayers = new Map();
+    for (const playerId of session.currentPlayers) {
+        const otherSession = findLiveSessionForUser(playerId, sessionId);
+        if (otherSession) busyPlayers.set(playerId, otherSession);
+    }
+    const droppedPlayers = [...busyPlayers.keys()].filter(playerId => playerId !== session.creator);
+    if (droppedPlayers.length > 0) {
+        session.currentPlayers = session.currentPlayers.filter(playerId => !droppedPlayers.includes(playerId));
+        console.log(`📅 Dropped ${droppedPlayers.length} RSVP(s) from session #${sessionId.slice(-6)} - already in another session`);
+    }
+    for (const [playerId, otherSession] of busyPlayers) {
+        const isCreator = playerId === session.creator;
+        if (!isCreator) {
+            await removeFromSessionThread(session, playerId);
+        }
+        try {
+            const user = await client.users.fetch(playerId);
+            await user.send(isCreator
+                ? `⚠️ Your scheduled **${session.game}** session is starting, but you're still in the **${otherSession.game}** session #${otherSession.id.slice(-6)}. Leave that one to take part in voice and the ready check here.`
+                : `⚠️ Your RSVP for the **${session.game}** session starting now was dropped because you're already in the **${otherSession.game}** session #${otherSession.id.slice(-6)}.`);
+        } catch (error) {
+            console.log(`Could not DM start conflict to ${playerId}: ${error.message}`);
+        }
+    }
+
+    const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+    for (const playerId of session.currentPlayers) {
+        if (playerId !== session.creator && voiceChannel) {
+            await manageVoiceChannelAccess(voiceChannel, playerId, 'grant', `RSVP'd to LFG session #${sessionId.slice(-6)}`);
+        }
+
+        // A busy leader stays tracked by their other session until they leave it
+        if (busyPlayers.has(playerId)) continue;
+        try {
+            await storage.createUserSession({ userId: playerId, sessionId });
+        } catch (dbError) {
+            console.error(`Failed to create user session for ${playerId}:`, dbError);
+        }
+    }
+
+    if (voiceChannel) {
+        for (const spectatorId of session.spectators) {
+            await manageVoiceChannelAccess(voiceChannel, spectatorId, 'spectate', `Spectating LFG session #${sessionId.slice(-6)}`);
+        }
+    }
+
+    session.status = 'waiting';
+    try {
+        await storage.updateSession(sessionId, {
+            status: 'waiting',
+            voiceChannelId: session.voiceChannel,
+            currentPlayers: session.currentPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist started scheduled session ${sessionId}:`, dbError);
+    }
+
+    await updateSessionEvent(session);
+
+    // Full squads go straight to the ready check
+    if (session.currentPlayers.length >= session.playersNeeded) {
+        await startConfirmationPhase(session, guild);
+        return;
+    }
+
+    scheduleNoJoinerExpiry(session);
+
+    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+    await editSessionMessage(session, guild, {
+        embeds: [createDetailedLfgEmbed(session, guild, sessionId)],
+        components: [createSessionRow(session, createJoinButton(session))]
+    });
+
+    const channel = guild.channels.cache.get(session.channelId);
+    if (channel) {
+        try {
+            await channel.send({
+                content: `${session.currentPlayers.map(id => `<@${id}>`).join(' ')} **Your ${session.game} session is starting!** Hop into <#${session.voiceChannel}> - still looking for **${spotsLeft} more ${spotsLeft === 1 ? 'player' : 'players'}**.`,
+                allowedMentions: { users: session.currentPlayers }
+            });
+        } catch (error) {
+            console.error(`Error announcing start of session #${sessionId.slice(-6)}:`, error);
+        }
+    }
+}
+
+async function handleScheduledRsvp(interaction, session) {
+    const embed = createDetailedLfgEmbed(session, client.guilds.cache.get(session.guildId), session.id);
+    const row = createSessionRow(session, createRsvpButton(session));
+    await updateSessionPost(interaction, session, { embeds: [embed], components: [row] });
+
+    const startUnix = Math.floor(session.scheduledStart / 1000);
+    const rsvpEmbed = new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setTitle('📅 RSVP Confirmed!')
+        .setDescription(`**You're on the list for ${session.game}!**\n\n🎮 **Mode:** ${session.gamemode}\n🕐 **Starts:** <t:${startUnix}:F> (<t:${startUnix}:R>)\n👥 **RSVPs:** ${session.currentPlayers.length}/${session.playersNeeded}\n\n⏰ You'll be pinged 15 minutes before start.`)
+        .setTimestamp();
+
+    const leaveButton = new ButtonBuilder()
+        .setCustomId(`leave_lfg_${session.id}`)
+        .setLabel('Cancel RSVP')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('🚪');
+
+    try {
+        await interaction.followUp({
+            embeds: [rsvpEmbed],
+            components: [new ActionRowBuilder().addComponents(leaveButton)],
+            ephemeral: true
+        });
+    } catch (followUpError) {
+        console.error('Error sending RSVP confirmation:', followUpError);
+    }
+}
+
+function createConfirmationRow(session) {
+    const confirmButton = new ButtonBuilder()
+        .setCustomId(`confirm_${session.id}`)
+        .setLabel('Ready to Play!')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('🎮');
+
+    const declineButton = new ButtonBuilder()
+        .setCustomId(`decline_${session.id}`)
+        .setLabel('Not Available')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('❌');
+
+    const row = new ActionRowBuilder().addComponents(confirmButton, declineButton);
+
+    // Locked sessions don't take waitlist signups either
+    if (!session.locked) {
+        row.addComponents(new ButtonBuilder()
+            .setCustomId(`join_lfg_${session.id}`)
+            .setLabel('Join Waitlist')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('📋'));
+    }
+
+    const forceStartButton = new ButtonBuilder()
+        .setCustomId(`force_start_${session.id}`)
+        .setLabel('Force Start')
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji('🚀');
+
+    return row.addComponents(createManageButton(session.id), forceStartButton);
+}
+
+function createRsvpButton(session) {
+    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+    return new ButtonBuilder()
+        .setCustomId(`join_lfg_${session.id}`)
+        .setLabel(spotsLeft > 0 ? `RSVP (${spotsLeft} ${spotsLeft === 1 ? 'spot' : 'spots'} left)` : 'RSVP (full)')
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji('📅');
+}
+
+// Expire a waiting session at its expiry time if nobody joined the creator
+function scheduleNoJoinerExpiry(session) {
+    if (session.timeoutId) {
+        clearTimeout(session.timeoutId);
+    }
+
+    session.timeoutId = setTimeout(async () => {
+        // Only expire if session still has only the creator (no one else joined)
+        const currentSession = activeSessions.get(session.id);
+        if (currentSession && currentSession.currentPlayers.length === 1 && currentSession.status === 'waiting') {
+            await expireSession(session.id, 'timeout_no_joiners');
+        }
+    }, Math.max(0, session.expiresAt - Date.now()));
+}
+
+// Edit the session post through the interaction when its button was pressed there, otherwise by message ID
+async function updateSessionPost(interaction, session, payload) {
+    if (interaction && (!session.messageId || interaction.message?.id === session.messageId)) {
+        return interaction.editReply(payload);
+    }
+    return editSessionMessage(session, client.guilds.cache.get(session.guildId), payload);
+}
+
+// Edit the posted session message; returns false when it can't be found
+async function editSessionMessage(session, guild, payload) {
+    const channel = guild?.channels.cache.get(session.channelId);
+    if (!channel || !session.messageId) return false;
+
+    try {
+        const message = await channel.messages.fetch(session.messageId);
+        await message.edit(payload);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not edit message for session #${session.id.slice(-6)}: ${error.message}`);
+        return false;
+    }
+}
+
+// 🌍 REGION & PLATFORM
+
+function formatRegion(region) {
+    return REGIONS[region] || '🌐 Global';
+}
+
+function formatPlatform(platform) {
+    return PLATFORMS[platform] || '🔀 Any';
+}
+
+// Describe how a player's saved region/platform differs from the session's
+async function getPreferenceMismatches(userId, session) {
+    if (!session.region && (!session.platform || session.platform === 'crossplay')) return [];
+
+    const preferences = await storage.getUserPreferences(userId);
+    if (!preferences) return [];
+
+    const mismatches = [];
+    if (session.region && preferences.region && preferences.region !== session.region) {
+        mismatches.push(`🌍 **Region:** session is ${formatRegion(session.region)}, you're in ${formatRegion(preferences.region)}`);
+    }
+    if (session.platform && session.platform !== 'crossplay' &&
+        preferences.platform && preferences.platform !== 'crossplay' && preferences.platform !== session.platform) {
+        mismatches.push(`🎮 **Platform:** session is ${formatPlatform(session.platform)} only, you play on ${formatPlatform(preferences.platform)}`);
+    }
+    return mismatches;
+}
+
+async function handlePreferencesCommand(interaction) {
+    const regionInput = interaction.options.getString('region');
+    const platformInput = interaction.options.getString('platform');
+
+    let preferences;
+    if (regionInput || platformInput) {
+        const updates = {};
+        if (regionInput) updates.region = regionInput === 'none' ? null : regionInput;
+        if (platformInput) updates.platform = platformInput === 'none' ? null : platformInput;
+
+        preferences = await storage.setUserPreferences(interaction.user.id, updates);
+        if (!preferences) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save your preferences. Please try again.', flags: 64 });
+        }
+    } else {
+        preferences = await storage.getUserPreferences(interaction.user.id);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle(regionInput || platformInput ? '✅ Preferences Saved' : '⚙️ Your Preferences')
+        .setDescription(`**Region:** ${preferences?.region ? formatRegion(preferences.region) : 'Not set'}\n**Platform:** ${preferences?.platform ? formatPlatform(preferences.platform) : 'Not set'}\n\nNew sessions you create use these by default, and you'll get a warning before joining a session that doesn't match.`)
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], flags: 64 });
+}
+
+// ⚙️ SERVER SETTINGS & SESSION LIFETIME
+
+function cacheGuildSettings(settings) {
+    guildSettingsCache.set(settings.guildId, {
+        lfgChannel: settings.lfgChannelId,
+        sessionLifetime: settings.sessionLifetime,
+        confirmationWindow: settings.confirmationWindow,
+        minReliability: settings.minReliability,
+        noShowCooldown: settings.noShowCooldown,
+        reviewChannel: settings.reviewChannelId,
+        noShowGrace: settings.noShowGrace,
+        sessionThreads: settings.sessionThreads
+    });
+    guildSettingsLoadTime.set(settings.guildId, Date.now());
+}
+
+// Default lifetime in minutes for new sessions in a guild
+function getSessionLifetime(guildId) {
+    return guildSettingsCache.get(guildId)?.sessionLifetime || DEFAULT_SESSION_LIFETIME;
+}
+
+// Default ready-check window in minutes for new sessions in a guild
+function getConfirmationWindow(guildId) {
+    return guildSettingsCache.get(guildId)?.confirmationWindow || DEFAULT_CONFIRMATION_WINDOW;
+}
+
+// How long a session was kept open in total, including extensions
+function getLifetimeMinutes(session) {
+    return Math.round((session.expiresAt - (session.scheduledStart || session.createdAt)) / 60000);
+}
+
+async function handleSettingsCommand(interaction) {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.reply({ content: '❌ You need Manage Server permission to use this command!', flags: 64 });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+
+    if (subcommand === 'threads') {
+        const enabled = interaction.options.getBoolean('enabled');
+        const settings = await storage.setGuildSettings(guildId, { sessionThreads: enabled });
+        if (!settings) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save the setting. Please try again.', flags: 64 });
+        }
+        cacheGuildSettings(settings);
+        console.log(`⚙️ Party threads for guild ${guildId} ${enabled ? 'enabled' : 'disabled'}`);
+    } else if (subcommand === 'reviews') {
+        const channel = interaction.options.getChannel('channel');
+        const settings = await storage.setGuildSettings(guildId, { reviewChannelId: channel.id });
+        if (!settings) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save the setting. Please try again.', flags: 64 });
+        }
+        cacheGuildSettings(settings);
+        console.log(`⚙️ Review channel for guild ${guildId} set to #${channel.name}`);
+    } else if (subcommand === 'reliability') {
+        // 0 turns any check off; leaving an option out keeps its current value
+        const updates = {};
+        const minScore = interaction.options.getInteger('min_score');
+        const cooldown = interaction.options.getInteger('cooldown');
+        const grace = interaction.options.getInteger('grace');
+        if (minScore !== null) updates.minReliability = minScore || null;
+        if (cooldown !== null) updates.noShowCooldown = cooldown || null;
+        if (grace !== null) updates.noShowGrace = grace; // null means the default, so 0 is stored
+
+        if (Object.keys(updates).length > 0) {
+            const settings = await storage.setGuildSettings(guildId, updates);
+            if (!settings) {
+                return interaction.reply({ content: '❌ **Database Error**: Could not save the setting. Please try again.', flags: 64 });
+            }
+            cacheGuildSettings(settings);
+            console.log(`⚙️ Reliability for guild ${guildId}: minimum ${settings.minReliability || 'off'}, no-show cooldown ${settings.noShowCooldown || 'off'}, voice grace ${getNoShowGrace(guildId) || 'off'}`);
+        }
+    } else if (subcommand !== 'view') {
+        const minutes = interaction.options.getInteger('minutes');
+        const updates = subcommand === 'lifetime' ? { sessionLifetime: minutes } : { confirmationWindow: minutes };
+        const settings = await storage.setGuildSettings(guildId, updates);
+        if (!settings) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save the setting. Please try again.', flags: 64 });
+        }
+        cacheGuildSettings(settings);
+        console.log(`⚙️ ${subcommand === 'lifetime' ? 'Session lifetime' : 'Confirmation window'} for guild ${guildId} set to ${minutes} minutes`);
+    }
+
+    const guildSetting = guildSettingsCache.get(guildId);
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle(subcommand === 'view' ? '⚙️ LFG Settings' : '✅ LFG Settings Updated')
+        .addFields(
+            { 
+                name: '📍 LFG Channel', 
+                value: guildSetting?.lfgChannel ? `<#${guildSetting.lfgChannel}>` : 'Any channel', 
+                inline: true 
+            },
+            { 
+                name: '⏰ Session Lifetime', 
+                value: `${getSessionLifetime(guildId)} minutes${guildSetting?.sessionLifetime ? '' : ' (default)'}`, 
+                inline: true 
+            },
+            { 
+                name: '✅ Confirmation Window', 
+                value: `${getConfirmationWindow(guildId)} minutes${guildSetting?.confirmationWindow ? '' : ' (default)'}`, 
+                inline: true 
+            },
+            { 
+                name: '🛡️ Reliability', 
+                value: `**Minimum:** ${guildSetting?.minReliability ? `${guildSetting.minReliability}% after ${RELIABILITY_GRACE_EVENTS} ready checks` : 'None'}\n**No-show cooldown:** ${guildSetting?.noShowCooldown ? `${guildSetting.noShowCooldown} minutes, doubling for repeats` : 'Off'}\n**Voice no-show after:** ${getNoShowGrace(guildId) ? `${getNoShowGrace(guildId)} minutes${guildSetting?.noShowGrace ? '' : ' (default)'}` : 'Off'}`, 
+                inline: false 
+            },
+            { 
+                name: '🚩 Review Channel', 
+                value: guildSetting?.reviewChannel ? `<#${guildSetting.reviewChannel}>` : 'Not set - player reports are saved but not posted', 
+                inline: false 
+            },
+            { 
+                name: '💬 Party Threads', 
+                value: isSessionThreadsEnabled(guildId) ? 'On - each new session gets a private chat thread' : 'Off', 
+                inline: false 
+            }
+        )
+        .setFooter({ text: 'Leaders can override both per session, and extend the lifetime with the ⏰ button' })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], flags: 64 });
+}
+
+function createExtendButton(sessionId) {
+    return new ButtonBuilder()
+        .setCustomId(`extend_lfg_${sessionId}`)
+        .setLabel('Extend +15m')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⏰');
+}
+
+async function handleExtendSession(interaction) {
+    const session = activeSessions.get(interaction.customId.replace('extend_lfg_', ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) {
+        return interaction.reply({ content: `❌ ${leaderError}`, flags: 64 });
+    }
+
+    const newExpiry = session.expiresAt + SESSION_EXTENSION;
+    if (newExpiry - Date.now() > MAX_SESSION_LIFETIME * 60 * 1000) {
+        return interaction.reply({ content: `❌ Sessions can't be kept open more than ${MAX_SESSION_LIFETIME / 60} hours ahead.`, flags: 64 });
+    }
+
+    session.expiresAt = newExpiry;
+    try {
+        await storage.updateSession(session.id, { expiresAt: new Date(newExpiry) });
+    } catch (dbError) {
+        console.error(`Failed to persist extension for session ${session.id}:`, dbError);
+    }
+
+    // Only waiting sessions run the expiry timeout; confirmations keep their own
+    if (session.status === 'waiting') {
+        scheduleNoJoinerExpiry(session);
+    }
+
+    console.log(`⏰ Extended session #${session.id.slice(-6)} to ${new Date(newExpiry).toISOString()}`);
+    await interaction.reply({ content: `⏰ Session extended - it now expires <t:${Math.floor(newExpiry / 1000)}:R>.`, flags: 64 });
+    await refreshSessionPost(session);
+    await updateSessionEvent(session);
+}
+
+// 👑 LEADER CONTROLS - kick, hand over leadership and lock, from the Manage button or /lfg manage
+
+function createManageButton(sessionId) {
+    return new ButtonBuilder()
+        .setCustomId(`manage_lfg_${sessionId}`)
+        .setLabel('Manage')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⚙️');
+}
+
+function createJoinButton(session) {
+    if (session.status === 'scheduled') {
+        return createRsvpButton(session);
+    }
+
+    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+    return new ButtonBuilder()
+        .setCustomId(`join_lfg_${session.id}`)
+        .setLabel(`Join Team (${spotsLeft} spots left)`)
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji('⚡');
+}
+
+// Session post row: the join button (swapped for a disabled notice while locked) plus leader controls
+function createSessionRow(session, joinButton) {
+    const button = session.locked
+        ? new ButtonBuilder()
+            .setCustomId(`join_lfg_${session.id}`)
+            .setLabel('Locked by Leader')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🔒')
+            .setDisabled(true)
+        : joinButton;
+
+    const row = new ActionRowBuilder().addComponents(button, createManageButton(session.id));
+    // Extending only matters while a session is waiting and counting down to expiry
+    if (session.status === 'waiting') {
+        row.addComponents(createExtendButton(session.id));
+    }
+    if (session.voiceChannel) {
+        row.addComponents(createVoiceSettingsButton(session.id));
+    }
+    if (session.spectatorSlots > 0) {
+        row.addComponents(createSpectateButton(session));
+    }
+    return row;
+}
+
+// Redraw the session post for its current state
+async function refreshSessionPost(session) {
+    const guild = client.guilds.cache.get(session.guildId);
+    if (!guild) return false;
+
+    const row = session.status === 'confirming'
+        ? createConfirmationRow(session)
+        : createSessionRow(session, createJoinButton(session));
+
+    return editSessionMessage(session, guild, {
+        embeds: [createDetailedLfgEmbed(session, guild, session.id)],
+        components: [row]
+    });
+}
+
+function getLeaderError(session, userId) {
+    if (!session) return 'This LFG session is no longer active!';
+    if (session.creator !== userId) return 'Only the session leader can use these controls.';
+    return null;
+}
+
+function createManagePanel(session, guild) {
+    const others = session.currentPlayers.filter(playerId => playerId !== session.creator);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle('👑 Leader Controls')
+        .setDescription(`**${session.game} • ${session.gamemode}** (#${session.id.slice(-6)})\n\n👥 **Squad:** ${session.currentPlayers.length}/${session.playersNeeded}\n🔐 **Joining:** ${session.locked ? '🔒 Locked' : session.visibility === 'invite' ? `Invite only (code \`${session.inviteCode}\`)` : '🔓 Open'}\n\n*Removed players lose voice access and can't rejoin this session.*`)
+        .setTimestamp();
+
+    const components = [];
+    if (others.length > 0) {
+        const playerOptions = others.slice(0, 25).map(playerId => ({
+            label: (guild.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`).substring(0, 100),
+            value: playerId
+        }));
+
+        components.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`lfg_kick_${session.id}`)
+                .setPlaceholder('👢 Remove a player...')
+                .addOptions(playerOptions)
+        ));
+        components.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`lfg_transfer_${session.id}`)
+                .setPlaceholder('👑 Hand leadership to...')
+                .addOptions(playerOptions)
+        ));
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`lfg_lock_${session.id}`)
+            .setLabel(session.locked ? 'Unlock Session' : 'Lock Session')
+            .setStyle(session.locked ? ButtonStyle.Success : ButtonStyle.Danger)
+            .setEmoji(session.locked ? '🔓' : '🔒')
+    );
+    // The ready check row has no room for the Voice button, so it's reachable from here too
+    if (session.voiceChannel) {
+        buttons.addComponents(createVoiceSettingsButton(session.id));
+    }
+    components.push(buttons);
+
+    return { embeds: [embed], components };
+}
+
+async function handleManageButton(interaction) {
+    const session = activeSessions.get(interaction.customId.replace('manage_lfg_', ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) {
+        return interaction.reply({ content: `❌ ${leaderError}`, flags: 64 });
+    }
+
+    await interaction.reply({ ...createManagePanel(session, interaction.guild), flags: 64 });
+}
+
+async function handleManageSelect(interaction) {
+    const isKick = interaction.customId.startsWith('lfg_kick_');
+    const session = activeSessions.get(interaction.customId.replace(/^lfg_(kick|transfer)_/, ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) {
+        return interaction.reply({ content: `❌ ${leaderError}`, flags: 64 });
+    }
+
+    await interaction.deferUpdate();
+
+    const targetId = interaction.values[0];
+    const targetName = await getMemberName(interaction.guild, targetId);
+    const problem = isKick
+        ? await kickFromSession(session, interaction.guild, targetId)
+        : await transferLeadership(session, interaction.guild, targetId);
+
+    if (problem) {
+        return interaction.followUp({ content: `❌ ${problem}`, ephemeral: true });
+    }
+
+    // After a handover the panel belongs to the new leader, so close it
+    if (!isKick) {
+        return interaction.editReply({ content: `👑 **${targetName}** now leads the session.`, embeds: [], components: [] });
+    }
+
+    await interaction.editReply({
+        content: `👢 **${targetName}** was removed from the session.`,
+        ...createManagePanel(session, interaction.guild)
+    });
+}
+
+async function handleLockButton(interaction) {
+    const session = activeSessions.get(interaction.customId.replace('lfg_lock_', ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) {
+        return interaction.reply({ content: `❌ ${leaderError}`, flags: 64 });
+    }
+
+    await interaction.deferUpdate();
+    await setSessionLocked(session, !session.locked);
+    await interaction.editReply({
+        content: session.locked ? '🔒 Session locked - nobody new can join.' : '🔓 Session unlocked - players can join again.',
+        ...createManagePanel(session, interaction.guild)
+    });
+}
+
+async function handleLfgManageCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const session = activeSessions.get(userCreatedSessions.get(interaction.user.id));
+
+    if (!session) {
+        return interaction.reply({ content: "❌ You aren't leading an LFG session. Create one with `/lfg create`.", flags: 64 });
+    }
+
+    await interaction.deferReply({ flags: 64 });
+
+    let problem = null;
+    let message;
+    if (subcommand === 'kick' || subcommand === 'transfer') {
+        const target = interaction.options.getUser('player');
+        const targetName = await getMemberName(interaction.guild, target.id);
+        if (subcommand === 'kick') {
+            problem = await kickFromSession(session, interaction.guild, target.id);
+            message = `👢 **${targetName}** was removed from your ${session.game} session.`;
+        } else {
+            problem = await transferLeadership(session, interaction.guild, target.id);
+            message = `👑 **${targetName}** now leads your ${session.game} session.`;
+        }
+    } else {
+        const locked = subcommand === 'lock';
+        if (session.locked === locked) {
+            problem = `Your session is already ${locked ? 'locked' : 'unlocked'}.`;
+        } else {
+            await setSessionLocked(session, locked);
+            message = locked ? '🔒 Session locked - nobody new can join.' : '🔓 Session unlocked - players can join again.';
+        }
+    }
+
+    await interaction.editReply({ content: problem ? `❌ ${problem}` : message });
+}
+
+// Remove a player on the leader's behalf; returns an error message or null
+async function kickFromSession(session, guild, targetId) {
+    if (targetId === session.creator) {
+        return "You can't remove yourself. Use `/endlfg` to end the session instead.";
+    }
+    if (!session.currentPlayers.includes(targetId)) {
+        return 'That player is not in your session.';
+    }
+
+    session.currentPlayers = session.currentPlayers.filter(id => id !== targetId);
+    session.confirmedPlayers = session.confirmedPlayers.filter(id => id !== targetId);
+    session.kickedPlayers = [...(session.kickedPlayers || []), targetId];
+    await removeFromSessionThread(session, targetId);
+
+    // The party is no longer full, so the running ready check can't complete
+    if (session.status === 'confirming' && session.timeoutId) {
+        clearTimeout(session.timeoutId);
+        session.timeoutId = null;
+    }
+
+    const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+    if (voiceChannel) {
+        await manageVoiceChannelAccess(voiceChannel, targetId, 'revoke', `Removed from LFG session #${session.id.slice(-6)} by leader`);
+
+        try {
+            const member = await guild.members.fetch(targetId);
+            if (member.voice.channelId === session.voiceChannel) {
+                await member.voice.disconnect('Removed by session leader');
+            }
+        } catch (disconnectError) {
+            console.warn(`⚠️ Could not disconnect removed player from voice:`, disconnectError.message);
+        }
+    }
+
+    // RSVPs have no user session row yet, and may be tracked in a live session elsewhere
+    if (session.status !== 'scheduled') {
+        await storage.deleteUserSession(targetId);
+    }
+
+    try {
+        await storage.updateSession(session.id, {
+            currentPlayers: session.currentPlayers,
+            confirmedPlayers: session.confirmedPlayers,
+            kickedPlayers: session.kickedPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist removal from session ${session.id}:`, dbError);
+    }
+
+    try {
+        const user = await client.users.fetch(targetId);
+        await user.send(`👢 You were removed from the **${session.game}** LFG session by the session leader.`);
+    } catch (error) {
+        console.log(`Could not DM removed player ${targetId}: ${error.message}`);
+    }
+
+    console.log(`👢 Leader removed ${targetId} from session #${session.id.slice(-6)}`);
+
+    // Promote from the waitlist, or reopen the post for new joiners
+    await fillFromWaitlist(session);
+    return null;
+}
+
+// Hand the session to another player in it; returns an error message or null
+async function transferLeadership(session, guild, newLeaderId) {
+    if (newLeaderId === session.creator) {
+        return 'You already lead this session.';
+    }
+    if (!session.currentPlayers.includes(newLeaderId)) {
+        return 'The new leader has to be in your session.';
+    }
+    if (userCreatedSessions.has(newLeaderId)) {
+        return 'That player already leads another session.';
+    }
+
+    const previousLeader = session.creator;
+    session.creator = newLeaderId;
+    // The squad list shows the leader first
+    session.currentPlayers = [newLeaderId, ...session.currentPlayers.filter(id => id !== newLeaderId)];
+
+    userCreatedSessions.delete(previousLeader);
+    userCreatedSessions.set(newLeaderId, session.id);
+
+    try {
+        await storage.updateSession(session.id, {
+            creatorId: newLeaderId,
+            currentPlayers: session.currentPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist leadership transfer for session ${session.id}:`, dbError);
+    }
+
+    console.log(`👑 Session #${session.id.slice(-6)} handed from ${previousLeader} to ${newLeaderId}`);
+    await refreshSessionPost(session);
+    await updateSessionEvent(session);
+
+    const channel = guild.channels.cache.get(session.channelId);
+    if (channel) {
+        try {
+            await channel.send({
+                content: `👑 <@${newLeaderId}> is now leading the **${session.game}** session (#${session.id.slice(-6)}).`,
+                allowedMentions: { users: [newLeaderId] }
+            });
+        } catch (error) {
+            console.error(`Error announcing new leader for session #${session.id.slice(-6)}:`, error);
+        }
+    }
+
+    return null;
+}
+
+async function setSessionLocked(session, locked) {
+    session.locked = locked;
+
+    try {
+        await storage.updateSession(session.id, { locked });
+    } catch (dbError) {
+        console.error(`Failed to persist lock state for session ${session.id}:`, dbError);
+    }
+
+    console.log(`${locked ? '🔒 Locked' : '🔓 Unlocked'} session #${session.id.slice(-6)}`);
+
+    // Unlocking lets held-back waitlisted players in
+    if (!locked && session.waitlist?.length > 0 && session.currentPlayers.length < session.playersNeeded) {
+        await fillFromWaitlist(session);
+        return;
+    }
+
+    await refreshSessionPost(session);
+}
+
+// 🎚️ VOICE SETTINGS - leader controls for the session's voice channel name, size, lock and bitrate
+
+// Letters swapped for look-alike digits and symbols before matching
+const LEET_SUBSTITUTIONS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+function containsBlockedWord(text) {
+    const normalized = text.toLowerCase().replace(/[013457@$!]/g, char => LEET_SUBSTITUTIONS[char]);
+    const words = normalized.split(/[^a-z]+/).filter(Boolean);
+    const collapsed = words.join('');
+
+    // Short words only count on their own so names like "Scunthorpe" get through
+    return BLOCKED_NAME_WORDS.some(word => word.length >= 5 ? collapsed.includes(word) : words.includes(word));
+}
+
+// voiceLockedLimit holds the limit to restore on unlock, null while unlocked
+function isVoiceLocked(session) {
+    return session.voiceLockedLimit !== null && session.voiceLockedLimit !== undefined;
+}
+
+function createVoiceSettingsButton(sessionId) {
+    return new ButtonBuilder()
+        .setCustomId(`voice_settings_${sessionId}`)
+        .setLabel('Voice')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🎚️');
+}
+
+// Leader check plus the live voice channel; returns { session, voiceChannel } or { error }
+function getVoiceSettingsTarget(interaction, prefix) {
+    const session = activeSessions.get(interaction.customId.replace(prefix, ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) return { error: leaderError };
+
+    const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
+    if (!voiceChannel) {
+        return { error: session.status === 'scheduled' ? 'The voice channel opens at start time.' : 'This session has no voice channel right now.' };
+    }
+
+    return { session, voiceChannel };
+}
+
+function createVoiceSettingsPanel(session, voiceChannel, guild) {
+    const maxBitrate = guild.maximumBitrate;
+    const locked = isVoiceLocked(session);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle('🎚️ Voice Settings')
+        .setDescription(`**${session.game} • ${session.gamemode}** (#${session.id.slice(-6)})`)
+        .addFields(
+            { name: '🏷️ Name', value: voiceChannel.name, inline: true },
+            { name: '👥 User Limit', value: voiceChannel.userLimit > 0 ? `${voiceChannel.userLimit}${session.spectatorSlots > 0 ? ` (incl. ${session.spectatorSlots} spectator slots)` : ''}` : 'No limit', inline: true },
+            { name: '🎧 Bitrate', value: `${voiceChannel.bitrate / 1000} kbps (max ${maxBitrate / 1000})`, inline: true },
+            { name: '🔐 Voice Lock', value: locked ? `🔒 Locked to who's in the channel (was ${session.voiceLockedLimit || 'no limit'})` : '🔓 Open to the squad', inline: false }
+        )
+        .setFooter({ text: 'Only the session leader can change these' })
+        .setTimestamp();
+
+    const limitSelect = new StringSelectMenuBuilder()
+        .setCustomId(`voice_limit_${session.id}`)
+        .setPlaceholder('👥 Set the user limit...')
+        .setDisabled(locked)
+        .addOptions(
+            { label: `Party size (${session.playersNeeded})`, value: `${session.playersNeeded}`, emoji: '🎮' },
+            ...VOICE_LIMIT_OPTIONS.filter(limit => limit !== session.playersNeeded).map(limit => ({ label: `${limit} users`, value: `${limit}` })),
+            { label: 'No limit', value: '0', emoji: '♾️' },
+            { label: 'Custom...', value: 'custom', emoji: '✏️' }
+        );
+
+    const bitrateSelect = new StringSelectMenuBuilder()
+        .setCustomId(`voice_bitrate_${session.id}`)
+        .setPlaceholder('🎧 Set the bitrate...')
+        .addOptions(
+            VOICE_BITRATE_OPTIONS
+                .filter(kbps => kbps * 1000 <= maxBitrate)
+                .map(kbps => ({ label: `${kbps} kbps`, value: `${kbps * 1000}`, default: kbps * 1000 === voiceChannel.bitrate }))
+        );
+
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`voice_rename_${session.id}`)
+            .setLabel('Rename')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🏷️'),
+        new ButtonBuilder()
+            .setCustomId(`voice_lock_${session.id}`)
+            .setLabel(locked ? 'Unlock Voice' : 'Lock Voice')
+            .setStyle(locked ? ButtonStyle.Success : ButtonStyle.Danger)
+            .setEmoji(locked ? '🔓' : '🔒')
+    );
+
+    return {
+        embeds: [embed],
+        components: [
+            new ActionRowBuilder().addComponents(limitSelect),
+            new ActionRowBuilder().addComponents(bitrateSelect),
+            buttons
+        ]
+    };
+}
+
+// Voice channel edits share the operation lock with permission changes and deletion
+async function updateLfgVoiceChannel(voiceChannel, changes, reason) {
+    const operationKey = `settings_${voiceChannel.id}`;
+
+    if (voiceChannelOperations.has(operationKey) || voiceChannelOperations.has(`delete_${voiceChannel.id}`)) {
+        console.log(`⚠️ Voice channel operation already in progress: ${voiceChannel.name}`);
+        return false;
+    }
+
+    voiceChannelOperations.set(operationKey, Date.now());
+
+    try {
+        await voiceChannel.edit({ ...changes, reason });
+        console.log(`🎚️ Updated voice channel ${voiceChannel.name}: ${Object.keys(changes).join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Error updating voice channel ${voiceChannel.name}:`, error);
+        return false;
+    } finally {
+        voiceChannelOperations.delete(operationKey);
+    }
+}
+
+async function handleVoiceSettingsButton(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_settings_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    await interaction.reply({ ...createVoiceSettingsPanel(session, voiceChannel, interaction.guild), flags: 64 });
+}
+
+async function handleVoiceLimitSelect(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_limit_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    if (interaction.values[0] === 'custom') {
+        const modal = new ModalBuilder()
+            .setCustomId(`voice_limit_modal_${session.id}`)
+            .setTitle('Custom User Limit')
+            .addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('limit')
+                    .setLabel(session.spectatorSlots > 0 ? 'Players allowed (spectator slots are extra)' : 'Users allowed in the channel (0 for no limit)')
+                    .setStyle(TextInputStyle.Short)
+                    .setRequired(true)
+                    .setMaxLength(2)
+                    .setValue(`${voiceChannel.userLimit > 0 ? Math.max(1, voiceChannel.userLimit - session.spectatorSlots) : 0}`)
+            ));
+        return interaction.showModal(modal);
+    }
+
+    await interaction.deferUpdate();
+    await applyVoiceLimit(interaction, session, voiceChannel, parseInt(interaction.values[0], 10));
+}
+
+async function handleVoiceLimitSubmit(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_limit_modal_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    const input = interaction.fields.getTextInputValue('limit').trim();
+    const limit = parseInt(input, 10);
+    if (!/^\d+$/.test(input) || limit > 99) {
+        return interaction.reply({ content: '❌ The user limit has to be a number from 0 (no limit) to 99.', flags: 64 });
+    }
+
+    await interaction.deferUpdate();
+    await applyVoiceLimit(interaction, session, voiceChannel, limit);
+}
+
+async function applyVoiceLimit(interaction, session, voiceChannel, limit) {
+    if (isVoiceLocked(session)) {
+        return interaction.followUp({ content: '❌ Unlock the voice channel before changing its user limit.', ephemeral: true });
+    }
+
+    // The leader picks the player limit; spectator slots stay free on top of it
+    const userLimit = limit > 0 ? Math.min(99, limit + session.spectatorSlots) : 0;
+    const updated = await updateLfgVoiceChannel(voiceChannel, { userLimit }, `User limit set by session leader ${interaction.user.displayName}`);
+    if (!updated) {
+        return interaction.followUp({ content: '❌ Could not change the user limit right now. Please try again in a moment.', ephemeral: true });
+    }
+
+    await interaction.editReply({
+        content: `👥 User limit set to **${limit > 0 ? limit : 'no limit'}**${limit > 0 && session.spectatorSlots > 0 ? ` (+${session.spectatorSlots} spectator slots)` : ''}.`,
+        ...createVoiceSettingsPanel(session, voiceChannel, interaction.guild)
+    });
+}
+
+async function handleVoiceBitrateSelect(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_bitrate_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    // The boost tier can drop while the panel is open
+    const bitrate = Math.min(parseInt(interaction.values[0], 10), interaction.guild.maximumBitrate);
+
+    await interaction.deferUpdate();
+    const updated = await updateLfgVoiceChannel(voiceChannel, { bitrate }, `Bitrate set by session leader ${interaction.user.displayName}`);
+    if (!updated) {
+        return interaction.followUp({ content: '❌ Could not change the bitrate right now. Please try again in a moment.', ephemeral: true });
+    }
+
+    await interaction.editReply({
+        content: `🎧 Bitrate set to **${bitrate / 1000} kbps**.`,
+        ...createVoiceSettingsPanel(session, voiceChannel, interaction.guild)
+    });
+}
+
+async function handleVoiceRenameButton(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_rename_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    const modal = new ModalBuilder()
+        .setCustomId(`voice_rename_modal_${session.id}`)
+        .setTitle('Rename Voice Channel')
+        .addComponents(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('name')
+                .setLabel('New channel name')
+                .setStyle(TextInputStyle.Short)
+                .setRequired(true)
+                .setMaxLength(50)
+                .setValue(voiceChannel.name)
+        ));
+
+    await interaction.showModal(modal);
+}
+
+async function handleVoiceRenameSubmit(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_rename_modal_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    const name = interaction.fields.getTextInputValue('name').trim();
+    if (!name) {
+        return interaction.reply({ content: '❌ The channel name can\'t be empty.', flags: 64 });
+    }
+    if (containsBlockedWord(name)) {
+        console.log(`🚫 Blocked voice channel rename by ${interaction.user.displayName} in session #${session.id.slice(-6)}`);
+        return interaction.reply({ content: '❌ That name isn\'t allowed. Please pick something else.', flags: 64 });
+    }
+
+    // Discord only allows two renames per channel every ten minutes
+    const sinceLastRename = Date.now() - (session.lastVoiceRename || 0);
+    if (sinceLastRename < VOICE_RENAME_COOLDOWN) {
+        return interaction.reply({ content: `❌ The channel was renamed recently. Try again <t:${Math.floor((Date.now() + VOICE_RENAME_COOLDOWN - sinceLastRename) / 1000)}:R>.`, flags: 64 });
+    }
+
+    await interaction.deferUpdate();
+    const updated = await updateLfgVoiceChannel(voiceChannel, { name }, `Renamed by session leader ${interaction.user.displayName}`);
+    if (!updated) {
+        return interaction.followUp({ content: '❌ Could not rename the channel right now. Please try again in a moment.', ephemeral: true });
+    }
+
+    session.lastVoiceRename = Date.now();
+    await interaction.editReply({
+        content: `🏷️ Voice channel renamed to **${voiceChannel.name}**.`,
+        ...createVoiceSettingsPanel(session, voiceChannel, interaction.guild)
+    });
+}
+
+// Locking caps the channel at who is in it now; unlocking restores the previous limit
+async function handleVoiceLockButton(interaction) {
+    const { session, voiceChannel, error } = getVoiceSettingsTarget(interaction, 'voice_lock_');
+    if (error) {
+        return interaction.reply({ content: `❌ ${error}`, flags: 64 });
+    }
+
+    await interaction.deferUpdate();
+
+    const locking = !isVoiceLocked(session);
+    const previousLimit = voiceChannel.userLimit;
+    // Spectators in the channel don't count as players, and their slots stay open
+    const playersInVoice = voiceChannel.members.filter(member => !session.spectators.includes(member.id)).size;
+    const userLimit = locking ? Math.min(99, Math.max(1, playersInVoice) + session.spectatorSlots) : session.voiceLockedLimit;
+    const updated = await updateLfgVoiceChannel(voiceChannel, { userLimit }, `${locking ? 'Locked' : 'Unlocked'} by session leader ${interaction.user.displayName}`);
+    if (!updated) {
+        return interaction.followUp({ content: `❌ Could not ${locking ? 'lock' : 'unlock'} the channel right now. Please try again in a moment.`, ephemeral: true });
+    }
+
+    session.voiceLockedLimit = locking ? previousLimit : null;
+    try {
+        await storage.updateSession(session.id, { voiceLockedLimit: session.voiceLockedLimit });
+    } catch (dbError) {
+        console.error(`Failed to persist voice lock for session ${session.id}:`, dbError);
+    }
+
+    await interaction.editReply({
+        content: locking ? '🔒 Voice channel locked - only the players in it now fit.' : '🔓 Voice channel unlocked.',
+        ...createVoiceSettingsPanel(session, voiceChannel, interaction.guild)
+    });
+}
+
+// 🎤 VOICE PRESENCE - when session players actually connect, auto-confirms and no-show flags
+
+// The session whose lobby or customs team channel this is
+function getSessionForVoiceChannel(channelId) {
+    if (!channelId) return null;
+    return Array.from(activeSessions.values()).find(s => 
+        s.voiceChannel === channelId || s.customs?.teamChannels?.includes(channelId)
+    ) || null;
+}
+
+function isInSessionVoice(session, userId) {
+    const presence = session.voicePresence?.[userId];
+    return !!presence?.joinedAt && (!presence.leftAt || presence.leftAt < presence.joinedAt);
+}
 
-                // Immediately check and cleanup empty category
-                if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
-                    await category.delete();
-                    console.log(`🗑️ Deleted empty category: ${category.name}`);
-                }
-            }
-        } catch (error) {
-            console.error('Error deleting voice channel during expiration:', error);
-        }
+function formatVoicePresence(session, userId) {
+    return isInSessionVoice(session, userId) ? ' • 🎤 in voice' : '';
+}
 
-        // Create simple expired embed - clean and clear
-        const expiredEmbed = new EmbedBuilder()
-            .setColor(0x95a5a6) // Gray for expired
-            .setTitle('⏰ **Session Expired**')
-            .setDescription(`**${session.game} session has automatically ended**\n\n🔄 Create a new session with \`/lfg\``)
-            .addFields(
-                {
-                    name: '📋 Session Info',
-                    value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Status:** ❌ Expired\n**Duration:** ${getTimeAgo(session.createdAt)}`,
-                    inline: false
-                }
-            )
-            .setFooter({ 
-                text: `Session #${sessionId.slice(-6)} • Expired after 20 minutes`
-            })
-            .setTimestamp();
+function getNoShowGrace(guildId) {
+    return guildSettingsCache.get(guildId)?.noShowGrace ?? DEFAULT_NO_SHOW_GRACE;
+}
 
-        // Update original message if possible
-        if (channel && session.messageId) {
-            try {
-                const originalMessage = await channel.messages.fetch(session.messageId);
-                await originalMessage.edit({ embeds: [expiredEmbed], components: [] });
-                console.log(`✅ Updated expired session message for #${sessionId.slice(-6)}`);
-            } catch (error) {
-                console.warn(`⚠️ Could not update expired session message: ${error.message}`);
-            }
-        }
+async function recordVoicePresence(session, userId, connected) {
+    const presence = session.voicePresence[userId] || { firstJoinedAt: null, joinedAt: null, leftAt: null };
+    if (connected) {
+        presence.firstJoinedAt = presence.firstJoinedAt || Date.now();
+        presence.joinedAt = Date.now();
+    } else {
+        presence.leftAt = Date.now();
+    }
+    session.voicePresence[userId] = presence;
 
-        // Notify session owner via DM
-        if (session.creator) {
-            try {
-                const creator = await client.users.fetch(session.creator);
-                if (creator) {
-                    const dmEmbed = new EmbedBuilder()
-                        .setColor(0x95a5a6)
-                        .setTitle('⏰ Your LFG Session Expired')
-                        .setDescription(`Your **${session.game}** session has automatically ended after 20 minutes.`)
-                        .addFields({
-                            name: '📋 Session Details',
-                            value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Players:** ${session.currentPlayers.length}/${session.playersNeeded}\n**Duration:** ${getTimeAgo(session.createdAt)}`,
-                            inline: false
-                        })
-                        .setFooter({ text: `Session #${sessionId.slice(-6)} • Create a new one with /lfg` })
-                        .setTimestamp();
-                    
-                    await creator.send({ embeds: [dmEmbed] });
-                    console.log(`📧 Sent expiration notification to session creator ${creator.displayName || creator.username}`);
-                }
-            } catch (dmError) {
-                console.log(`⚠️ Could not send DM to session creator: ${dmError.message}`);
-            }
-        }
+    try {
+        await storage.updateSession(session.id, { voicePresence: session.voicePresence });
+    } catch (dbError) {
+        console.error(`Failed to persist voice presence for session ${session.id}:`, dbError);
+    }
 
-        // Clear timeout if it exists
+    // Joining voice during the ready check counts as readying up
+    if (connected && session.status === 'confirming' && !session.confirmedPlayers.includes(userId)) {
+        await autoConfirmFromVoice(session, userId);
+        return;
+    }
+
+    if (session.status === 'waiting' || session.status === 'confirming') {
+        await refreshSessionPost(session);
+    }
+}
+
+async function autoConfirmFromVoice(session, userId) {
+    session.confirmedPlayers.push(userId);
+    await recordReliability(session.guildId, userId, 'confirmations');
+    console.log(`🎤 Auto-confirmed ${userId} for session #${session.id.slice(-6)} - in voice during the ready check`);
+
+    if (session.confirmedPlayers.length === session.currentPlayers.length) {
         if (session.timeoutId) {
             clearTimeout(session.timeoutId);
             session.timeoutId = null;
         }
+        session.confirmationStartTime = null;
+        console.log(`All players confirmed for session ${session.id}, finalizing`);
+        await finalizeSession(session);
+        return;
+    }
 
-        // Remove from memory and database
-        activeSessions.delete(sessionId);
+    await refreshSessionPost(session);
+    try {
+        const user = await client.users.fetch(userId);
+        await user.send(`✅ You're in the voice channel, so you're confirmed for the **${session.game}** session. Waiting for the rest of the squad...`);
+    } catch (error) {
+        console.log(`Could not DM auto-confirmation to ${userId}: ${error.message}`);
+    }
+}
 
-        // Clean up user session tracking for all players, not just creator
-        if (session.creator) {
-            userCreatedSessions.delete(session.creator);
-        }
+// Flag confirmed players who haven't connected once the grace period after the start has passed
+async function checkVoiceNoShows() {
+    for (const session of activeSessions.values()) {
+        await checkSessionNoShows(session);
+    }
+}
 
-        // Also clean up any other user session references
-        for (const [userId, userSessionId] of userCreatedSessions.entries()) {
-            if (userSessionId === sessionId) {
-                userCreatedSessions.delete(userId);
-            }
-        }
+function isNoShowGraceOver(session) {
+    return Date.now() >= session.startedAt + getNoShowGrace(session.guildId) * 60 * 1000;
+}
 
-        // Remove all user session mappings from database
-        for (const playerId of session.currentPlayers || []) {
-            try {
-                await storage.deleteUserSession(playerId);
-            } catch (dbError) {
-                console.error(`Failed to delete user session for ${playerId}:`, dbError);
-            }
-        }
+// Also run right before a match auto-ends, so emptying voice can't skip the check
+async function checkSessionNoShows(session) {
+    if (!session.startedAt || session.noShowChecked) return;
+
+    const grace = getNoShowGrace(session.guildId);
+    if (!grace || !isNoShowGraceOver(session)) return;
+
+    session.noShowChecked = true;
+    try {
+        await storage.updateSession(session.id, { noShowChecked: true });
+    } catch (dbError) {
+        console.error(`Failed to persist no-show check for session ${session.id}:`, dbError);
+    }
+
+    // Players already connected when the bot restarted have no presence record
+    const guild = client.guilds.cache.get(session.guildId);
+    const voiceChannelIds = [session.voiceChannel, ...(session.customs?.teamChannels || [])];
+    const noShows = session.confirmedPlayers.filter(playerId => {
+        if (session.voicePresence[playerId]?.firstJoinedAt) return false;
+        const member = guild?.members.cache.get(playerId);
+        return !voiceChannelIds.includes(member?.voice?.channelId);
+    });
+    if (noShows.length === 0) return;
+
+    console.log(`🚫 ${noShows.length} voice no-shows in session #${session.id.slice(-6)}`);
+    for (const playerId of noShows) {
+        await recordReliability(session.guildId, playerId, 'timeouts', `confirmed for a ${session.game} session but never joined voice`);
+    }
 
+    const channel = guild?.channels.cache.get(session.channelId);
+    if (channel) {
         try {
-            await storage.deleteSession(sessionId);
-            console.log(`💾 Expired session #${sessionId.slice(-6)} removed from database`);
-        } catch (dbError) {
-            console.error(`❌ Failed to remove expired session from database:`, dbError);
+            await channel.send(`🚫 **No-show:** ${noShows.map(id => `<@${id}>`).join(', ')} confirmed for the **${session.game}** session but didn't join voice within ${grace} minutes.`);
+        } catch (error) {
+            console.error(`Error announcing no-shows for session #${session.id.slice(-6)}:`, error);
         }
-
-    } catch (error) {
-        console.error(`❌ Error expiring session #${sessionId.slice(-6)}:`, error);
     }
 }
 
-// Create consistent detailed LFG embed format (original beautiful style)
-function createDetailedLfgEmbed(session, guild, sessionId) {
-    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
-    const isFull = spotsLeft === 0;
+// 💬 PARTY THREADS - a private text thread per session for lobby codes, screenshots and chat
 
-    // Create visual progress bar
-    const progressBar = createProgressBar(session.currentPlayers.length, session.playersNeeded);
+// On unless staff turned it off with /settings threads
+function isSessionThreadsEnabled(guildId) {
+    return guildSettingsCache.get(guildId)?.sessionThreads !== false;
+}
 
-    const embed = new EmbedBuilder()
-        .setColor(0x00d4ff)
-        .setTitle(`🎮 ${session.game} • Looking for Group`)
-        .setDescription(isFull ? 
-            '🎯 **Party is full!** Waiting for confirmations...' : 
-            `🔍 **Seeking ${spotsLeft} skilled ${spotsLeft === 1 ? 'player' : 'players'} to complete the squad**`)
-        .addFields(
-            { 
-                name: '👥 Party Progress', 
-                value: `${progressBar}\n**${session.currentPlayers.length}/${session.playersNeeded} players**`, 
-                inline: false 
-            },
-            { 
-                name: '🎯 Current Squad', 
-                value: session.currentPlayers.length > 0 
-                    ? session.currentPlayers.map((playerId, index) => {
-                        const member = guild.members.cache.get(playerId);
-                        const playerName = member?.displayName || `Player-${playerId.slice(-4)}`;
-                        const icon = index === 0 ? '👑' : '⚔️'; // Leader gets crown, others get sword
-                        return `${icon} **${playerName}**`;
-                    }).join('\n')
-                    : '🔍 **Waiting for players to join...**', 
-                inline: false 
-            },
-            { 
-                name: '🎮 Game Details', 
-                value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Skill Level:** All Welcome`, 
-                inline: true 
-            },
-            { 
-                name: '👥 Squad Status', 
-                value: `**Current:** ${session.currentPlayers.length}/${session.playersNeeded}\n**Available Spots:** ${spotsLeft}\n**Status:** ${isFull ? '🔴 Full' : '🟢 Recruiting'}`, 
-                inline: true 
-            },
-            { 
-                name: '⏱️ Session Info', 
-                value: `**Created:** <t:${Math.floor(session.createdAt/1000)}:R>\n**Expires:** <t:${Math.floor((session.createdAt + 1200000)/1000)}:R>\n**Region:** Global`, 
-                inline: true 
-            },
-            { 
-                name: '👑 Squad Leader', 
-                value: `**${guild.members.cache.get(session.creator)?.displayName || 'Unknown'}**\n🌟 Session Creator\n🎯 Ready to Play`, 
-                inline: false 
-            },
-            { 
-                name: '🔊 Premium Voice Channel', 
-                value: `<#${session.voiceChannel}>\n🔒 **Private & Secure** - Auto-access when you join\n🎤 Crystal clear voice communication\n⚡ Low latency gaming optimized`, 
-                inline: false 
-            }
-        );
+function formatThreadLink(session) {
+    return session.threadId ? `\n💬 **Party chat:** <#${session.threadId}>` : '';
+}
 
-    // Add info field if provided
-    if (session.info) {
-        embed.addFields({ name: '📝 Additional Info', value: session.info, inline: false });
+async function createSessionThread(session, channel, leaderName) {
+    if (!isSessionThreadsEnabled(session.guildId) || !channel?.threads) return;
+
+    try {
+        const thread = await channel.threads.create({
+            name: `💬 ${session.game} • ${leaderName}`.substring(0, 100),
+            type: ChannelType.PrivateThread,
+            invitable: false,
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+            reason: `Party chat for LFG session #${session.id.slice(-6)}`
+        });
+
+        session.threadId = thread.id;
+        await storage.updateSession(session.id, { threadId: thread.id });
+
+        for (const playerId of session.currentPlayers) {
+            await thread.members.add(playerId).catch(error => console.log(`Could not add ${playerId} to party thread: ${error.message}`));
+        }
+        await thread.send(`💬 **Party chat for ${session.game} • ${session.gamemode}** - share lobby codes, screenshots and "brb"s here.\nPlayers are added as they join and removed when they leave. The thread is archived when the session ends.`);
+        console.log(`💬 Created party thread for session #${session.id.slice(-6)}`);
+    } catch (error) {
+        console.error(`Error creating party thread for session #${session.id.slice(-6)}:`, error);
     }
+}
 
-    embed.setFooter({ 
-        text: `Session #${sessionId.slice(-6)} • Created by ${guild.members.cache.get(session.creator)?.displayName || `Creator-${session.creator.slice(-4)}`}`,
-        iconURL: guild.members.cache.get(session.creator)?.displayAvatarURL() || null
-    })
-    .setTimestamp();
+async function fetchSessionThread(session) {
+    if (!session.threadId) return null;
+    const guild = client.guilds.cache.get(session.guildId);
+    return guild?.channels.fetch(session.threadId).catch(() => null) || null;
+}
 
-    return embed;
+// Quiet threads auto-archive after a day, so reopen them while their session is still running
+async function fetchLiveSessionThread(session) {
+    const thread = await fetchSessionThread(session);
+    if (!thread || !thread.archived) return thread;
+    if (!activeSessions.has(session.id)) return null;
+
+    try {
+        await thread.setArchived(false, `LFG session #${session.id.slice(-6)} is still running`);
+        console.log(`💬 Unarchived party thread for session #${session.id.slice(-6)}`);
+        return thread;
+    } catch (error) {
+        console.error(`Error unarchiving party thread for session #${session.id.slice(-6)}:`, error);
+        return null;
+    }
 }
 
-// 🎙️ ENHANCED VOICE CHANNEL MANAGEMENT SYSTEM
+async function addToSessionThread(session, userId) {
+    const thread = await fetchLiveSessionThread(session);
+    if (!thread) return;
 
-// Safe voice channel deletion with race condition prevention
-async function safeDeleteVoiceChannel(voiceChannel, reason = 'cleanup') {
-    if (!voiceChannel || !voiceChannel.id) return false;
+    try {
+        await thread.members.add(userId);
+    } catch (error) {
+        console.log(`Could not add ${userId} to party thread of session #${session.id.slice(-6)}: ${error.message}`);
+    }
+}
 
-    const channelId = voiceChannel.id;
-    const operationKey = `delete_${channelId}`;
+async function removeFromSessionThread(session, userId) {
+    const thread = await fetchLiveSessionThread(session);
+    if (!thread) return;
 
-    // Prevent race conditions
-    if (voiceChannelOperations.has(operationKey)) {
-        console.log(`⚠️ Voice channel deletion already in progress: ${voiceChannel.name}`);
-        return false;
+    try {
+        await thread.members.remove(userId);
+    } catch (error) {
+        console.log(`Could not remove ${userId} from party thread of session #${session.id.slice(-6)}: ${error.message}`);
     }
+}
 
-    voiceChannelOperations.set(operationKey, Date.now());
+async function archiveSessionThread(session) {
+    const thread = await fetchSessionThread(session);
+    if (!thread || thread.archived) return;
 
     try {
-        // Check if channel still exists and we have permission
-        const channel = await voiceChannel.fetch().catch(() => null);
-        if (!channel) {
-            console.log(`🔍 Voice channel ${channelId} no longer exists`);
-            return true; // Consider this successful
-        }
+        await thread.send('🔒 This session has ended - the thread is now archived. GG!');
+        await thread.setArchived(true, `LFG session #${session.id.slice(-6)} ended`);
+        console.log(`💬 Archived party thread for session #${session.id.slice(-6)}`);
+    } catch (error) {
+        console.error(`Error archiving party thread for session #${session.id.slice(-6)}:`, error);
+    }
+}
 
-        // Verify bot has permission to delete
-        const botMember = channel.guild.members.cache.get(client.user.id);
-        if (!botMember?.permissions.has(PermissionFlagsBits.ManageChannels)) {
-            console.error(`❌ No permission to delete voice channel: ${channel.name}`);
-            return false;
-        }
+// 👀 SPECTATORS - listen-only voice slots that don't count towards the squad
 
-        // Disconnect all users before deletion
-        if (channel.members.size > 0) {
-            console.log(`🔇 Disconnecting ${channel.members.size} users from ${channel.name}`);
-            for (const member of channel.members.values()) {
-                try {
-                    await member.voice.disconnect(`LFG session ended - ${reason}`);
-                } catch (disconnectError) {
-                    console.warn(`⚠️ Could not disconnect ${member.displayName}:`, disconnectError.message);
-                }
-            }
-        }
+function createSpectateButton(session) {
+    const spectators = session.spectators || [];
+    return new ButtonBuilder()
+        .setCustomId(`spectate_lfg_${session.id}`)
+        .setLabel(`Spectate (${spectators.length}/${session.spectatorSlots})`)
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('👀');
+}
 
-        // Get category before deleting the channel
-        const category = channel.parent;
+async function saveSpectators(session) {
+    try {
+        await storage.updateSession(session.id, { spectators: session.spectators });
+    } catch (dbError) {
+        console.error(`Failed to persist spectators for session ${session.id}:`, dbError);
+    }
+}
 
-        // Delete the channel
-        await channel.delete(`LFG ${reason}`);
-        console.log(`🗑️ Successfully deleted voice channel: ${channel.name} (${reason})`);
+// Drop a spectator's listen-only access, e.g. when they stop watching or take a player slot
+async function removeSpectator(session, guild, userId, { revokeVoice = true } = {}) {
+    if (!session.spectators?.includes(userId)) return false;
 
-        // Immediately check and cleanup empty category
-        if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
-            await category.delete();
-            console.log(`🗑️ Deleted empty category: ${category.name}`);
-        }
+    session.spectators = session.spectators.filter(id => id !== userId);
+    await saveSpectators(session);
 
-        // Update database to remove voice channel reference
-        const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === channelId);
-        if (session) {
-            try {
-                await storage.updateSession(session.id, { voiceChannelId: null });
-            } catch (dbError) {
-                console.warn(`⚠️ Could not update database for deleted voice channel:`, dbError);
-            }
+    const voiceChannel = revokeVoice && session.voiceChannel ? guild.channels.cache.get(session.voiceChannel) : null;
+    if (voiceChannel) {
+        await manageVoiceChannelAccess(voiceChannel, userId, 'revoke', `Stopped spectating LFG session #${session.id.slice(-6)}`);
+        const member = guild.members.cache.get(userId);
+        if (member?.voice.channelId === voiceChannel.id) {
+            await member.voice.disconnect('Stopped spectating').catch(() => {});
         }
+    }
+    return true;
+}
 
-        return true;
+// Players stop spectating once they join a party: the joined session's grant restores Speak,
+// and listen-only access elsewhere is revoked
+async function stopSpectatingOnJoin(guild, userId, joinedSessionId) {
+    for (const session of activeSessions.values()) {
+        if (!session.spectators?.includes(userId)) continue;
 
-    } catch (error) {
-        console.error(`❌ Error deleting voice channel ${voiceChannel.name}:`, error);
-        return false;
-    } finally {
-        voiceChannelOperations.delete(operationKey);
+        await removeSpectator(session, guild, userId, { revokeVoice: session.id !== joinedSessionId });
+        if (session.id !== joinedSessionId && ['waiting', 'scheduled', 'confirming'].includes(session.status)) {
+            await refreshSessionPost(session);
+        }
     }
 }
 
-// Enhanced voice channel permission management
-async function manageVoiceChannelAccess(voiceChannel, userId, action = 'grant', reason = 'LFG access') {
-    if (!voiceChannel || !userId) return false;
+// Spectate button toggles: first press takes a slot, the next one gives it back
+async function handleSpectate(interaction) {
+    const sessionId = interaction.customId.replace('spectate_lfg_', '');
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        return interaction.reply({ content: '❌ This LFG session is no longer active!', flags: 64 });
+    }
 
-    const operationKey = `permission_${voiceChannel.id}_${userId}`;
+    const userId = interaction.user.id;
+    if (session.spectators.includes(userId)) {
+        await interaction.deferUpdate();
+        await removeSpectator(session, interaction.guild, userId);
+        console.log(`👀 ${interaction.user.displayName} stopped spectating session #${sessionId.slice(-6)}`);
+        await refreshSessionPost(session);
+        return interaction.followUp({ content: '👋 You stopped spectating this session.', ephemeral: true });
+    }
 
-    // Prevent race conditions
-    if (voiceChannelOperations.has(operationKey)) {
-        console.log(`⚠️ Voice permission operation already in progress for user ${userId}`);
-        return false;
+    let problem = null;
+    if (session.currentPlayers.includes(userId)) {
+        problem = 'You\'re already playing in this session!';
+    } else if (session.kickedPlayers.includes(userId)) {
+        problem = 'The session leader removed you from this session.';
+    } else if (session.visibility === 'invite' && !session.invitedPlayers.includes(userId)) {
+        problem = 'This session is invite-only - ask the leader for an invite.';
+    } else if (session.spectators.length >= session.spectatorSlots) {
+        problem = `All ${session.spectatorSlots} spectator ${session.spectatorSlots === 1 ? 'slot is' : 'slots are'} taken.`;
+    }
+    if (problem) {
+        return interaction.reply({ content: `❌ ${problem}`, flags: 64 });
     }
 
-    voiceChannelOperations.set(operationKey, Date.now());
+    await interaction.deferUpdate();
+    session.spectators.push(userId);
+    await saveSpectators(session);
 
-    try {
-        const permissions = {
-            Connect: action === 'grant',
-            ViewChannel: action === 'grant',
-            Speak: action === 'grant'
-        };
+    // Scheduled sessions hand out spectator access when their voice channel opens
+    const voiceChannel = session.voiceChannel ? interaction.guild.channels.cache.get(session.voiceChannel) : null;
+    if (voiceChannel) {
+        await manageVoiceChannelAccess(voiceChannel, userId, 'spectate', `Spectating LFG session #${sessionId.slice(-6)}`);
+    }
 
-        if (action === 'grant') {
-            await voiceChannel.permissionOverwrites.edit(userId, permissions, { reason });
-            console.log(`✅ Granted voice access to user ${userId} in ${voiceChannel.name}`);
-        } else if (action === 'revoke') {
-            await voiceChannel.permissionOverwrites.delete(userId, reason);
-            console.log(`❌ Revoked voice access for user ${userId} from ${voiceChannel.name}`);
+    console.log(`👀 ${interaction.user.displayName} is spectating session #${sessionId.slice(-6)}`);
+    await refreshSessionPost(session);
+    await interaction.followUp({
+        content: voiceChannel
+            ? `👀 You're spectating! Hop into <#${voiceChannel.id}> to listen in - your mic stays muted.`
+            : '👀 You\'re on the spectator list. You\'ll get listen-only voice access when the session starts.',
+        ephemeral: true
+    });
+}
+
+// 🛡️ RELIABILITY - per-guild record of confirmations, declines, no-shows and early leaves
+
+function getReliabilityRecord(guildId, userId) {
+    return reliabilityRecords.get(`${guildId}:${userId}`) || null;
+}
+
+// Share of ready checks the player followed through on, or null with nothing recorded yet
+function getReliabilityScore(record) {
+    const total = record ? record.confirmations + record.declines + record.timeouts + record.earlyLeaves : 0;
+    return total > 0 ? Math.round((record.confirmations / total) * 100) : null;
+}
+
+// Short tag shown next to a player's name on session posts
+function formatReliability(guildId, userId) {
+    const score = getReliabilityScore(getReliabilityRecord(guildId, userId));
+    if (score === null) return '';
+    return ` • ${score >= 90 ? '🟢' : score >= 70 ? '🟡' : '🔴'} ${score}%`;
+}
+
+// event is one of confirmations, declines, timeouts or earlyLeaves
+async function recordReliability(guildId, userId, event, reason = 'missed a ready check') {
+    const key = `${guildId}:${userId}`;
+    const record = reliabilityRecords.get(key) || {
+        guildId,
+        userId,
+        confirmations: 0,
+        declines: 0,
+        timeouts: 0,
+        earlyLeaves: 0,
+        noShowStreak: 0,
+        cooldownUntil: null
+    };
+    record[event]++;
+
+    let cooldownMinutes = 0;
+    if (event === 'timeouts') {
+        record.noShowStreak++;
+        const baseCooldown = guildSettingsCache.get(guildId)?.noShowCooldown;
+        if (baseCooldown) {
+            // Doubles with every no-show in a row, capped at a day
+            cooldownMinutes = Math.min(baseCooldown * 2 ** (record.noShowStreak - 1), MAX_NO_SHOW_COOLDOWN);
+            record.cooldownUntil = Date.now() + cooldownMinutes * 60 * 1000;
         }
+    } else if (event === 'confirmations') {
+        record.noShowStreak = 0;
+    }
 
-        return true;
+    reliabilityRecords.set(key, record);
+    await storage.saveReliability({
+        ...record,
+        cooldownUntil: record.cooldownUntil ? new Date(record.cooldownUntil) : null
+    });
 
-    } catch (error) {
-        console.error(`❌ Error managing voice permissions for ${userId}:`, error);
-        return false;
-    } finally {
-        voiceChannelOperations.delete(operationKey);
+    if (cooldownMinutes > 0) {
+        console.log(`🛡️ No-show cooldown of ${cooldownMinutes}m for ${userId} in guild ${guildId} (streak ${record.noShowStreak})`);
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send(`⏳ You ${reason}, so you can't join or create sessions in **${client.guilds.cache.get(guildId)?.name || 'that server'}** until <t:${Math.floor(record.cooldownUntil / 1000)}:t> (<t:${Math.floor(record.cooldownUntil / 1000)}:R>).${record.noShowStreak > 1 ? ` That's ${record.noShowStreak} no-shows in a row - the cooldown doubles each time until you confirm one.` : ''}`);
+        } catch (error) {
+            console.log(`Could not DM ${userId} about their no-show cooldown: ${error.message}`);
+        }
     }
 }
 
-// Enhanced voice channel creation with better error handling
-async function createLfgVoiceChannel(guild, user, gameData, category) {
-    try {
-        // Verify bot has necessary permissions
-        const botMember = guild.members.cache.get(client.user.id);
-        if (!botMember?.permissions.has([PermissionFlagsBits.ManageChannels, PermissionFlagsBits.Connect])) {
-            throw new Error('Bot lacks required permissions to create voice channels');
-        }
+// Returns why the player can't join or create sessions right now, or null
+function getReliabilityError(guildId, userId) {
+    const record = getReliabilityRecord(guildId, userId);
+    if (!record) return null;
 
-        const channelName = `${gameData.name} - ${user.displayName}`.substring(0, 50); // Discord limit
+    if (record.cooldownUntil && record.cooldownUntil > Date.now()) {
+        return `You're on a no-show cooldown until <t:${Math.floor(record.cooldownUntil / 1000)}:t> (<t:${Math.floor(record.cooldownUntil / 1000)}:R>) for missing ready checks.`;
+    }
 
-        const voiceChannel = await guild.channels.create({
-            name: channelName,
-            type: ChannelType.GuildVoice,
-            parent: category.id,
-            userLimit: 10, // Reasonable limit for LFG sessions
-            bitrate: guild.features.includes('VIP_REGIONS') ? 384000 : 128000, // Higher quality for premium servers
-            permissionOverwrites: [
-                {
-                    id: guild.roles.everyone.id,
-                    deny: [PermissionFlagsBits.Connect, PermissionFlagsBits.ViewChannel]
-                },
-                {
-                    id: user.id,
-                    allow: [
-                        PermissionFlagsBits.Connect,
-                        PermissionFlagsBits.ViewChannel,
-                        PermissionFlagsBits.Speak,
-                        PermissionFlagsBits.UseVAD,
-                        PermissionFlagsBits.Stream
-                    ]
-                },
-                {
-                    id: client.user.id, // Bot permissions
-                    allow: [
-                        PermissionFlagsBits.Connect,
-                        PermissionFlagsBits.ViewChannel,
-                        PermissionFlagsBits.ManageChannels,
-                        PermissionFlagsBits.MoveMembers,
-                        PermissionFlagsBits.MuteMembers
-                    ]
-                }
-            ]
-        });
+    // New players get a few sessions before the minimum applies
+    const minReliability = guildSettingsCache.get(guildId)?.minReliability;
+    const recorded = record.confirmations + record.declines + record.timeouts + record.earlyLeaves;
+    const score = getReliabilityScore(record);
+    if (minReliability && recorded >= RELIABILITY_GRACE_EVENTS && score < minReliability) {
+        return `Your reliability is ${score}% and this server requires at least ${minReliability}% to join or create sessions. Ask staff if you think this is a mistake.`;
+    }
 
-        console.log(`🎙️ Created LFG voice channel: ${channelName}`);
-        return voiceChannel;
+    return null;
+}
 
-    } catch (error) {
-        console.error(`❌ Error creating LFG voice channel:`, error);
-        throw error;
+async function loadGuildReliability(guildId) {
+    for (const row of await storage.getGuildReliability(guildId)) {
+        reliabilityRecords.set(`${guildId}:${row.userId}`, {
+            guildId,
+            userId: row.userId,
+            confirmations: row.confirmations,
+            declines: row.declines,
+            timeouts: row.timeouts,
+            earlyLeaves: row.earlyLeaves,
+            noShowStreak: row.noShowStreak,
+            cooldownUntil: row.cooldownUntil ? new Date(row.cooldownUntil).getTime() : null
+        });
     }
 }
 
-// Voice state change handler for better user experience
-client.on('voiceStateUpdate', async (oldState, newState) => {
-    try {
-        const userId = newState.member?.id;
-        if (!userId) return;
+// 🏅 COMMENDATIONS & REPORTS - post-game prompt to commend teammates or flag them for staff
 
-        // Handle user leaving LFG voice channels
-        if (oldState.channel && !newState.channel) {
-            const leftChannelId = oldState.channelId;
-            const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === leftChannelId);
+// Total commendations, shown next to names on session posts
+function formatCommendations(guildId, userId) {
+    const counts = commendationCounts.get(`${guildId}:${userId}`);
+    const total = counts ? Object.values(counts).reduce((sum, value) => sum + value, 0) : 0;
+    return total > 0 ? ` • 🏅 ${total}` : '';
+}
 
-            if (session && session.currentPlayers.includes(userId)) {
-                console.log(`📢 User ${newState.member.displayName} left LFG voice channel`);
+async function loadGuildCommendations(guildId) {
+    for (const row of await storage.getCommendationCounts(guildId)) {
+        const key = `${guildId}:${row.toUserId}`;
+        const counts = commendationCounts.get(key) || {};
+        counts[row.kind] = Number(row.total);
+        commendationCounts.set(key, counts);
+    }
+}
 
-                // Don't automatically remove from session - let them rejoin
-                // Only log for monitoring purposes
-            }
-        }
+// DM everyone who played once the session is over; anyone with closed DMs gets a button in the session channel
+async function sendPostGamePrompts(session) {
+    if (session.feedbackSent || !session.startedAt) return;
+    session.feedbackSent = true;
 
-        // Handle user joining LFG voice channels
-        if (!oldState.channel && newState.channel) {
-            const joinedChannelId = newState.channelId;
-            const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === joinedChannelId);
+    const entry = await storage.getSessionHistoryEntry(session.id);
+    const roster = entry ? entry.players : session.confirmedPlayers;
+    if (roster.length < 2) return;
 
-            if (session && session.currentPlayers.includes(userId)) {
-                console.log(`🎙️ User ${newState.member.displayName} joined LFG voice channel`);
-            }
+    const guild = client.guilds.cache.get(session.guildId);
+    const unreachable = [];
+    for (const playerId of roster) {
+        try {
+            const user = await client.users.fetch(playerId);
+            await user.send(createFeedbackPrompt(session, roster, playerId, guild));
+        } catch (error) {
+            console.log(`Could not DM feedback prompt to ${playerId}: ${error.message}`);
+            unreachable.push(playerId);
         }
-
-    } catch (error) {
-        console.error('❌ Error in voice state update handler:', error);
     }
-});
 
-client.once('clientReady', async () => {
-    console.log(`🚀 Party Up! Bot is online! Logged in as ${client.user.tag}`);
-    console.log(`🎮 Serving ${client.guilds.cache.size} servers with premium LFG features`);
+    if (unreachable.length > 0) {
+        const rateButton = new ButtonBuilder()
+            .setCustomId(`feedback_open_${session.id}`)
+            .setLabel('Rate Teammates')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🏅');
 
-    try {
-        await loadSessionData(); // Load any persisted session data
-        await registerCommands();
-        console.log('🎯 Bot ready and operational!');
-    } catch (error) {
-        console.error('❌ Error during bot ready phase:', error);
+        try {
+            await guild?.channels.cache.get(session.channelId)?.send({ 
+                content: `${unreachable.map(id => `<@${id}>`).join(' ')} GG! How was your **${session.game}** session? Commend your teammates or flag a problem for staff.`,
+                components: [new ActionRowBuilder().addComponents(rateButton)],
+                allowedMentions: { users: unreachable }
+            });
+        } catch (error) {
+            console.error(`Error posting feedback button for session ${session.id}:`, error);
+        }
     }
 
-    // Enhanced cleanup system running every minute with optimized performance
-    cron.schedule('* * * * *', async () => {
-        console.log('🧹 Running optimized cleanup tasks...');
-        
-        const cleanupStart = Date.now();
-        
-        // Run all cleanup tasks in parallel for better performance
-        const [emptyChannels, expiredConfirmations, expiredSessions, cacheCleared] = await Promise.allSettled([
-            cleanupEmptyChannels(),
-            checkExpiredConfirmations(), 
-            checkExpiredLfgSessions(),
-            cleanupCaches()
-        ]);
-        
-        const cleanupTime = Date.now() - cleanupStart;
-        
-        // Log results of cleanup operations
-        let cleanupResults = [];
-        if (emptyChannels.status === 'rejected') {
-            console.error('Error in channel cleanup:', emptyChannels.reason);
-        }
-        if (expiredConfirmations.status === 'rejected') {
-            console.error('Error checking confirmations:', expiredConfirmations.reason);
-        }
-        if (expiredSessions.status === 'rejected') {
-            console.error('Error checking sessions:', expiredSessions.reason);
-        }
-        if (cacheCleared.status === 'fulfilled' && cacheCleared.value > 0) {
-            cleanupResults.push(`${cacheCleared.value} cached items`);
-        }
-        
-        // Performance summary
-        if (cleanupResults.length > 0) {
-            console.log(`🧹 Cleanup completed in ${cleanupTime}ms - cleared: ${cleanupResults.join(', ')}`);
-        } else {
-            console.log(`🧹 Cleanup completed in ${cleanupTime}ms - system optimized`);
-        }
-    });
+    console.log(`🏅 Sent post-game prompts for session #${session.id.slice(-6)} (${roster.length - unreachable.length} by DM)`);
+}
 
-});
+function createFeedbackPrompt(session, roster, userId, guild) {
+    const teammates = roster.filter(id => id !== userId);
 
-async function registerCommands() {
-    const commands = [
-        new SlashCommandBuilder()
-            .setName('lfg')
-            .setDescription('Look for group - find teammates for your game')
-            .addStringOption(option =>
-                option.setName('game')
-                    .setDescription('Choose a game')
-                    .setRequired(true)
-                    .addChoices(
-                        ...Object.entries(SUPPORTED_GAMES).map(([key, game]) => ({
-                            name: game.name,
-                            value: key
-                        }))
-                    ))
-            .addStringOption(option =>
-                option.setName('gamemode')
-                    .setDescription('Game mode')
-                    .setRequired(true)
-                    .setAutocomplete(true))
-            .addIntegerOption(option =>
-                option.setName('players')
-                    .setDescription('Number of players needed (including you)')
-                    .setRequired(true)
-                    .setMinValue(2)
-                    .setMaxValue(10))
-            .addStringOption(option =>
-                option.setName('info')
-                    .setDescription('Additional information (optional)')
-                    .setRequired(false)
-                    .setMaxLength(200)),
-        new SlashCommandBuilder()
-            .setName('setchannel')
-            .setDescription('Set the LFG channel (Staff only)')
-            .addChannelOption(option =>
-                option.setName('channel')
-                    .setDescription('Channel where LFG commands are allowed')
-                    .setRequired(true)
-                    .addChannelTypes(ChannelType.GuildText))
-            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels),
-        new SlashCommandBuilder()
-            .setName('embed')
-            .setDescription('Create custom embed messages (Staff only)')
-            .addStringOption(option =>
-                option.setName('title')
-                    .setDescription('Embed title')
-                    .setRequired(true))
-            .addStringOption(option =>
-                option.setName('description')
-                    .setDescription('Embed description')
-                    .setRequired(true))
-            .addStringOption(option =>
-                option.setName('color')
-                    .setDescription('Embed color (hex code like #ff0000)')
-                    .setRequired(false))
-            .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
-        new SlashCommandBuilder()
-            .setName('mod')
-            .setDescription('Moderation commands (Staff only)')
-            .addStringOption(option =>
-                option.setName('action')
-                    .setDescription('Moderation action')
-                    .setRequired(true)
-                    .addChoices(
-                        { name: 'Kick', value: 'kick' },
-                        { name: 'Ban', value: 'ban' },
-                        { name: 'Mute', value: 'mute' },
-                        { name: 'Unmute', value: 'unmute' }
-                    ))
-            .addUserOption(option =>
-                option.setName('user')
-                    .setDescription('Target user')
-                    .setRequired(true))
-            .addStringOption(option =>
-                option.setName('reason')
-                    .setDescription('Reason for action')
-                    .setRequired(false))
-            .addStringOption(option =>
-                option.setName('duration')
-                    .setDescription('Duration for mute (e.g., 10m, 1h, 1d)')
-                    .setRequired(false))
-            .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
-        new SlashCommandBuilder()
-            .setName('help')
-            .setDescription('Show all bot commands and features'),
-        new SlashCommandBuilder()
-            .setName('endlfg')
-            .setDescription('End your active LFG session')
-    ].map(command => command.toJSON());
+    const embed = new EmbedBuilder()
+        .setColor(0xf1c40f)
+        .setTitle(`🏅 GG! How was your ${session.game} session?`)
+        .setDescription(`Pick a teammate from **${session.game} • ${session.gamemode}** to commend them (${Object.values(COMMENDATION_TYPES).join(', ')}) or flag them for staff review.\n\n⏳ Open for 24 hours.`)
+        .setFooter({ text: `Session #${session.id.slice(-6)}${guild ? ` • ${guild.name}` : ''}` })
+        .setTimestamp();
+
+    const select = new StringSelectMenuBuilder()
+        .setCustomId(`feedback_player_${session.id}`)
+        .setPlaceholder('Choose a teammate')
+        .addOptions(teammates.map(playerId => ({
+            label: (guild?.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`).substring(0, 100),
+            value: playerId
+        })));
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(select)] };
+}
 
-    try {
-        console.log('Started refreshing application (/) commands.');
-        await client.application.commands.set(commands);
-        console.log('Successfully reloaded application (/) commands.');
-    } catch (error) {
-        console.error('Error registering commands:', error);
+// Feedback is checked against the session history roster; returns an error message or null
+function getFeedbackError(entry, userId, targetId = null) {
+    if (!entry) return 'This session is no longer available for feedback.';
+    if (Date.now() - new Date(entry.endedAt).getTime() > FEEDBACK_WINDOW) return 'Feedback for this session has closed.';
+    if (!entry.players.includes(userId)) return "You didn't play in this session.";
+    if (targetId && (targetId === userId || !entry.players.includes(targetId))) return 'You can only rate teammates from this session.';
+    return null;
+}
+
+async function handleFeedbackOpen(interaction) {
+    const sessionId = interaction.customId.replace('feedback_open_', '');
+    const entry = await storage.getSessionHistoryEntry(sessionId);
+    const feedbackError = getFeedbackError(entry, interaction.user.id);
+    if (feedbackError) {
+        return interaction.reply({ content: `❌ ${feedbackError}`, flags: 64 });
     }
+
+    const session = { id: sessionId, game: entry.game, gamemode: entry.gamemode };
+    await interaction.reply({ ...createFeedbackPrompt(session, entry.players, interaction.user.id, interaction.guild), flags: 64 });
 }
 
-client.on('interactionCreate', async interaction => {
-    if (interaction.isChatInputCommand()) {
-        if (interaction.commandName === 'lfg') {
-            await handleLfgCommand(interaction);
-        } else if (interaction.commandName === 'setchannel') {
-            await handleSetChannelCommand(interaction);
-        } else if (interaction.commandName === 'embed') {
-            await handleEmbedCommand(interaction);
-        } else if (interaction.commandName === 'mod') {
-            await handleModCommand(interaction);
-        } else if (interaction.commandName === 'help') {
-            await handleHelpCommand(interaction);
-        } else if (interaction.commandName === 'endlfg') {
-            await handleEndLfgCommand(interaction);
-        }
-        return;
+async function handleFeedbackSelect(interaction) {
+    const sessionId = interaction.customId.replace('feedback_player_', '');
+    const targetId = interaction.values[0];
+    const entry = await storage.getSessionHistoryEntry(sessionId);
+    const feedbackError = getFeedbackError(entry, interaction.user.id, targetId);
+    if (feedbackError) {
+        return interaction.reply({ content: `❌ ${feedbackError}`, flags: 64 });
     }
 
-    if (interaction.isButton()) {
-        if (interaction.customId.startsWith('join_lfg_')) {
-            await handleJoinLfg(interaction);
-        } else if (interaction.customId.startsWith('confirm_')) {
-            await handleConfirmation(interaction);
-        } else if (interaction.customId.startsWith('decline_')) {
-            await handleDecline(interaction);
-        } else if (interaction.customId.startsWith('leave_lfg_')) {
-            await handleLeaveLfg(interaction);
-        }
-        return;
+    const commendButtons = Object.entries(COMMENDATION_TYPES).map(([kind, label]) => 
+        new ButtonBuilder()
+            .setCustomId(`commend_${sessionId}_${targetId}_${kind}`)
+            .setLabel(label)
+            .setStyle(ButtonStyle.Success)
+    );
+    const reportButton = new ButtonBuilder()
+        .setCustomId(`report_player_${sessionId}_${targetId}`)
+        .setLabel('Report to Staff')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('🚩');
+
+    await interaction.reply({ 
+        content: `What would you like to say about <@${targetId}>?`,
+        components: [new ActionRowBuilder().addComponents(...commendButtons, reportButton)],
+        flags: 64
+    });
+}
+
+async function handleCommend(interaction) {
+    const [sessionId, targetId, kind] = interaction.customId.replace('commend_', '').split('_');
+    const entry = await storage.getSessionHistoryEntry(sessionId);
+    const feedbackError = getFeedbackError(entry, interaction.user.id, targetId);
+    if (feedbackError || !COMMENDATION_TYPES[kind]) {
+        return interaction.reply({ content: `❌ ${feedbackError || 'Unknown commendation.'}`, flags: 64 });
     }
 
-    if (interaction.isAutocomplete()) {
-        try {
-            if (interaction.commandName === 'lfg') {
-                const focusedOption = interaction.options.getFocused(true);
+    const created = await storage.addCommendation({
+        guildId: entry.guildId,
+        sessionId,
+        fromUserId: interaction.user.id,
+        toUserId: targetId,
+        kind
+    });
+    if (!created) {
+        return interaction.reply({ content: `ℹ️ You already commended <@${targetId}> for ${COMMENDATION_TYPES[kind]} in this session.`, flags: 64 });
+    }
 
-                if (focusedOption.name === 'gamemode') {
-                    const game = interaction.options.getString('game');
-                    if (game && SUPPORTED_GAMES[game]) {
-                        const modes = SUPPORTED_GAMES[game].modes.filter(mode => 
-                            mode.toLowerCase().includes(focusedOption.value.toLowerCase())
-                        );
-                        await interaction.respond(
-                            modes.map(mode => ({ name: mode, value: mode }))
-                        );
-                    } else {
-                        await interaction.respond([]);
-                    }
-                }
-            }
+    const key = `${entry.guildId}:${targetId}`;
+    const counts = commendationCounts.get(key) || {};
+    counts[kind] = (counts[kind] || 0) + 1;
+    commendationCounts.set(key, counts);
+
+    console.log(`🏅 ${interaction.user.id} commended ${targetId} (${kind}) for session #${sessionId.slice(-6)}`);
+    await interaction.reply({ content: `✅ You commended <@${targetId}> for **${COMMENDATION_TYPES[kind]}**. Thanks for the good vibes!`, flags: 64 });
+}
+
+async function handleReportButton(interaction) {
+    const [sessionId, targetId] = interaction.customId.replace('report_player_', '').split('_');
+    const entry = await storage.getSessionHistoryEntry(sessionId);
+    const feedbackError = getFeedbackError(entry, interaction.user.id, targetId);
+    if (feedbackError) {
+        return interaction.reply({ content: `❌ ${feedbackError}`, flags: 64 });
+    }
+
+    const modal = new ModalBuilder()
+        .setCustomId(`report_modal_${sessionId}_${targetId}`)
+        .setTitle('Report a Teammate')
+        .addComponents(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('reason')
+                .setLabel('What happened?')
+                .setStyle(TextInputStyle.Paragraph)
+                .setRequired(true)
+                .setMaxLength(500)
+        ));
+
+    await interaction.showModal(modal);
+}
+
+async function handleReportSubmit(interaction) {
+    const [sessionId, targetId] = interaction.customId.replace('report_modal_', '').split('_');
+    const entry = await storage.getSessionHistoryEntry(sessionId);
+    const feedbackError = getFeedbackError(entry, interaction.user.id, targetId);
+    if (feedbackError) {
+        return interaction.reply({ content: `❌ ${feedbackError}`, flags: 64 });
+    }
+
+    const reason = interaction.fields.getTextInputValue('reason');
+    const created = await storage.addPlayerReport({
+        id: `${sessionId}:${interaction.user.id}:${targetId}`,
+        guildId: entry.guildId,
+        sessionId,
+        reporterId: interaction.user.id,
+        reportedId: targetId,
+        reason
+    });
+    if (!created) {
+        return interaction.reply({ content: `ℹ️ You already reported <@${targetId}> for this session - staff have it.`, flags: 64 });
+    }
+
+    // Forward to the staff review channel when one is set
+    const guild = client.guilds.cache.get(entry.guildId);
+    const reviewChannel = guild?.channels.cache.get(guildSettingsCache.get(entry.guildId)?.reviewChannel);
+    if (reviewChannel) {
+        const embed = new EmbedBuilder()
+            .setColor(0xff6b6b)
+            .setTitle('🚩 Player Report')
+            .addFields(
+                { name: 'Reported', value: `<@${targetId}>`, inline: true },
+                { name: 'Reporter', value: `<@${interaction.user.id}>`, inline: true },
+                { name: 'Session', value: `${entry.game} • ${entry.gamemode}\n#${sessionId.slice(-6)} • <t:${Math.floor(new Date(entry.createdAt).getTime() / 1000)}:f>`, inline: true },
+                { name: 'Reason', value: reason, inline: false },
+                { name: 'Roster', value: entry.players.map(id => `<@${id}>`).join(', '), inline: false }
+            )
+            .setFooter({ text: 'Use /history to see the player\'s other sessions' })
+            .setTimestamp();
+
+        try {
+            await reviewChannel.send({ embeds: [embed] });
         } catch (error) {
-            console.error('Error handling autocomplete:', error);
-            try {
-                if (!interaction.responded) {
-                    await interaction.respond([]);
-                }
-            } catch (respondError) {
-                console.error('Error responding to autocomplete:', respondError);
-            }
+            console.error(`Error posting report to review channel in guild ${entry.guildId}:`, error);
         }
+    } else {
+        console.warn(`⚠️ Report for session #${sessionId.slice(-6)} saved, but guild ${entry.guildId} has no review channel`);
     }
-});
 
-async function handleLfgCommand(interaction) {
-    // Defer reply immediately to prevent timeout issues
-    await interaction.deferReply();
+    console.log(`🚩 ${interaction.user.id} reported ${targetId} for session #${sessionId.slice(-6)}`);
+    await interaction.reply({ content: `✅ Thanks - your report about <@${targetId}> was sent to staff.`, flags: 64 });
+}
 
-    const game = interaction.options.getString('game');
-    const gamemode = interaction.options.getString('gamemode');
-    const playersNeeded = interaction.options.getInteger('players');
-    const info = interaction.options.getString('info');
-    const user = interaction.user;
-    const guild = interaction.guild;
+// 🪪 PLAYER PROFILES - in-game name, rank and mains per user and game, managed with /profile
 
-    // Check if user already has an active LFG session as creator
-    // Clean up any orphaned user session references first
-    const existingSessionId = userCreatedSessions.get(user.id);
-    if (existingSessionId) {
-        const existingSession = activeSessions.get(existingSessionId);
-        if (!existingSession) {
-            // Clean up orphaned reference and also check database
-            userCreatedSessions.delete(user.id);
-            try {
-                const dbSession = await storage.getSession(existingSessionId);
-                if (dbSession) {
-                    await storage.deleteSession(existingSessionId);
-                    console.log(`🧹 Cleaned up orphaned session #${existingSessionId.slice(-6)} from database`);
-                }
-            } catch (error) {
-                console.error('Error cleaning up orphaned database session:', error);
-            }
-            console.log(`Cleaned up orphaned session reference for user ${user.displayName}`);
-        } else {
-            return interaction.editReply({ 
-                content: `❌ You already have an active LFG session (#${existingSessionId.slice(-6)}) for ${existingSession.game}! Use \`/endlfg\` to end it first.`
-            });
-        }
+function getPlayerProfile(guildId, userId, gameName) {
+    const gameData = findCatalogGame(guildId, gameName);
+    return gameData ? playerProfiles.get(`${userId}:${gameData.key}`) || null : null;
+}
+
+// IGN and rank for a session's game, shown after the player's name
+function formatProfileTag(guildId, userId, gameName) {
+    const profile = getPlayerProfile(guildId, userId, gameName);
+    if (!profile) return '';
+    return ` • 🎮 \`${profile.ign}\`${profile.rank ? ` (${profile.rank})` : ''}`;
+}
+
+async function loadPlayerProfiles() {
+    playerProfiles.clear();
+    for (const profile of await storage.getAllPlayerProfiles()) {
+        playerProfiles.set(`${profile.userId}:${profile.gameKey}`, profile);
     }
+    console.log(`📋 Loaded ${playerProfiles.size} player profiles`);
+}
 
-    // Check if user is already in another LFG session with better cleanup
-    let userInSession = Array.from(activeSessions.values()).find(s => 
-        s.currentPlayers.includes(user.id)
-    );
+async function handleProfileCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    await getGuildCatalog(interaction.guild.id);
 
-    // If found in memory, double-check in database and clean up if needed
-    if (userInSession) {
-        try {
-            const dbSession = await storage.getSession(userInSession.id);
-            if (!dbSession || !dbSession.currentPlayers.includes(user.id)) {
-                // Session doesn't exist in DB or user isn't in it - clean up memory
-                const sessionIndex = userInSession.currentPlayers.indexOf(user.id);
-                if (sessionIndex > -1) {
-                    userInSession.currentPlayers.splice(sessionIndex, 1);
-                    console.log(`🧹 Cleaned up user ${user.displayName} from stale session #${userInSession.id.slice(-6)}`);
-                }
-                userInSession = null; // Allow user to create new session
-            } else {
-                return interaction.editReply({ 
-                    content: `❌ You are already in an LFG session (#${userInSession.id.slice(-6)})! Use \`/endlfg\` or the leave button to exit first.`
+    if (subcommand === 'set') {
+        const gameData = findCatalogGame(interaction.guild.id, interaction.options.getString('game'));
+        if (!gameData) {
+            return interaction.reply({ content: '❌ Unsupported game selected. Pick one from the list.', flags: 64 });
+        }
+
+        // Games with a rank ladder only accept ranks from it
+        let rank = interaction.options.getString('rank');
+        if (rank && gameData.ranks.length > 0) {
+            const ladderRank = gameData.ranks.find(entry => entry.name.toLowerCase() === rank.toLowerCase());
+            if (!ladderRank) {
+                return interaction.reply({ 
+                    content: `❌ Unknown rank for ${gameData.name}. Ranks: ${gameData.ranks.map(entry => entry.name).join(', ')}`,
+                    flags: 64
                 });
             }
-        } catch (error) {
-            console.error('Error checking user session in database:', error);
-            // If database check fails, still prevent creating new session for safety
-            return interaction.editReply({ 
-                content: `❌ You are already in an LFG session (#${userInSession.id.slice(-6)})! Use \`/endlfg\` to end it first.`
-            });
+            rank = ladderRank.name;
+        }
+
+        const profile = await storage.setPlayerProfile({
+            userId: interaction.user.id,
+            gameKey: gameData.key,
+            ign: interaction.options.getString('ign'),
+            rank: rank,
+            mains: interaction.options.getString('mains')
+        });
+        if (!profile) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save your profile. Please try again.', flags: 64 });
         }
+
+        playerProfiles.set(`${profile.userId}:${profile.gameKey}`, profile);
+        console.log(`🪪 ${interaction.user.displayName} updated their ${gameData.name} profile`);
+        return interaction.reply({ 
+            content: `✅ Saved your **${gameData.name}** profile: \`${profile.ign}\`${profile.rank ? ` • ${profile.rank}` : ''}${profile.mains ? ` • ${profile.mains}` : ''}`,
+            flags: 64
+        });
     }
 
-    // Check if LFG channel is set and if user is in the correct channel
-    const guildSetting = guildSettingsCache.get(guild.id);
+    const target = interaction.options.getUser('user') || interaction.user;
+    const guildId = interaction.guild.id;
+    const catalog = await getGuildCatalog(guildId);
+    const member = interaction.guild.members.cache.get(target.id);
 
-    if (guildSetting && guildSetting.lfgChannel) {
-        if (interaction.channel.id !== guildSetting.lfgChannel) {
-            const lfgChannel = guild.channels.cache.get(guildSetting.lfgChannel);
-            return interaction.editReply({ 
-                content: `❌ LFG commands can only be used in ${lfgChannel ? lfgChannel.toString() : 'the designated channel'}!`
-            });
-        }
+    const profiles = Array.from(catalog.values())
+        .map(game => ({ game, profile: playerProfiles.get(`${target.id}:${game.key}`) }))
+        .filter(entry => entry.profile);
+
+    const reliability = getReliabilityScore(getReliabilityRecord(guildId, target.id));
+    const commends = commendationCounts.get(`${guildId}:${target.id}`) || {};
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle(`🪪 ${member?.displayName || target.username}`)
+        .setThumbnail(target.displayAvatarURL())
+        .setDescription(`🛡️ **Reliability:** ${reliability === null ? 'No ready checks yet' : `${reliability}%`}\n🏅 **Commendations:** ${Object.entries(COMMENDATION_TYPES).map(([kind, label]) => `${label} ${commends[kind] || 0}`).join(' • ')}`)
+        .setTimestamp();
+
+    if (profiles.length === 0) {
+        embed.addFields({ 
+            name: '🎮 Games', 
+            value: target.id === interaction.user.id ? 'No games yet - add one with `/profile set`.' : 'No games set up yet.', 
+            inline: false 
+        });
     }
+    for (const { game, profile } of profiles.slice(0, 24)) {
+        embed.addFields({
+            name: `${game.emoji || '🎮'} ${game.name}`,
+            value: `**IGN:** \`${profile.ign}\`\n**Rank:** ${profile.rank || 'Not set'}${profile.mains ? `\n**Mains:** ${profile.mains}` : ''}`,
+            inline: true
+        });
+    }
+
+    await interaction.reply({ embeds: [embed], flags: 64 });
+}
 
-    if (!SUPPORTED_GAMES[game]) {
-        return interaction.editReply({ content: 'Unsupported game selected.' });
+// Everyone's IGN in one block, so the leader can copy them straight into in-game invites
+async function handleCopyIgns(interaction) {
+    const session = activeSessions.get(interaction.customId.replace('copy_igns_', ''));
+    const leaderError = getLeaderError(session, interaction.user.id);
+    if (leaderError) {
+        return interaction.reply({ content: `❌ ${leaderError}`, flags: 64 });
     }
 
-    const gameData = SUPPORTED_GAMES[game];
+    const guild = client.guilds.cache.get(session.guildId);
+    const igns = [];
+    const missing = [];
+    for (const playerId of session.confirmedPlayers) {
+        const profile = getPlayerProfile(session.guildId, playerId, session.game);
+        if (profile) {
+            igns.push(profile.ign);
+        } else {
+            missing.push(guild?.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`);
+        }
+    }
 
-    // Validate gamemode
-    if (!gameData.modes.includes(gamemode)) {
-        return interaction.editReply({ 
-            content: `Invalid mode for ${gameData.name}. Available modes: ${gameData.modes.join(', ')}`
-        });
+    if (igns.length === 0) {
+        return interaction.reply({ content: `ℹ️ Nobody in this session has a ${session.game} IGN set yet. They can add one with \`/profile set\`.`, flags: 64 });
     }
 
-    try {
-        // Get or create game category
-        const category = await getOrCreateGameCategory(guild, game, gameData.name);
+    await interaction.reply({ 
+        content: `📋 **${session.game} IGNs:**\n\`\`\`\n${igns.join('\n')}\n\`\`\`${missing.length > 0 ? `\n⚠️ No IGN set: ${missing.join(', ')}` : ''}`,
+        flags: 64
+    });
+}
 
-        // Create private voice channel
-        const voiceChannel = await createLfgVoiceChannel(guild, user, gameData, category);
+// 🔔 GAME NOTIFICATIONS - subscribe to a game for role pings or DMs when new sessions are posted
 
-        // 💾 Create persistent LFG session with database storage
-        const sessionId = `${user.id}-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
+function getNotifyRoleName(gameName) {
+    return `🔔 ${gameName}`.substring(0, 100);
+}
 
-        // Prepare session data for database
-        const sessionData = {
-            id: sessionId,
-            creatorId: user.id,
-            guildId: guild.id,
-            channelId: interaction.channel.id,
-            game: gameData.name,
-            gamemode: gamemode,
-            playersNeeded: playersNeeded,
-            info: info,
-            status: 'waiting',
-            currentPlayers: [user.id],
-            confirmedPlayers: [],
-            voiceChannelId: voiceChannel.id,
-            confirmationStartTime: null
-        };
+// Mentionable role per game, created the first time someone subscribes with role pings
+async function getOrCreateNotifyRole(guild, gameName) {
+    const roleName = getNotifyRoleName(gameName);
+    let role = guild.roles.cache.find(r => r.name === roleName);
 
-        // 💾 Save to database FIRST for persistence
-        let dbSession;
-        try {
-            dbSession = await storage.createSession(sessionData);
-            console.log(`💾 Created persistent session #${sessionId.slice(-6)} in database`);
+    if (!role) {
+        role = await guild.roles.create({
+            name: roleName,
+            mentionable: true,
+            reason: `LFG notifications for ${gameName}`
+        });
+        console.log(`🔔 Created notification role: ${roleName}`);
+    }
 
-            // Create user session tracking in database
-            await storage.createUserSession({
-                userId: user.id,
-                sessionId: sessionId
-            });
-            console.log(`📋 Created user session tracking for ${user.displayName}`);
-        } catch (error) {
-            console.error('❌ Failed to create session in database:', error);
-            // Clean up voice channel if database creation failed
-            if (voiceChannel) {
-                try {
-                    await voiceChannel.delete();
-                    console.log('🧹 Cleaned up voice channel after database error');
-                } catch (cleanupError) {
-                    console.error('Error cleaning up voice channel:', cleanupError);
-                }
-            }
+    return role;
+}
 
-            await interaction.editReply({ 
-                content: '❌ **Database Error**: Could not create persistent session. Please try again.'
-            });
-            return;
-        }
+// Quiet hours use the player's timezone, or the bot's local clock if they haven't set one; start === end means no quiet hours
+function isQuietHour(preferences, date = new Date()) {
+    const start = preferences?.quietStart;
+    const end = preferences?.quietEnd;
+    if (start === null || start === undefined || end === null || end === undefined || start === end) return false;
 
-        // Create memory session with all data
-        const session = {
-            id: sessionId,
-            creator: user.id,
-            guildId: guild.id,
-            channelId: interaction.channel.id,
-            messageId: null, // Will be set after message creation
-            game: gameData.name,
-            gamemode: gamemode,
-            playersNeeded: playersNeeded,
-            info: info,
-            currentPlayers: [user.id],
-            confirmedPlayers: [],
-            voiceChannel: voiceChannel.id,
-            category: category.id,
-            createdAt: Date.now(),
-            confirmationStartTime: null, // When confirmation phase started
-            status: 'waiting', // waiting, confirming, completed
-            timeoutId: null // Store timeout ID for proper cleanup
-        };
+    const hour = preferences.timezone
+        ? parseInt(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: preferences.timezone }).format(date), 10)
+        : date.getHours();
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
 
-        activeSessions.set(sessionId, session);
-        userCreatedSessions.set(user.id, sessionId); // Track creator
+async function handleNotifyCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+    const userId = interaction.user.id;
 
-        // Set up automatic expiration after 20 minutes
-        session.timeoutId = setTimeout(async () => {
-            // Only expire if session still has only the creator (no one else joined)
-            const currentSession = activeSessions.get(sessionId);
-            if (currentSession && currentSession.currentPlayers.length === 1 && currentSession.status === 'waiting') {
-                await expireSession(sessionId, 'timeout_no_joiners');
-            }
-        }, 20 * 60 * 1000); // 20 minutes
+    if (subcommand === 'list') {
+        const subscriptions = await storage.getUserSubscriptions(guild.id, userId);
+        const preferences = await storage.getUserPreferences(userId);
+        const quiet = preferences?.quietStart !== null && preferences?.quietStart !== undefined && preferences.quietStart !== preferences.quietEnd;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00d4ff)
+            .setTitle('🔔 Your Notifications')
+            .setDescription(subscriptions.length > 0
+                ? subscriptions.map(sub => `• **${sub.gameName}**${sub.gamemode ? ` • ${sub.gamemode}` : ' • any mode'} - ${sub.via === 'role' ? '📣 role ping' : '📬 DM'}`).join('\n')
+                : 'No subscriptions yet - add one with `/notify add`.')
+            .addFields(
+                { 
+                    name: '🌙 Quiet Hours', 
+                    value: quiet ? `${String(preferences.quietStart).padStart(2, '0')}:00 - ${String(preferences.quietEnd).padStart(2, '0')}:00 (${preferences.timezone || 'server time'})` : 'Off', 
+                    inline: true 
+                },
+                { 
+                    name: '📬 DM Limit', 
+                    value: `${preferences?.notifyCap || DEFAULT_NOTIFY_CAP} per hour`, 
+                    inline: true 
+                }
+            )
+            .setFooter({ text: 'Change quiet hours and the DM limit with /notify settings' })
+            .setTimestamp();
 
-        // Create embed using original beautiful detailed format
-        const embed = createDetailedLfgEmbed(session, guild, sessionId);
+        return interaction.reply({ embeds: [embed], flags: 64 });
+    }
 
-        const joinButton = new ButtonBuilder()
-            .setCustomId(`join_lfg_${sessionId}`)
-            .setLabel(`⚡ Join Squad (${playersNeeded - 1} spots left)`)
-            .setStyle(ButtonStyle.Success)
-            .setEmoji('🎮');
+    if (subcommand === 'settings') {
+        const quietStart = interaction.options.getInteger('quiet_start');
+        const quietEnd = interaction.options.getInteger('quiet_end');
+        const cap = interaction.options.getInteger('max_per_hour');
+        const timezone = interaction.options.getString('timezone');
 
-        const row = new ActionRowBuilder().addComponents(joinButton);
+        if ((quietStart === null) !== (quietEnd === null)) {
+            return interaction.reply({ content: '❌ Set both `quiet_start` and `quiet_end` (use the same hour for both to turn quiet hours off).', flags: 64 });
+        }
+        if (timezone && !TIMEZONES.includes(timezone)) {
+            return interaction.reply({ content: '❌ Unknown timezone. Pick one from the list, e.g. `Europe/Berlin` or `America/New_York`.', flags: 64 });
+        }
 
-        const response = await interaction.editReply({ embeds: [embed], components: [row] });
+        const updates = {};
+        if (quietStart !== null) {
+            updates.quietStart = quietStart;
+            updates.quietEnd = quietEnd;
+        }
+        if (cap !== null) updates.notifyCap = cap;
+        if (timezone) updates.timezone = timezone;
 
-        // 💾 Store the message ID for reliable updates in BOTH memory and database
-        session.messageId = response.id;
+        if (Object.keys(updates).length === 0) {
+            return interaction.reply({ content: 'ℹ️ Nothing to change - pass `quiet_start`/`quiet_end`, `max_per_hour` or `timezone`.', flags: 64 });
+        }
 
-        // Update database with message ID for persistence
-        try {
-            await storage.updateSession(sessionId, { messageId: response.id });
-            console.log(`💾 Updated session #${sessionId.slice(-6)} with message ID in database`);
-        } catch (error) {
-            console.error('❌ Failed to update message ID in database:', error);
+        const preferences = await storage.setUserPreferences(userId, updates);
+        if (!preferences) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not save your settings. Please try again.', flags: 64 });
         }
 
-    } catch (error) {
-        console.error('Error creating LFG session:', error);
+        const quietText = preferences.quietStart !== null && preferences.quietStart !== preferences.quietEnd
+            ? `no DMs from ${String(preferences.quietStart).padStart(2, '0')}:00 to ${String(preferences.quietEnd).padStart(2, '0')}:00 (${preferences.timezone || 'server time'})`
+            : 'no quiet hours';
+        return interaction.reply({ content: `✅ Notification settings saved: ${quietText}, at most ${preferences.notifyCap || DEFAULT_NOTIFY_CAP} DMs per hour.`, flags: 64 });
+    }
 
-        // Clean up any partially created resources
-        if (userCreatedSessions.has(user.id)) {
-            const partialSessionId = userCreatedSessions.get(user.id);
-            activeSessions.delete(partialSessionId);
-            userCreatedSessions.delete(user.id);
+    await getGuildCatalog(guild.id);
+    const gameData = findCatalogGame(guild.id, interaction.options.getString('game'));
+    if (!gameData) {
+        return interaction.reply({ content: '❌ Unsupported game selected. Pick one from the list.', flags: 64 });
+    }
 
-            // Also clean up from database
-            try {
-                await storage.deleteSession(partialSessionId);
-                console.log(`🧹 Cleaned up partial session #${partialSessionId.slice(-6)} from database`);
-            } catch (dbError) {
-                console.error('Error cleaning up partial session from database:', dbError);
-            }
+    const gamemode = interaction.options.getString('mode');
+    if (gamemode && !gameData.modes.includes(gamemode)) {
+        return interaction.reply({ content: `Invalid mode for ${gameData.name}. Available modes: ${gameData.modes.join(', ')}`, flags: 64 });
+    }
+
+    if (subcommand === 'remove') {
+        const removed = await storage.removeSubscriptions(guild.id, userId, gameData.key, gamemode);
+        if (removed.length === 0) {
+            return interaction.reply({ content: `❌ You aren't subscribed to ${gameData.name}${gamemode ? ` • ${gamemode}` : ''}.`, flags: 64 });
         }
 
-        // Clean up voice channel if it was created
-        if (voiceChannel) {
-            try {
-                await voiceChannel.delete();
-                console.log('🧹 Cleaned up voice channel after error');
-            } catch (cleanupError) {
-                console.error('Error cleaning up voice channel:', cleanupError);
+        // Drop the role once no role subscription for the game is left
+        if (removed.some(sub => sub.via === 'role')) {
+            const remaining = await storage.getUserSubscriptions(guild.id, userId);
+            const role = guild.roles.cache.find(r => r.name === getNotifyRoleName(gameData.name));
+            if (role && !remaining.some(sub => sub.gameKey === gameData.key && sub.via === 'role')) {
+                try {
+                    await interaction.member.roles.remove(role, 'Unsubscribed from LFG notifications');
+                } catch (error) {
+                    console.error(`Error removing notification role ${role.name}:`, error);
+                }
             }
         }
 
+        return interaction.reply({ content: `🔕 You'll no longer be notified about ${gameData.name}${gamemode ? ` • ${gamemode}` : ''} sessions.`, flags: 64 });
+    }
+
+    // add
+    const via = interaction.options.getString('via') || 'dm';
+    if (via === 'role') {
+        if (gamemode) {
+            return interaction.reply({ content: '❌ Role pings cover every mode of a game. Leave `mode` empty, or pick DMs to follow a single mode.', flags: 64 });
+        }
+
         try {
-            await interaction.editReply({ content: 'Failed to create LFG session. Please try again.' });
-        } catch (replyError) {
-            console.error('Error sending failure message:', replyError);
+            const role = await getOrCreateNotifyRole(guild, gameData.name);
+            await interaction.member.roles.add(role, 'Subscribed to LFG notifications');
+        } catch (error) {
+            console.error(`Error assigning notification role for ${gameData.name}:`, error);
+            return interaction.reply({ content: "❌ I couldn't give you the notification role - I may be missing **Manage Roles**. Try DMs instead.", flags: 64 });
         }
     }
+
+    const subscription = await storage.addSubscription({
+        guildId: guild.id,
+        userId,
+        gameKey: gameData.key,
+        gameName: gameData.name,
+        gamemode: gamemode || '',
+        via
+    });
+    if (!subscription) {
+        return interaction.reply({ content: '❌ **Database Error**: Could not save your subscription. Please try again.', flags: 64 });
+    }
+
+    console.log(`🔔 ${interaction.user.displayName} subscribed to ${gameData.name}${gamemode ? ` ${gamemode}` : ''} via ${via}`);
+    await interaction.reply({ 
+        content: `🔔 You'll ${via === 'role' ? `be pinged with the **${getNotifyRoleName(gameData.name)}** role` : 'get a DM'} when a new **${gameData.name}**${gamemode ? ` • ${gamemode}` : ''} session is posted.`,
+        flags: 64
+    });
 }
 
-async function getOrCreateGameCategory(guild, gameKey, gameName) {
-    const categoryName = `🎮 ${gameName}`;
+// Ping the game's role and DM matching subscribers about a newly posted public session
+async function notifySubscribers(session, gameData, channel) {
+    if (session.visibility === 'invite') return;
 
-    // Check if category already exists
-    let category = guild.channels.cache.find(c => 
-        c.type === ChannelType.GuildCategory && c.name === categoryName
-    );
+    const subscriptions = (await storage.getGameSubscriptions(session.guildId, gameData.key))
+        .filter(sub => !session.currentPlayers.includes(sub.userId) && (!sub.gamemode || sub.gamemode === session.gamemode));
+    if (subscriptions.length === 0) return;
 
-    if (!category) {
-        // Create new category
-        category = await guild.channels.create({
-            name: categoryName,
-            type: ChannelType.GuildCategory,
-            permissionOverwrites: [
-                {
-                    id: guild.roles.everyone.id,
-                    allow: [PermissionFlagsBits.ViewChannel],
-                    deny: [PermissionFlagsBits.Connect]
-                }
-            ]
-        });
+    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+    const postLink = `https://discord.com/channels/${session.guildId}/${session.channelId}/${session.messageId}`;
+    const isScheduled = session.status === 'scheduled';
 
-        gameCategories.set(gameKey, category.id);
-        console.log(`Created category: ${categoryName}`);
+    const role = subscriptions.some(sub => sub.via === 'role')
+        ? channel.guild.roles.cache.find(r => r.name === getNotifyRoleName(gameData.name))
+        : null;
+    if (role) {
+        try {
+            await channel.send({ 
+                content: `${role} New **${gameData.name} • ${session.gamemode}** session${isScheduled ? ` for <t:${Math.floor(session.scheduledStart / 1000)}:F>` : ''} - ${spotsLeft} ${spotsLeft === 1 ? 'spot' : 'spots'} open! ${postLink}`,
+                allowedMentions: { roles: [role.id] }
+            });
+        } catch (error) {
+            console.error(`Error pinging notification role for ${gameData.name}:`, error);
+        }
     }
 
-    return category;
+    const now = Date.now();
+    const dmUserIds = [...new Set(subscriptions.filter(sub => sub.via === 'dm').map(sub => sub.userId))];
+    let sent = 0;
+    for (const userId of dmUserIds) {
+        // Players already in a live session are busy
+        const busy = Array.from(activeSessions.values()).some(s => s.status !== 'scheduled' && s.currentPlayers.includes(userId));
+        if (busy) continue;
+
+        const preferences = await storage.getUserPreferences(userId);
+        if (isQuietHour(preferences)) continue;
+
+        const recent = (notificationLog.get(userId) || []).filter(sentAt => now - sentAt < 60 * 60 * 1000);
+        if (recent.length >= (preferences?.notifyCap || DEFAULT_NOTIFY_CAP)) continue;
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00d4ff)
+            .setTitle(`🔔 New ${gameData.name} session`)
+            .setDescription(`**${gameData.name} • ${session.gamemode}** in **${channel.guild.name}**\n\n👥 **${session.currentPlayers.length}/${session.playersNeeded}** - ${spotsLeft} ${spotsLeft === 1 ? 'spot' : 'spots'} open\n${isScheduled ? `📅 Starts <t:${Math.floor(session.scheduledStart / 1000)}:F>` : `⏱️ Expires <t:${Math.floor(session.expiresAt / 1000)}:R>`}\n🏅 ${formatRankRequirement(session)}\n\n[View post](${postLink})`)
+            .setFooter({ text: 'Manage these with /notify in the server' })
+            .setTimestamp();
+
+        const joinButton = new ButtonBuilder()
+            .setCustomId(`join_lfg_${session.id}`)
+            .setLabel(isScheduled ? 'RSVP' : 'Join')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('🎮');
+
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send({ embeds: [embed], components: [new ActionRowBuilder().addComponents(joinButton)] });
+            recent.push(now);
+            notificationLog.set(userId, recent);
+            sent++;
+        } catch (error) {
+            console.log(`Could not DM session notification to ${userId}: ${error.message}`);
+        }
+    }
+
+    console.log(`🔔 Notified subscribers of session #${session.id.slice(-6)}${role ? ` (pinged ${role.name})` : ''}, ${sent} DMs`);
 }
 
-// Store empty channel timestamps
-const emptyChannelTimestamps = new Map();
+// 🔁 RECURRING SESSIONS - staff-defined sessions posted on a cron schedule
 
-// Cleanup empty channels every minute with improved reliability
-async function cleanupEmptyChannels() {
-    for (const guild of client.guilds.cache.values()) {
+function describeRecurringSession(recurring) {
+    return `**${recurring.gameName} • ${recurring.gamemode}** (${recurring.playersNeeded} players)`;
+}
+
+// Minimal stand-in for a slash command interaction so scheduled runs go through handleLfgCommand
+function createRecurringInteraction(recurring, guild, channel, host) {
+    const values = {
+        game: recurring.gameKey,
+        gamemode: recurring.gamemode,
+        players: recurring.playersNeeded,
+        info: recurring.info
+    };
+
+    // Anything handleLfgCommand would have replied privately goes to the host instead
+    const notifyHost = async (content) => {
         try {
-            // Verify bot has necessary permissions
-            const botMember = guild.members.cache.get(client.user.id);
-            if (!botMember || !botMember.permissions.has(PermissionFlagsBits.ManageChannels)) {
-                console.log(`Skipping cleanup for guild ${guild.name} - missing permissions`);
-                continue;
+            await host.send(`🔁 Recurring session ${describeRecurringSession(recurring)} in **${guild.name}**: ${content}`);
+        } catch (error) {
+            console.log(`Could not DM recurring session notice to ${host.id}: ${error.message}`);
+        }
+    };
+
+    return {
+        guild,
+        channel,
+        user: host,
+        member: guild.members.cache.get(host.id) || null,
+        options: {
+            getString: (name) => values[name] ?? null,
+            getInteger: (name) => values[name] ?? null,
+            getUser: () => null
+        },
+        deferReply: async () => {},
+        editReply: async (payload) => {
+            if (!payload.embeds) {
+                console.log(`⚠️ Recurring session #${recurring.id} did not post: ${payload.content}`);
+                await notifyHost(payload.content);
+                return null;
             }
-            // Clean up empty LFG voice channels - but respect active LFG sessions for 20 minutes
-            const voiceChannels = guild.channels.cache.filter(c => 
-                c.type === ChannelType.GuildVoice && 
-                c.members.size === 0 && 
-                c.parent && 
-                c.parent.name.startsWith('🎮')
-            );
+            return channel.send(payload);
+        },
+        followUp: async (payload) => notifyHost(payload.content)
+    };
+}
 
-            for (const channel of voiceChannels.values()) {
-                const now = Date.now();
+async function runRecurringSession(recurringId) {
+    const recurring = recurringJobs.get(recurringId)?.recurring;
+    if (!recurring || recurring.paused) return;
 
-                // Check if this channel belongs to an active LFG session
-                const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === channel.id);
+    const guild = client.guilds.cache.get(recurring.guildId);
+    const channel = guild?.channels.cache.get(recurring.channelId);
+    if (!channel) {
+        console.log(`⚠️ Skipping recurring session #${recurring.id}: channel ${recurring.channelId} is gone`);
+        return;
+    }
 
-                if (session) {
-                    // Verify session is still valid
-                    if (!session.guildId || !session.creator || !session.currentPlayers) {
-                        console.log(`Found corrupted session ${session.id}, removing...`);
-                        activeSessions.delete(session.id);
-                        userCreatedSessions.delete(session.creator);
-                        // Allow channel to be cleaned up
-                    } else if (session.status === 'waiting') {
-                        // Active LFG session - don't delete the voice channel
-                        // Voice channel will be deleted when:
-                        // 1. Session times out after 20 minutes (handled by checkExpiredLfgSessions)
-                        // 2. All players leave permanently (handled by leave LFG command)
-                        console.log(`Protecting active LFG session voice channel: ${channel.name}`);
-                        // Clear any empty timestamp since we're protecting this channel
-                        emptyChannelTimestamps.delete(channel.id);
-                    } else {
-                        // Session in other states (started, ended, etc.) - allow normal cleanup
-                        if (!emptyChannelTimestamps.has(channel.id)) {
-                            // Mark channel as empty
-                            emptyChannelTimestamps.set(channel.id, now);
-                        } else {
-                            // Check if channel has been empty for more than 5 minutes
-                            const emptyTime = now - emptyChannelTimestamps.get(channel.id);
-                            if (emptyTime > 300000) { // 5 minutes for non-waiting sessions
-                                const category = channel.parent;
-                                await channel.delete();
-                                emptyChannelTimestamps.delete(channel.id);
-                                console.log(`Deleted empty voice channel: ${channel.name} (session not waiting, 5min cleanup)`);
+    let host;
+    try {
+        host = await client.users.fetch(recurring.hostId);
+    } catch (error) {
+        console.log(`⚠️ Skipping recurring session #${recurring.id}: host ${recurring.hostId} not found`);
+        return;
+    }
 
-                                // Immediately check and cleanup empty category
-                                if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
-                                    await category.delete();
-                                    console.log(`Deleted empty category: ${category.name}`);
-                                }
-                            }
-                        }
-                    }
-                } else {
-                    // No active session, use regular 1-minute cleanup
-                    if (!emptyChannelTimestamps.has(channel.id)) {
-                        // Mark channel as empty
-                        emptyChannelTimestamps.set(channel.id, now);
-                    } else {
-                        // Check if channel has been empty for more than 1 minute
-                        const emptyTime = now - emptyChannelTimestamps.get(channel.id);
-                        if (emptyTime > 60000) { // 1 minute
-                            const category = channel.parent;
-                            await channel.delete();
-                            emptyChannelTimestamps.delete(channel.id);
-                            console.log(`Deleted empty voice channel: ${channel.name} (no active session)`);
+    recurring.lastRunAt = new Date();
+    await storage.updateRecurringSession(recurring.id, { lastRunAt: recurring.lastRunAt });
 
-                            // Immediately check and cleanup empty category
-                            if (category && category.name.startsWith('🎮') && category.children.cache.size === 0) {
-                                await category.delete();
-                                console.log(`Deleted empty category: ${category.name}`);
-                            }
-                        }
-                    }
-                }
-            }
+    console.log(`🔁 Posting recurring session #${recurring.id} for ${recurring.gameName} in #${channel.name}`);
+    try {
+        await handleLfgCommand(createRecurringInteraction(recurring, guild, channel, host));
+    } catch (error) {
+        console.error(`Error posting recurring session #${recurring.id}:`, error);
+    }
+}
 
-            // Clean up empty game categories
-            const gameCategories = guild.channels.cache.filter(c => 
-                c.type === ChannelType.GuildCategory && 
-                c.name.startsWith('🎮') &&
-                c.children.cache.size === 0
-            );
+// (Re)register the cron job for a recurring session; paused ones are kept without a job
+function scheduleRecurringSession(recurring) {
+    recurringJobs.get(recurring.id)?.task?.destroy();
 
-            for (const category of gameCategories.values()) {
-                await category.delete();
-                console.log(`Deleted empty category: ${category.name}`);
-            }
+    const task = recurring.paused
+        ? null
+        : cron.schedule(recurring.cron, () => runRecurringSession(recurring.id), { timezone: recurring.timezone || undefined });
+    recurringJobs.set(recurring.id, { recurring, task });
+}
+
+function generateRecurringId() {
+    let id;
+    do {
+        id = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+    } while (recurringJobs.has(id));
+    return id;
+}
 
+// Runs that fell while the bot was offline: post the latest one if it's recent enough, report the rest
+async function catchUpRecurringSession(recurring) {
+    const task = recurringJobs.get(recurring.id)?.task;
+    if (!task?.timeMatcher) return;
+
+    const since = Math.max(
+        new Date(recurring.lastRunAt || recurring.createdAt).getTime(),
+        recurring.lastMissedAt ? new Date(recurring.lastMissedAt).getTime() : 0,
+        Date.now() - RECURRING_CATCH_UP_LOOKBACK
+    );
+
+    // Walk back a minute at a time; the current minute is left to the cron job itself
+    const minute = new Date();
+    minute.setSeconds(0, 0);
+    const missed = [];
+    for (let time = minute.getTime() - 60000; time > since; time -= 60000) {
+        if (task.timeMatcher.match(new Date(time))) missed.push(time);
+    }
+    if (missed.length === 0) return;
+
+    const postLate = Date.now() - missed[0] <= RECURRING_CATCH_UP_WINDOW;
+    const skipped = postLate ? missed.length - 1 : missed.length;
+    console.log(`🔁 Recurring session #${recurring.id} missed ${missed.length} run(s) while offline${postLate ? ', posting the latest now' : ''}`);
+
+    recurring.lastMissedAt = new Date(missed[0]);
+    await storage.updateRecurringSession(recurring.id, { lastMissedAt: recurring.lastMissedAt });
+
+    if (skipped > 0) {
+        const channel = client.guilds.cache.get(recurring.guildId)?.channels.cache.get(recurring.channelId);
+        try {
+            await channel?.send(`⚠️ The bot was offline and skipped ${skipped} scheduled ${skipped === 1 ? 'post' : 'posts'} of recurring session \`${recurring.id}\` ${describeRecurringSession(recurring)} (last one <t:${Math.floor(missed[postLate ? 1 : 0] / 1000)}:R>).`);
         } catch (error) {
-            console.error('Error during cleanup:', error);
+            console.error(`Error reporting missed runs of recurring session #${recurring.id}:`, error);
         }
     }
+
+    if (postLate) {
+        await runRecurringSession(recurring.id);
+    }
 }
 
-// Handle voice state changes
-client.on('voiceStateUpdate', async (oldState, newState) => {
-    // Handle someone leaving a channel
-    if (oldState.channel && oldState.channel.members.size === 0) {
-        // Channel became empty - start tracking for cleanup
-        if (oldState.channel.parent && oldState.channel.parent.name.startsWith('🎮')) {
-            emptyChannelTimestamps.set(oldState.channel.id, Date.now());
+function unscheduleRecurringSession(recurringId) {
+    recurringJobs.get(recurringId)?.task?.destroy();
+    recurringJobs.delete(recurringId);
+}
+
+async function loadRecurringSessions() {
+    for (const recurringId of Array.from(recurringJobs.keys())) {
+        unscheduleRecurringSession(recurringId);
+    }
+
+    for (const recurring of await storage.getRecurringSessions()) {
+        if (!cron.validate(recurring.cron)) {
+            console.log(`⚠️ Recurring session #${recurring.id} has an invalid schedule "${recurring.cron}", not registering it`);
+            continue;
         }
+        scheduleRecurringSession(recurring);
     }
+    console.log(`📋 Registered ${recurringJobs.size} recurring sessions`);
+}
 
-    // Handle someone joining a channel
-    if (newState.channel && emptyChannelTimestamps.has(newState.channel.id)) {
-        // Channel is no longer empty - stop tracking for cleanup
-        emptyChannelTimestamps.delete(newState.channel.id);
+// Runs after sessions are restored, so late posts see who is already hosting or playing
+async function catchUpRecurringSessions() {
+    for (const { recurring } of Array.from(recurringJobs.values())) {
+        try {
+            await catchUpRecurringSession(recurring);
+        } catch (error) {
+            console.error(`Error catching up recurring session #${recurring.id}:`, error);
+        }
     }
+}
 
-    // Handle joining LFG voice channels - only allow if in session
-    if (newState.channel) {
-        const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === newState.channel.id);
+function getGuildRecurringSessions(guildId) {
+    return Array.from(recurringJobs.values())
+        .map(job => job.recurring)
+        .filter(recurring => recurring.guildId === guildId);
+}
 
-        if (session) {
-            // Only allow users who are part of the LFG session
-            if (session.currentPlayers.includes(newState.member.id) || session.confirmedPlayers.includes(newState.member.id)) {
-                console.log(`${newState.member.displayName} joined LFG voice channel: ${session.game}`);
-            } else {
-                // Kick users who aren't part of the session
-                try {
-                    await newState.member.voice.disconnect('Not part of this LFG session');
-                    console.log(`Kicked ${newState.member.displayName} from LFG voice channel - not in session`);
-                } catch (error) {
-                    console.error('Error kicking unauthorized user:', error);
-                }
+async function handleRecurringCommand(interaction) {
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.reply({ content: '❌ You need Manage Server permission to use this command!', flags: 64 });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+
+    if (subcommand === 'list') {
+        const recurringSessions = getGuildRecurringSessions(guild.id);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00d4ff)
+            .setTitle('🔁 Recurring Sessions')
+            .setDescription(recurringSessions.length > 0
+                ? recurringSessions.map(recurring => 
+                    `${recurring.paused ? '⏸️' : '▶️'} \`${recurring.id}\` ${describeRecurringSession(recurring)}\n` +
+                    `🗓️ \`${recurring.cron}\` (${recurring.timezone || 'server time'}) in <#${recurring.channelId}> • 👑 <@${recurring.hostId}>` +
+                    `${recurring.lastRunAt ? ` • last posted <t:${Math.floor(new Date(recurring.lastRunAt).getTime() / 1000)}:R>` : ''}`
+                ).join('\n\n')
+                : 'No recurring sessions yet - add one with `/recurring create`.')
+            .setFooter({ text: 'Schedules without a timezone use the bot\'s server time' })
+            .setTimestamp();
+
+        return interaction.reply({ embeds: [embed], flags: 64 });
+    }
+
+    if (subcommand === 'pause' || subcommand === 'delete') {
+        const recurringId = interaction.options.getString('id');
+        const recurring = recurringJobs.get(recurringId)?.recurring;
+        if (!recurring || recurring.guildId !== guild.id) {
+            return interaction.reply({ content: `❌ No recurring session \`${recurringId}\` in this server. Check \`/recurring list\`.`, flags: 64 });
+        }
+
+        if (subcommand === 'delete') {
+            if (!await storage.deleteRecurringSession(recurring.id)) {
+                return interaction.reply({ content: '❌ **Database Error**: Could not delete the recurring session. Please try again.', flags: 64 });
             }
+            unscheduleRecurringSession(recurring.id);
+            console.log(`🔁 Deleted recurring session #${recurring.id} in ${guild.name}`);
+            return interaction.reply({ content: `🗑️ Deleted recurring session \`${recurring.id}\` ${describeRecurringSession(recurring)}. Sessions it already posted are unaffected.`, flags: 64 });
         }
-    }
 
-    // Handle members leaving voice - track for potential session cleanup
-    if (oldState.channel && !newState.channel) {
-        const session = Array.from(activeSessions.values()).find(s => s.voiceChannel === oldState.channel.id);
-        if (session && session.currentPlayers.includes(oldState.member.id)) {
-            console.log(`Member ${oldState.member.displayName} left LFG voice channel for session ${session.id.slice(-6)}`);
+        // pause toggles, so the same command resumes a paused schedule
+        const updated = await storage.updateRecurringSession(recurring.id, { paused: !recurring.paused });
+        if (!updated) {
+            return interaction.reply({ content: '❌ **Database Error**: Could not update the recurring session. Please try again.', flags: 64 });
         }
+        scheduleRecurringSession(updated);
+        console.log(`🔁 ${updated.paused ? 'Paused' : 'Resumed'} recurring session #${updated.id} in ${guild.name}`);
+        return interaction.reply({ 
+            content: updated.paused
+                ? `⏸️ Paused \`${updated.id}\` ${describeRecurringSession(updated)}. Run \`/recurring pause\` again to resume it.`
+                : `▶️ Resumed \`${updated.id}\` ${describeRecurringSession(updated)} on \`${updated.cron}\`.`,
+            flags: 64
+        });
     }
-});
 
-// New command handlers
-async function handleSetChannelCommand(interaction) {
+    // create
+    const schedule = interaction.options.getString('cron').trim();
+    if (!cron.validate(schedule)) {
+        return interaction.reply({ content: '❌ That isn\'t a valid cron schedule. Use five fields: minute hour day month weekday, e.g. `0 21 * * FRI` for Fridays at 21:00.', flags: 64 });
+    }
 
-    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageChannels)) {
-        return interaction.reply({ content: '❌ You need Manage Channels permission to use this command!', flags: 64 });
+    if (getGuildRecurringSessions(guild.id).length >= MAX_RECURRING_SESSIONS) {
+        return interaction.reply({ content: `❌ This server already has ${MAX_RECURRING_SESSIONS} recurring sessions. Delete one with \`/recurring delete\` first.`, flags: 64 });
+    }
+
+    await getGuildCatalog(guild.id);
+    const gameData = findCatalogGame(guild.id, interaction.options.getString('game'));
+    if (!gameData) {
+        return interaction.reply({ content: '❌ Unsupported game selected. Pick one from the list, or add it with `/game add`.', flags: 64 });
+    }
+
+    const gamemode = interaction.options.getString('mode');
+    if (!gameData.modes.includes(gamemode)) {
+        return interaction.reply({ content: `Invalid mode for ${gameData.name}. Available modes: ${gameData.modes.join(', ')}`, flags: 64 });
     }
 
     const channel = interaction.options.getChannel('channel');
-    const guildId = interaction.guild.id;
+    const lfgChannelId = guildSettingsCache.get(guild.id)?.lfgChannel;
+    if (lfgChannelId && channel.id !== lfgChannelId) {
+        return interaction.reply({ content: `❌ Sessions can only be posted in <#${lfgChannelId}>, the LFG channel for this server.`, flags: 64 });
+    }
 
+    const host = interaction.options.getUser('host') || interaction.user;
+    if (host.bot) {
+        return interaction.reply({ content: '❌ The host has to be a player, not a bot.', flags: 64 });
+    }
 
-    // Initialize guild settings if not exists
-    if (!guildSettings.has(guildId)) {
-        guildSettings.set(guildId, {});
+    const timezone = interaction.options.getString('timezone');
+    if (timezone && !TIMEZONES.includes(timezone)) {
+        return interaction.reply({ content: '❌ Unknown timezone. Pick one from the list, e.g. `Europe/Berlin` or `America/New_York`.', flags: 64 });
     }
 
-    // Set the LFG channel
-    const settings = guildSettings.get(guildId);
-    settings.lfgChannel = channel.id;
-    guildSettings.set(guildId, settings); // Make sure to set it back
+    const recurring = await storage.addRecurringSession({
+        id: generateRecurringId(),
+        guildId: guild.id,
+        channelId: channel.id,
+        hostId: host.id,
+        createdBy: interaction.user.id,
+        gameKey: gameData.key,
+        gameName: gameData.name,
+        gamemode,
+        playersNeeded: interaction.options.getInteger('players'),
+        info: interaction.options.getString('info'),
+        cron: schedule,
+        timezone
+    });
+    if (!recurring) {
+        return interaction.reply({ content: '❌ **Database Error**: Could not save the recurring session. Please try again.', flags: 64 });
+    }
 
+    scheduleRecurringSession(recurring);
+    console.log(`🔁 Created recurring session #${recurring.id} (${gameData.name} ${gamemode}, "${schedule}") in ${guild.name}`);
 
-    const embed = new EmbedBuilder()
-        .setColor(0x00ff00)
-        .setTitle('✅ LFG Channel Set')
-        .setDescription(`LFG commands can now only be used in ${channel.toString()}`)
-        .setTimestamp();
+    await interaction.reply({ 
+        content: `🔁 Recurring session \`${recurring.id}\` created: ${describeRecurringSession(recurring)} hosted by ${host}, posted in ${channel} on \`${schedule}\` (${timezone || 'server time'}).`,
+        flags: 64
+    });
+}
 
-    await interaction.reply({ embeds: [embed] });
+// 📅 CALENDAR - Discord scheduled events and .ics invites for planned sessions
+
+function getSessionEventDescription(session, guild) {
+    const host = guild.members.cache.get(session.creator);
+    const channel = guild.channels.cache.get(session.channelId);
+    return [
+        `${session.gamemode} • ${session.playersNeeded} players`,
+        `👑 Hosted by ${host ? host.displayName : 'the session leader'}`,
+        `📅 RSVP in ${channel ? `#${channel.name}` : 'the LFG channel'} - the voice channel opens at start time.`,
+        session.info ? `\n${session.info}` : ''
+    ].join('\n').substring(0, 1000);
 }
 
-async function handleEmbedCommand(interaction) {
-    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageMessages)) {
-        return interaction.reply({ content: '❌ You need Manage Messages permission to use this command!', flags: 64 });
-    }
+// Guild event for a planned session; invite-only sessions stay out of the server-wide event list
+async function createSessionEvent(session, guild) {
+    if (session.visibility === 'invite' || !session.scheduledStart) return;
 
-    const title = interaction.options.getString('title');
-    const description = interaction.options.getString('description');
-    const colorInput = interaction.options.getString('color') || '#5865f2';
+    const channel = guild.channels.cache.get(session.channelId);
+    try {
+        const event = await guild.scheduledEvents.create({
+            name: `${session.game} • ${session.gamemode}`.substring(0, 100),
+            scheduledStartTime: new Date(session.scheduledStart),
+            scheduledEndTime: new Date(session.expiresAt),
+            privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+            entityType: GuildScheduledEventEntityType.External,
+            entityMetadata: { location: channel ? `#${channel.name}` : guild.name },
+            description: getSessionEventDescription(session, guild),
+            reason: `Scheduled LFG session #${session.id.slice(-6)}`
+        });
 
-    let color = 0x5865f2;
-    if (colorInput.startsWith('#')) {
-        color = parseInt(colorInput.slice(1), 16);
+        session.scheduledEventId = event.id;
+        await storage.updateSession(session.id, { scheduledEventId: event.id });
+        console.log(`📅 Created guild event ${event.id} for session #${session.id.slice(-6)}`);
+    } catch (error) {
+        console.error(`Error creating guild event for session #${session.id.slice(-6)}:`, error);
     }
+}
 
-    const embed = new EmbedBuilder()
-        .setTitle(title)
-        .setDescription(description)
-        .setColor(color)
-        .setTimestamp();
-
-    await interaction.reply({ embeds: [embed] });
+async function fetchSessionEvent(session, guild) {
+    if (!session.scheduledEventId || !guild) return null;
+    return guild.scheduledEvents.fetch(session.scheduledEventId).catch(() => null);
 }
 
-async function handleModCommand(interaction) {
-    if (!interaction.member.permissions.has(PermissionFlagsBits.ModerateMembers)) {
-        return interaction.reply({ content: '❌ You need Moderate Members permission to use this command!', flags: 64 });
+// Keep the event's host, end time and location in step with the session
+async function updateSessionEvent(session) {
+    const guild = client.guilds.cache.get(session.guildId);
+    const event = await fetchSessionEvent(session, guild);
+    if (!event) return;
+
+    try {
+        if (session.status !== 'scheduled' && session.voiceChannel && event.isScheduled()) {
+            // Start time reached: point the event at the voice channel and start it
+            await event.edit({
+                entityType: GuildScheduledEventEntityType.Voice,
+                channel: session.voiceChannel,
+                entityMetadata: null,
+                description: getSessionEventDescription(session, guild)
+            });
+            await event.setStatus(GuildScheduledEventStatus.Active);
+            console.log(`📅 Started guild event for session #${session.id.slice(-6)} in its voice channel`);
+        } else if (event.isScheduled()) {
+            await event.edit({
+                scheduledEndTime: new Date(session.expiresAt),
+                description: getSessionEventDescription(session, guild)
+            });
+        }
+    } catch (error) {
+        console.error(`Error updating guild event for session #${session.id.slice(-6)}:`, error);
     }
+}
 
-    const action = interaction.options.getString('action');
-    const targetUser = interaction.options.getMember('user');
-    const reason = interaction.options.getString('reason') || 'No reason provided';
-    const duration = interaction.options.getString('duration');
+// Events that never started are cancelled, running ones are completed
+async function closeSessionEvent(session) {
+    const guild = client.guilds.cache.get(session.guildId);
+    const event = await fetchSessionEvent(session, guild);
+    session.scheduledEventId = null;
+    if (!event) return;
 
-    if (!targetUser) {
-        return interaction.reply({ content: '❌ User not found in this server!', flags: 64 });
+    try {
+        if (event.isActive()) {
+            await event.setStatus(GuildScheduledEventStatus.Completed);
+        } else if (event.isScheduled()) {
+            await event.setStatus(GuildScheduledEventStatus.Canceled);
+        }
+        console.log(`📅 Closed guild event for session #${session.id.slice(-6)}`);
+    } catch (error) {
+        console.error(`Error closing guild event for session #${session.id.slice(-6)}:`, error);
     }
+}
 
-    if (targetUser.roles.highest.position >= interaction.member.roles.highest.position) {
-        return interaction.reply({ content: '❌ You cannot moderate this user (equal or higher role)!', flags: 64 });
+function formatIcsDate(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// iCalendar lines are folded at 75 octets without splitting a character
+function foldIcsLine(line) {
+    const chunks = [''];
+    for (const char of line) {
+        if (Buffer.byteLength(chunks[chunks.length - 1] + char) > 74) chunks.push('');
+        chunks[chunks.length - 1] += char;
     }
+    return chunks.join('\r\n ');
+}
 
-    try {
-        switch (action) {
-            case 'kick':
-                await targetUser.kick(reason);
-                await removeMemberFromAllSessions(targetUser.id);
-                await interaction.reply(`✅ Kicked ${targetUser.user.tag} - ${reason}`);
-                break;
+function createSessionIcs(session, guild) {
+    const channelLink = `https://discord.com/channels/${guild.id}/${session.channelId}`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Party Up//LFG Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${session.id}@party-up`,
+        `DTSTAMP:${formatIcsDate(Date.now())}`,
+        `DTSTART:${formatIcsDate(session.scheduledStart)}`,
+        `DTEND:${formatIcsDate(session.expiresAt)}`,
+        `SUMMARY:${escapeIcsText(`${session.game} • ${session.gamemode}`)}`,
+        `DESCRIPTION:${escapeIcsText(`${session.playersNeeded}-player ${session.game} session in ${guild.name}.${session.info ? `\n${session.info}` : ''}\nRSVP and join: ${channelLink}`)}`,
+        `LOCATION:${escapeIcsText(`${guild.name} (Discord)`)}`,
+        `URL:${channelLink}`,
+        'BEGIN:VALARM',
+        'TRIGGER:-PT15M',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(`${session.game} starts in 15 minutes`)}`,
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+
+    return new AttachmentBuilder(Buffer.from(lines.map(foldIcsLine).join('\r\n') + '\r\n'), {
+        name: `${toGameKey(session.game) || 'session'}-${session.id.slice(-6)}.ics`,
+        description: `Calendar invite for ${session.game} • ${session.gamemode}`
+    });
+}
 
-            case 'ban':
-                await targetUser.ban({ reason, deleteMessageDays: 1 });
-                await removeMemberFromAllSessions(targetUser.id);
-                await interaction.reply(`✅ Banned ${targetUser.user.tag} - ${reason}`);
-                break;
+// 🔐 INVITE-ONLY SESSIONS - direct invites by DM and shareable invite codes
 
-            case 'mute':
-                const timeoutDuration = parseDuration(duration || '1h');
-                await targetUser.timeout(timeoutDuration, reason);
-                await interaction.reply(`✅ Muted ${targetUser.user.tag} for ${duration || '1h'} - ${reason}`);
-                break;
+function generateInviteCode() {
+    let code;
+    do {
+        code = Array.from({ length: INVITE_CODE_LENGTH }, () =>
+            INVITE_CODE_CHARS[Math.floor(Math.random() * INVITE_CODE_CHARS.length)]
+        ).join('');
+    } while (Array.from(activeSessions.values()).some(session => session.inviteCode === code));
+    return code;
+}
 
-            case 'unmute':
-                await targetUser.timeout(null, reason);
-                await interaction.reply(`✅ Unmuted ${targetUser.user.tag} - ${reason}`);
-                break;
-        }
-    } catch (error) {
-        console.error('Moderation error:', error);
-        await interaction.reply({ content: `❌ Failed to ${action} user: ${error.message}`, flags: 64 });
+// An invite also lifts an earlier kick, since the leader is asking the player back
+async function addInvitedPlayer(session, userId) {
+    if (!session.invitedPlayers.includes(userId)) {
+        session.invitedPlayers.push(userId);
     }
-}
+    session.kickedPlayers = (session.kickedPlayers || []).filter(id => id !== userId);
 
-async function handleJoinLfg(interaction) {
     try {
-        // Defer the interaction immediately to prevent timeout
-        await interaction.deferUpdate();
+        await storage.updateSession(session.id, {
+            invitedPlayers: session.invitedPlayers,
+            kickedPlayers: session.kickedPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist invite for session ${session.id}:`, dbError);
+    }
+}
 
-        const sessionId = interaction.customId.replace('join_lfg_', '');
-        const session = activeSessions.get(sessionId);
+async function handleLfgInviteCommand(interaction) {
+    const session = activeSessions.get(userCreatedSessions.get(interaction.user.id));
+    if (!session) {
+        return interaction.reply({ content: "❌ You aren't leading an LFG session. Create one with `/lfg create`.", flags: 64 });
+    }
 
-        console.log(`User ${interaction.user.displayName} (${interaction.user.id}) attempting to join session ${sessionId}`);
+    const target = interaction.options.getUser('player');
+    if (target.bot) {
+        return interaction.reply({ content: "❌ Bots can't be invited to LFG sessions.", flags: 64 });
+    }
 
-        if (!session) {
-            console.log(`Session ${sessionId} not found`);
+    const targetName = await getMemberName(interaction.guild, target.id);
+    if (session.currentPlayers.includes(target.id)) {
+        return interaction.reply({ content: `❌ **${targetName}** is already in your session.`, flags: 64 });
+    }
 
-            // Try to find and disable this outdated button
-            const embed = new EmbedBuilder()
-                .setColor(0x95a5a6)
-                .setTitle('❌ LFG Session Expired')
-                .setDescription('This LFG session is no longer active.')
-                .setTimestamp();
+    await interaction.deferReply({ flags: 64 });
+    await addInvitedPlayer(session, target.id);
+    console.log(`📨 ${interaction.user.displayName} invited ${targetName} to session #${session.id.slice(-6)}`);
 
-            try {
-                await interaction.editReply({ embeds: [embed], components: [] });
-                console.log(`Disabled outdated LFG button for session ${sessionId}`);
-            } catch (updateError) {
-                console.error('Error disabling outdated button:', updateError);
-            }
-            return;
-        }
+    const startLine = session.status === 'scheduled'
+        ? `\n📅 **Starts:** <t:${Math.floor(session.scheduledStart / 1000)}:F>`
+        : '';
+    const inviteEmbed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle(`📨 You're invited to a ${session.game} session!`)
+        .setDescription(`**${interaction.user.displayName}** invited you to their **${session.game} • ${session.gamemode}** session in **${interaction.guild.name}**.\n\n👥 **Squad:** ${session.currentPlayers.length}/${session.playersNeeded}${startLine}`)
+        .setFooter({ text: `Session #${session.id.slice(-6)}` })
+        .setTimestamp();
 
-        if (session.currentPlayers.includes(interaction.user.id)) {
-            // User is already in this session, show enhanced status
-            const statusEmbed = new EmbedBuilder()
-                .setColor(0xffa500)
-                .setTitle('ℹ️ **Already in Team!**')
-                .setDescription(`**You're already part of this ${session.game} session**\n\n👥 **Team:** ${session.currentPlayers.length}/${session.playersNeeded}\n🔊 **Voice:** <#${session.voiceChannel}>\n⏰ **Status:** ${session.status === 'confirming' ? 'Waiting for confirmations' : 'Looking for more players'}\n\n*Click **Leave Team** if you want to exit this session.*`)
-                .setTimestamp();
+    const acceptButton = new ButtonBuilder()
+        .setCustomId(`accept_invite_${session.id}`)
+        .setLabel('Accept Invite')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('✅');
 
-            const leaveButton = new ButtonBuilder()
-                .setCustomId(`leave_lfg_${sessionId}`)
-                .setLabel('Leave Team')
-                .setStyle(ButtonStyle.Danger)
-                .setEmoji('🚪');
+    const rejectButton = new ButtonBuilder()
+        .setCustomId(`reject_invite_${session.id}`)
+        .setLabel('Decline')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('👋');
 
-            const row = new ActionRowBuilder().addComponents(leaveButton);
+    let dmSent = true;
+    try {
+        await target.send({ embeds: [inviteEmbed], components: [new ActionRowBuilder().addComponents(acceptButton, rejectButton)] });
+    } catch (error) {
+        dmSent = false;
+        console.log(`Could not DM invite to ${target.id}: ${error.message}`);
+    }
 
-            console.log(`User ${interaction.user.id} (${interaction.user.displayName}) tried to join session they're already in`);
+    const fallback = session.visibility === 'invite'
+        ? ` Share your code **\`${session.inviteCode}\`** so they can use \`/lfg join\`.`
+        : ' They can still join from the session post.';
+    await interaction.editReply({ 
+        content: dmSent
+            ? `📨 Invite sent to **${targetName}** by DM.`
+            : `📨 **${targetName}** is invited, but their DMs are closed.${fallback}`
+    });
+}
 
-            return interaction.editReply({ 
-                embeds: [statusEmbed],
-                components: [row]
-            });
-        }
+async function handleLfgJoinCodeCommand(interaction) {
+    const code = interaction.options.getString('code').trim().toUpperCase();
+    const session = Array.from(activeSessions.values()).find(s => 
+        s.guildId === interaction.guild.id && s.inviteCode === code
+    );
 
-        if (session.currentPlayers.length >= session.playersNeeded) {
-            const fullEmbed = new EmbedBuilder()
-                .setColor(0xff9900)
-                .setTitle('🚫 **Team is Full!**')
-                .setDescription(`**This ${session.game} session is already complete**\n\n👥 **Team:** ${session.currentPlayers.length}/${session.playersNeeded}\n🎮 **Status:** ${session.status === 'confirming' ? 'Players confirming' : 'Team filled'}\n\n🔍 Try creating your own LFG with \`/lfg\`!`)
-                .setTimestamp();
+    if (!session) {
+        return interaction.reply({ content: '❌ No active session uses that invite code. Double-check it with the session leader.', flags: 64 });
+    }
+    if (session.currentPlayers.includes(interaction.user.id)) {
+        return interaction.reply({ content: `❌ You're already in this ${session.game} session.`, flags: 64 });
+    }
+    if (session.kickedPlayers?.includes(interaction.user.id)) {
+        return interaction.reply({ content: '❌ You were removed from this session by the leader.', flags: 64 });
+    }
 
-            return interaction.editReply({ embeds: [fullEmbed] });
-        }
+    await addInvitedPlayer(session, interaction.user.id);
 
-        // Check if user is already in another LFG session (improved check)
-        const userInOtherSession = Array.from(activeSessions.values()).find(s => 
-            s.id !== sessionId && s.currentPlayers.includes(interaction.user.id)
-        );
+    const embed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle('🎟️ Invite Code Accepted')
+        .setDescription(`**You're on the invite list for ${session.game} • ${session.gamemode}**\n\n👑 **Leader:** <@${session.creator}>\n👥 **Squad:** ${session.currentPlayers.length}/${session.playersNeeded}\n\nClick below to take your spot.`)
+        .setTimestamp();
 
-        if (userInOtherSession) {
-            const conflictEmbed = new EmbedBuilder()
-                .setColor(0xff6b6b)
-                .setTitle('⚠️ **Already in Another Team!**')
-                .setDescription(`**You can only be in one LFG session at a time**\n\n🎮 **Current Session:** ${userInOtherSession.game}\n🆔 **Session ID:** #${userInOtherSession.id.slice(-6)}\n👥 **Team:** ${userInOtherSession.currentPlayers.length}/${userInOtherSession.playersNeeded}\n\n🚪 Leave your current session first to join this one!`)
-                .setTimestamp();
+    const joinButton = new ButtonBuilder()
+        .setCustomId(`accept_invite_${session.id}`)
+        .setLabel('Join Session')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('⚡');
 
-            return interaction.editReply({ 
-                embeds: [conflictEmbed]
-            });
-        }
+    await interaction.reply({ embeds: [embed], components: [new ActionRowBuilder().addComponents(joinButton)], flags: 64 });
+}
 
-        // Add user to session and update database immediately
-        session.currentPlayers.push(interaction.user.id);
+async function handleRejectInvite(interaction) {
+    const session = activeSessions.get(interaction.customId.replace('reject_invite_', ''));
 
-        // Update database with new player
+    if (session) {
+        session.invitedPlayers = session.invitedPlayers.filter(id => id !== interaction.user.id);
         try {
-            await storage.updateSession(sessionId, {
-                currentPlayers: session.currentPlayers,
-                status: session.status
-            });
-            console.log(`✅ Updated session ${sessionId.slice(-6)} in database with new player`);
-
-            // Create user session tracking for the new player
-            await storage.createUserSession({
-                userId: interaction.user.id,
-                sessionId: sessionId
-            });
-            console.log(`📋 Created user session tracking for ${interaction.user.displayName}`);
+            await storage.updateSession(session.id, { invitedPlayers: session.invitedPlayers });
         } catch (dbError) {
-            console.error(`❌ Failed to update session in database:`, dbError);
+            console.error(`Failed to persist declined invite for session ${session.id}:`, dbError);
         }
+        console.log(`👋 ${interaction.user.displayName} declined the invite to session #${session.id.slice(-6)}`);
+    }
 
-    // Grant voice channel access to the new player
-    try {
-        const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
-        if (voiceChannel) {
-            const accessGranted = await manageVoiceChannelAccess(
-                voiceChannel, 
-                interaction.user.id, 
-                'grant', 
-                `Joined LFG session #${sessionId.slice(-6)}`
-            );
+    await interaction.update({ content: '👋 Invite declined.', embeds: [], components: [] });
+}
 
-            if (!accessGranted) {
-                console.warn(`⚠️ Failed to grant voice access to ${interaction.user.displayName}`);
-                // Still continue with the session join, voice access can be retried
-            }
-        }
-    } catch (error) {
-        console.error('Error granting voice channel access:', error);
+// 🔎 SESSION BROWSER - /lfgs lists joinable sessions with filters and paging
+
+async function handleBrowseCommand(interaction) {
+    await getGuildCatalog(interaction.guild.id);
+
+    const gameInput = interaction.options.getString('game');
+    const gameData = gameInput ? findCatalogGame(interaction.guild.id, gameInput) : null;
+    if (gameInput && !gameData) {
+        return interaction.reply({ content: '❌ Unknown game. Pick one from the list.', flags: 64 });
     }
 
-    // Keep the original format and just add party progress
-    const isFull = session.currentPlayers.length === session.playersNeeded;
-    const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+    // Filters are kept server-side so page buttons stay within Discord's custom ID limit
+    const browseId = interaction.id;
+    browseStates.set(browseId, {
+        userId: interaction.user.id,
+        guildId: interaction.guild.id,
+        filters: {
+            game: gameData ? gameData.name : null,
+            gamemode: interaction.options.getString('gamemode'),
+            minSpots: interaction.options.getInteger('min_spots'),
+            maxAge: interaction.options.getInteger('max_age')
+        },
+        createdAt: Date.now()
+    });
 
-    // Use the original beautiful detailed format
-    const embed = createDetailedLfgEmbed(session, interaction.guild, sessionId);
+    await interaction.reply({ ...createBrowsePage(interaction.guild, interaction.user.id, browseId, 0), flags: 64 });
+}
+
+async function handleBrowsePage(interaction) {
+    const [browseId, page] = interaction.customId.replace('lfgs_page_', '').split('_');
+    if (!browseStates.has(browseId)) {
+        return interaction.update({ content: '⌛ This list has expired. Run `/lfgs` again.', embeds: [], components: [] });
+    }
+
+    await interaction.update(createBrowsePage(interaction.guild, interaction.user.id, browseId, parseInt(page, 10)));
+}
+
+// Sessions this user could join right now, newest first
+function getBrowsableSessions(guildId, userId, filters) {
+    const now = Date.now();
+    return Array.from(activeSessions.values())
+        .filter(session => session.guildId === guildId &&
+            (session.status === 'waiting' || session.status === 'scheduled') &&
+            !session.locked &&
+            !session.kickedPlayers?.includes(userId) &&
+            (session.visibility !== 'invite' || session.invitedPlayers.includes(userId)) &&
+            (!filters.game || session.game === filters.game) &&
+            (!filters.gamemode || session.gamemode.toLowerCase() === filters.gamemode.toLowerCase()) &&
+            session.playersNeeded - session.currentPlayers.length >= (filters.minSpots || 1) &&
+            (!filters.maxAge || now - session.createdAt <= filters.maxAge * 60000))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function createBrowsePage(guild, userId, browseId, page) {
+    const { filters } = browseStates.get(browseId);
+    const sessions = getBrowsableSessions(guild.id, userId, filters);
+    const pageCount = Math.max(1, Math.ceil(sessions.length / BROWSE_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page || 0, 0), pageCount - 1);
+    const firstIndex = currentPage * BROWSE_PAGE_SIZE;
+    const shown = sessions.slice(firstIndex, firstIndex + BROWSE_PAGE_SIZE);
+
+    const filterText = [
+        filters.game,
+        filters.gamemode,
+        filters.minSpots && `${filters.minSpots}+ open ${filters.minSpots === 1 ? 'spot' : 'spots'}`,
+        filters.maxAge && `created in the last ${filters.maxAge} min`
+    ].filter(Boolean).join(' • ') || 'All open sessions';
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle('🔎 Open LFG Sessions')
+        .setDescription(`**Filters:** ${filterText}\n**Found:** ${sessions.length} ${sessions.length === 1 ? 'session' : 'sessions'}${sessions.length === 0 ? '\n\n🎮 Nothing open right now - start one with `/lfg create`!' : ''}`)
+        .setFooter({ text: `Page ${currentPage + 1}/${pageCount}` })
+        .setTimestamp();
 
-    if (session.currentPlayers.length === session.playersNeeded) {
-        // Team is full, start enhanced confirmation process
-        session.status = 'confirming';
-        session.confirmationStartTime = Date.now();
+    const joinRow = new ActionRowBuilder();
+    shown.forEach((session, offset) => {
+        const number = firstIndex + offset + 1;
+        const spotsLeft = session.playersNeeded - session.currentPlayers.length;
+        const leaderName = guild.members.cache.get(session.creator)?.displayName || `Player-${session.creator.slice(-4)}`;
+        const isScheduled = session.status === 'scheduled';
+        const timing = isScheduled
+            ? `📅 Starts <t:${Math.floor(session.scheduledStart / 1000)}:R>`
+            : `⏱️ Created <t:${Math.floor(session.createdAt / 1000)}:R>`;
+        const postLink = session.messageId
+            ? ` • [View post](https://discord.com/channels/${session.guildId}/${session.channelId}/${session.messageId})`
+            : '';
+
+        embed.addFields({
+            name: `${number}. ${getGameEmoji(session.game, session.guildId)} ${session.game} • ${session.gamemode}`,
+            value: `👥 **${session.currentPlayers.length}/${session.playersNeeded}** (${spotsLeft} open) • 👑 ${leaderName}\n${timing}${postLink}\n🏅 ${formatRankRequirement(session)} • ${formatRegion(session.region)} • ${formatPlatform(session.platform)}`,
+            inline: false
+        });
 
-        const confirmButton = new ButtonBuilder()
-            .setCustomId(`confirm_${sessionId}`)
-            .setLabel('Ready to Play!')
+        // The Join button runs the normal join flow, so every check in handleJoinLfg applies
+        const alreadyIn = session.currentPlayers.includes(userId);
+        joinRow.addComponents(new ButtonBuilder()
+            .setCustomId(`join_lfg_${session.id}`)
+            .setLabel(alreadyIn ? `#${number} Joined` : `${isScheduled ? 'RSVP' : 'Join'} #${number}`)
             .setStyle(ButtonStyle.Success)
-            .setEmoji('🎮');
+            .setDisabled(alreadyIn));
+    });
 
-        const declineButton = new ButtonBuilder()
-            .setCustomId(`decline_${sessionId}`)
-            .setLabel('Not Available')
-            .setStyle(ButtonStyle.Danger)
-            .setEmoji('❌');
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`lfgs_page_${browseId}_${currentPage - 1}`)
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(`lfgs_page_${browseId}_${currentPage}`)
+            .setLabel('Refresh')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🔄'),
+        new ButtonBuilder()
+            .setCustomId(`lfgs_page_${browseId}_${currentPage + 1}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('▶️')
+            .setDisabled(currentPage >= pageCount - 1)
+    );
 
-        const row = new ActionRowBuilder().addComponents(confirmButton, declineButton);
+    return {
+        content: '',
+        embeds: [embed],
+        components: shown.length > 0 ? [joinRow, navRow] : [navRow]
+    };
+}
 
-        // Enhanced confirmation message with better visuals
-        const playerPings = session.currentPlayers.map(id => `<@${id}>`).join(' ');
-        const confirmEmbed = new EmbedBuilder()
-            .setColor(0xffd700)
-            .setTitle('🎯 **TEAM ASSEMBLED!**')
-            .setDescription(`**All players found for ${session.game}!**\n\n⏰ **You have 5 minutes to confirm**\nClick **Ready to Play!** if you're available right now.\n\n🔊 Voice channel: <#${session.voiceChannel}>`)
-            .setTimestamp();
+// 📜 SESSION HISTORY - every session is archived with its roster and outcome, browsable with /history
 
-        try {
-            await interaction.editReply({ embeds: [embed], components: [row] });
+// Expired sessions that filled up at some point lost their ready check; the rest never filled
+function getExpiryOutcome(session) {
+    return session.filledAt ? 'confirmation_timeout' : 'timeout_no_joiners';
+}
 
-            // Use a separate channel message instead of followUp to avoid interaction conflicts
-            const channel = interaction.guild.channels.cache.get(session.channelId);
-            if (channel) {
-                await channel.send({ 
-                    content: `${playerPings}`,
-                    embeds: [confirmEmbed],
-                    allowedMentions: { users: session.currentPlayers }
-                });
-            }
-        } catch (interactionError) {
-            console.error('Error updating interaction for full team:', interactionError);
-        }
+// Archive a session as it ends; once the match has started it stays "finalized" however it ended.
+// A match recorded as it starts has no end yet, so its end time stays at the start time until then.
+async function recordSessionHistory(session, outcome, { inProgress = false } = {}) {
+    await storage.addSessionHistory({
+        sessionId: session.id,
+        guildId: session.guildId,
+        creatorId: session.creator,
+        game: session.game,
+        gamemode: session.gamemode,
+        players: session.startedAt ? session.confirmedPlayers : session.currentPlayers,
+        // Started matches count as played unless nobody ever joined voice
+        outcome: session.startedAt && outcome !== 'abandoned' ? 'finalized' : outcome,
+        createdAt: new Date(session.createdAt),
+        filledAt: session.filledAt ? new Date(session.filledAt) : null,
+        startedAt: session.startedAt ? new Date(session.startedAt) : null,
+        endedAt: inProgress ? new Date(session.startedAt) : new Date()
+    });
+}
 
-        // Clear any existing timeout first to prevent conflicts
-        if (session.timeoutId) {
-            clearTimeout(session.timeoutId);
-        }
+async function handleHistoryCommand(interaction) {
+    await interaction.deferReply({ flags: 64 });
+    await getGuildCatalog(interaction.guild.id);
 
-        session.timeoutId = setTimeout(() => handleConfirmationTimeout(sessionId), 300000); // Increased to 5 minutes
-        console.log(`Started confirmation timeout for session ${sessionId} at ${new Date().toISOString()}`);
+    const gameInput = interaction.options.getString('game');
+    const gameData = gameInput ? findCatalogGame(interaction.guild.id, gameInput) : null;
+    if (gameInput && !gameData) {
+        return interaction.editReply({ content: '❌ Unknown game. Pick one from the list.' });
+    }
 
-        // Update session status in database
-        try {
-            await storage.updateSession(sessionId, {
-                status: 'confirming',
-                confirmationStartTime: new Date(session.confirmationStartTime),
-                currentPlayers: session.currentPlayers
-            });
-        } catch (dbError) {
-            console.error(`Failed to update session status in database:`, dbError);
-        }
-    } else {
-        const joinButton = new ButtonBuilder()
-            .setCustomId(`join_lfg_${sessionId}`)
-            .setLabel(`Join Team (${spotsLeft} spots left)`)
-            .setStyle(ButtonStyle.Primary)
-            .setEmoji('⚡');
+    const player = interaction.options.getUser('user');
+    const historyId = interaction.id;
+    historyStates.set(historyId, {
+        guildId: interaction.guild.id,
+        filters: {
+            userId: player ? player.id : null,
+            game: gameData ? gameData.name : null
+        },
+        playerName: player ? player.displayName : null,
+        createdAt: Date.now()
+    });
 
-        const row = new ActionRowBuilder().addComponents(joinButton);
+    await interaction.editReply(await createHistoryPage(historyId, 0));
+}
 
-        await interaction.editReply({ embeds: [embed], components: [row] });
+async function handleHistoryPage(interaction) {
+    const [historyId, page] = interaction.customId.replace('history_page_', '').split('_');
+    if (!historyStates.has(historyId)) {
+        return interaction.update({ content: '⌛ This list has expired. Run `/history` again.', embeds: [], components: [] });
+    }
 
-        // Enhanced join confirmation with better UX (only for non-full teams)
-        const successEmbed = new EmbedBuilder()
-            .setColor(0x00ff00)
-            .setTitle('🎉 Welcome to the Team!')
-            .setDescription(`**Successfully joined ${session.game}!**\n\n🔊 **Voice Channel:** <#${session.voiceChannel}>\n🎮 **Mode:** ${session.gamemode}\n👥 **Team Size:** ${session.currentPlayers.length}/${session.playersNeeded}\n\n🔍 **Waiting for ${spotsLeft} more ${spotsLeft === 1 ? 'player' : 'players'}**`)
-            .setTimestamp();
+    await interaction.deferUpdate();
+    await interaction.editReply(await createHistoryPage(historyId, parseInt(page, 10)));
+}
 
-        const leaveButton = new ButtonBuilder()
-            .setCustomId(`leave_lfg_${sessionId}`)
-            .setLabel('🚪 Leave Squad')
-            .setStyle(ButtonStyle.Danger)
-            .setEmoji('🔄');
+async function createHistoryPage(historyId, page) {
+    const { guildId, filters, playerName } = historyStates.get(historyId);
+    const total = await storage.countSessionHistory(guildId, filters);
+    const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page || 0, 0), pageCount - 1);
+    const entries = await storage.getSessionHistory(guildId, filters, HISTORY_PAGE_SIZE, currentPage * HISTORY_PAGE_SIZE);
 
-        const leaveRow = new ActionRowBuilder().addComponents(leaveButton);
+    const scope = [playerName ? `${playerName}'s sessions` : 'All sessions', filters.game].filter(Boolean).join(' • ');
+    const embed = new EmbedBuilder()
+        .setColor(0x5865f2)
+        .setTitle('📜 Session History')
+        .setDescription(`**Showing:** ${scope}\n**Found:** ${total} ${total === 1 ? 'session' : 'sessions'}${total === 0 ? '\n\n🎮 Nothing here yet - sessions show up once they end or start playing.' : ''}`)
+        .setFooter({ text: `Page ${currentPage + 1}/${pageCount}` })
+        .setTimestamp();
 
-        // Send join confirmation as ephemeral message (only visible to the user who joined)
-        try {
-            await interaction.followUp({ 
-                embeds: [successEmbed], 
-                components: [leaveRow],
-                ephemeral: true
-            });
-        } catch (followUpError) {
-            console.error('Error sending join confirmation:', followUpError);
-            // Fallback to channel message if followUp fails
-            try {
-                const channel = interaction.guild.channels.cache.get(session.channelId);
-                if (channel) {
-                    await channel.send({ 
-                        content: `<@${interaction.user.id}>`,
-                        embeds: [successEmbed], 
-                        components: [leaveRow],
-                        allowedMentions: { users: [interaction.user.id] }
-                    });
-                }
-            } catch (channelError) {
-                console.error('Error sending fallback join confirmation:', channelError);
-            }
+    for (const entry of entries) {
+        const createdAt = new Date(entry.createdAt).getTime();
+        const startedAt = entry.startedAt ? new Date(entry.startedAt).getTime() : null;
+        const endedAt = new Date(entry.endedAt).getTime();
+        // Played matches count from the start, not the lobby wait
+        let duration;
+        if (!startedAt) {
+            duration = `⏱️ Open for ${formatDuration(endedAt - createdAt)}`;
+        } else if (entry.outcome === 'abandoned') {
+            duration = '🔇 Nobody joined voice';
+        } else if (endedAt <= startedAt) {
+            duration = '🟢 Still playing';
+        } else {
+            duration = `🎮 Played ${formatDuration(endedAt - startedAt)}`;
         }
+        const timing = [
+            `🗓️ <t:${Math.floor(createdAt / 1000)}:f>`,
+            entry.filledAt ? `⚡ Filled in ${formatDuration(new Date(entry.filledAt).getTime() - createdAt)}` : null,
+            duration
+        ].filter(Boolean).join(' • ');
+        const roster = entry.players.length > 0
+            ? entry.players.map(id => id === entry.creatorId ? `👑 <@${id}>` : `<@${id}>`).join(', ')
+            : '*Nobody*';
+
+        embed.addFields({
+            name: `${getGameEmoji(entry.game, guildId)} ${entry.game} • ${entry.gamemode} - ${SESSION_OUTCOMES[entry.outcome] || entry.outcome}`,
+            value: `${timing}\n👥 ${roster}\n🆔 Session #${entry.sessionId.slice(-6)}`.substring(0, 1024),
+            inline: false
+        });
     }
-    } catch (error) {
-        console.error('Error in handleJoinLfg:', error);
-        try {
-            await interaction.editReply({ 
-                content: '❌ Something went wrong. Please try again.'
-            });
-        } catch (replyError) {
-            console.error('Error replying to interaction:', replyError);
+
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`history_page_${historyId}_${currentPage - 1}`)
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(`history_page_${historyId}_${currentPage + 1}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('▶️')
+            .setDisabled(currentPage >= pageCount - 1)
+    );
+
+    return { content: '', embeds: [embed], components: [navRow] };
+}
+
+// 🎲 MATCHMAKING QUEUE - solo players are grouped per guild, game and mode
+
+async function handleQueueCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'leave') {
+        if (!queuedPlayers.has(interaction.user.id)) {
+            return interaction.reply({ content: "❌ You're not in the matchmaking queue.", flags: 64 });
         }
+        await removeFromQueue([interaction.user.id]);
+        return interaction.reply({ content: '👋 You left the matchmaking queue.', flags: 64 });
     }
-}
 
-async function handleConfirmation(interaction) {
-    // Add interaction timeout protection
-    const interactionId = `${interaction.id}_${Date.now()}`;
-    interactionTimeouts.set(interactionId, setTimeout(() => {
-        interactionTimeouts.delete(interactionId);
-        console.warn(`⚠️ Confirmation interaction ${interaction.id} timed out`);
-    }, 14000)); // Discord interactions expire after 15 seconds
+    if (subcommand === 'status') {
+        return interaction.reply({ embeds: [createQueueStatusEmbed(interaction.guild, interaction.user.id)], flags: 64 });
+    }
 
-    await interaction.deferReply({ flags: 64 });
+    const guild = interaction.guild;
+    const user = interaction.user;
+    const gamemode = interaction.options.getString('gamemode');
+    const partySize = interaction.options.getInteger('size');
 
-    const sessionId = interaction.customId.replace('confirm_', '');
-    const session = activeSessions.get(sessionId);
-    
-    // Clear timeout since we're processing
-    const timeout = interactionTimeouts.get(interactionId);
-    if (timeout) {
-        clearTimeout(timeout);
-        interactionTimeouts.delete(interactionId);
+    // Queue joins follow the same channel restriction as /lfg
+    const guildSetting = guildSettingsCache.get(guild.id);
+    if (guildSetting && guildSetting.lfgChannel && interaction.channel.id !== guildSetting.lfgChannel) {
+        const lfgChannel = guild.channels.cache.get(guildSetting.lfgChannel);
+        return interaction.reply({ 
+            content: `❌ LFG commands can only be used in ${lfgChannel ? lfgChannel.toString() : 'the designated channel'}!`,
+            flags: 64
+        });
     }
 
-    if (!session) {
-        const expiredEmbed = new EmbedBuilder()
-            .setColor(0x95a5a6)
-            .setTitle('⏰ **Session Expired**')
-            .setDescription('This LFG session is no longer active or has been completed.\n\n🆕 Create a new session with `/lfg`')
-            .setTimestamp();
-        return interaction.editReply({ embeds: [expiredEmbed] });
+    await getGuildCatalog(guild.id);
+    const gameData = findCatalogGame(guild.id, interaction.options.getString('game'));
+    if (!gameData) {
+        return interaction.reply({ content: '❌ Unsupported game selected. Pick one from the list, or ask staff to add it with `/game add`.', flags: 64 });
+    }
+    if (!gameData.modes.includes(gamemode)) {
+        return interaction.reply({ 
+            content: `Invalid mode for ${gameData.name}. Available modes: ${gameData.modes.join(', ')}`,
+            flags: 64
+        });
     }
 
-    if (!session.currentPlayers.includes(interaction.user.id)) {
-        const notInSessionEmbed = new EmbedBuilder()
-            .setColor(0xff6b6b)
-            .setTitle('❌ **Not in Team**')
-            .setDescription('You are not part of this LFG session!\n\n🔍 Look for open sessions or create your own with `/lfg`')
-            .setTimestamp();
-        return interaction.editReply({ embeds: [notInSessionEmbed] });
+    const liveSession = Array.from(activeSessions.values()).find(s => 
+        s.status !== 'scheduled' && s.currentPlayers.includes(user.id)
+    );
+    if (liveSession) {
+        return interaction.reply({ 
+            content: `❌ You are already in an LFG session (#${liveSession.id.slice(-6)})! Leave it before queueing.`,
+            flags: 64
+        });
     }
 
-    if (session.status !== 'confirming') {
-        const notConfirmingEmbed = new EmbedBuilder()
-            .setColor(0xffa500)
-            .setTitle('⚠️ **Not in Confirmation Phase**')
-            .setDescription('This session is not currently asking for confirmations.\n\n⏰ Wait for the team to fill up!')
-            .setTimestamp();
-        return interaction.editReply({ embeds: [notConfirmingEmbed] });
+    const reliabilityError = getReliabilityError(guild.id, user.id);
+    if (reliabilityError) {
+        return interaction.reply({ content: `❌ ${reliabilityError}`, flags: 64 });
     }
 
-    if (session.confirmedPlayers.includes(interaction.user.id)) {
-        const alreadyConfirmedEmbed = new EmbedBuilder()
-            .setColor(0x00ff00)
-            .setTitle('✅ **Already Confirmed!**')
-            .setDescription(`You've already confirmed for this ${session.game} session!\n\n⏰ Waiting for other players to confirm...`)
-            .setTimestamp();
-        return interaction.editReply({ embeds: [alreadyConfirmedEmbed] });
+    // Re-queueing for the same game and mode keeps your place in line
+    const existing = queuedPlayers.get(user.id);
+    const keepPlace = existing && existing.guildId === guild.id && existing.gameKey === gameData.key && existing.gamemode === gamemode;
+    const entry = {
+        userId: user.id,
+        guildId: guild.id,
+        channelId: interaction.channel.id,
+        gameKey: gameData.key,
+        gamemode: gamemode,
+        partySize: partySize,
+        joinedAt: keepPlace ? existing.joinedAt : Date.now()
+    };
+
+    const saved = await storage.addQueueEntry({ ...entry, joinedAt: new Date(entry.joinedAt) });
+    if (!saved) {
+        return interaction.reply({ content: '❌ **Database Error**: Could not add you to the queue. Please try again.', flags: 64 });
     }
+    queuedPlayers.set(user.id, entry);
+    console.log(`🎲 ${user.displayName} queued for ${gameData.name} ${gamemode}${partySize ? ` (party of ${partySize})` : ''}`);
 
-    session.confirmedPlayers.push(interaction.user.id);
+    const waiting = getQueueEntries(guild.id, gameData.key, gamemode);
+    const targetSize = partySize || getDefaultPartySize(gamemode);
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle(`${gameData.emoji || '🎮'} Queued for ${gameData.name}`)
+        .setDescription(`**Mode:** ${gamemode}\n**Party Size:** ${partySize ? partySize : `Any (default ${targetSize})`}\n**Position:** #${waiting.findIndex(e => e.userId === user.id) + 1} of ${waiting.length}\n\nYou'll be pinged here with a ready check as soon as enough players are waiting. Use \`/queue leave\` to stop searching.`)
+        .setTimestamp();
 
-    if (session.confirmedPlayers.length === session.currentPlayers.length) {
-        // All players confirmed - clear timeout and finalize
-        if (session.timeoutId) {
-            clearTimeout(session.timeoutId);
-            session.timeoutId = null;
-        }
-        session.confirmationStartTime = null; // Clear confirmation time
-        console.log(`All players confirmed for session ${sessionId}, finalizing`);
-        await finalizeSession(session, interaction);
-    } else {
-        await interaction.editReply({ content: '✅ Confirmed! Waiting for other players...' });
+    await interaction.reply({ embeds: [embed], flags: 64 });
+
+    await processQueue(guild.id, gameData.key, gamemode);
+}
+
+function createQueueStatusEmbed(guild, userId) {
+    const groups = new Map();
+    for (const entry of getQueueEntries(guild.id)) {
+        const key = `${entry.gameKey}:${entry.gamemode}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x00d4ff)
+        .setTitle('🎲 Matchmaking Queue')
+        .setTimestamp();
+
+    if (groups.size === 0) {
+        return embed.setDescription('Nobody is queued right now. Use `/queue join` to start searching!');
+    }
+
+    for (const entries of Array.from(groups.values()).slice(0, 25)) {
+        const { gameKey, gamemode } = entries[0];
+        const gameData = gameCatalogs.get(guild.id)?.get(gameKey);
+        const position = entries.findIndex(entry => entry.userId === userId);
+        const longestWait = getTimeAgo(entries[0].joinedAt);
+
+        embed.addFields({
+            name: `${gameData?.emoji || '🎮'} ${gameData?.name || gameKey} - ${gamemode}`,
+            value: `👥 **${entries.length}** waiting (party of ${getDefaultPartySize(gamemode)} by default)\n⏱️ First in line joined ${longestWait.toLowerCase()}${position > -1 ? `\n📍 **You are #${position + 1}**` : ''}`,
+            inline: false
+        });
     }
+
+    const ownEntry = queuedPlayers.get(userId);
+    embed.setFooter({ text: ownEntry && ownEntry.guildId === guild.id ? 'Use /queue leave to stop searching' : 'Use /queue join to start searching' });
+    return embed;
 }
 
-async function handleDecline(interaction) {
-    // Add interaction timeout protection
-    const interactionId = `${interaction.id}_${Date.now()}`;
-    interactionTimeouts.set(interactionId, setTimeout(() => {
-        interactionTimeouts.delete(interactionId);
-        console.warn(`⚠️ Decline interaction ${interaction.id} timed out`);
-    }, 14000));
+// Queue entries for a guild (optionally one game and mode), longest-waiting first
+function getQueueEntries(guildId, gameKey = null, gamemode = null) {
+    return Array.from(queuedPlayers.values())
+        .filter(entry => entry.guildId === guildId &&
+            (!gameKey || entry.gameKey === gameKey) &&
+            (!gamemode || entry.gamemode === gamemode))
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+}
 
-    await interaction.deferReply({ flags: 64 });
+// Guess a party size from mode names like "5v5", "Duo" or "Squad"
+function getDefaultPartySize(gamemode) {
+    const versus = gamemode.match(/(\d+)\s*v\s*\d+/i);
+    if (versus) return Math.max(2, parseInt(versus[1], 10));
 
-    const sessionId = interaction.customId.replace('decline_', '');
-    const session = activeSessions.get(sessionId);
-    
-    // Clear timeout since we're processing
-    const timeout = interactionTimeouts.get(interactionId);
-    if (timeout) {
-        clearTimeout(timeout);
-        interactionTimeouts.delete(interactionId);
+    const mode = gamemode.toLowerCase();
+    if (mode.includes('duo')) return 2;
+    if (mode.includes('trio')) return 3;
+    if (mode.includes('squad')) return 4;
+    return 5;
+}
+
+async function removeFromQueue(userIds) {
+    const queued = userIds.filter(userId => queuedPlayers.has(userId));
+    if (queued.length === 0) return;
+
+    for (const userId of queued) {
+        queuedPlayers.delete(userId);
     }
+    await storage.removeQueueEntries(queued);
+    console.log(`🎲 Removed ${queued.length} player(s) from the matchmaking queue`);
+}
 
-    if (!session || !session.currentPlayers.includes(interaction.user.id)) {
-        return interaction.editReply({ content: '❌ You are not part of this LFG!' });
+async function processQueue(guildId, gameKey, gamemode) {
+    const queueKey = `${guildId}:${gameKey}:${gamemode}`;
+    if (formingQueues.has(queueKey)) return;
+    formingQueues.add(queueKey);
+
+    try {
+        const guild = client.guilds.cache.get(guildId);
+        const gameData = findCatalogGame(guildId, gameKey);
+        if (!guild || !gameData) return;
+
+        // Keep forming parties until nobody left in the queue is compatible
+        let formed = true;
+        while (formed) {
+            formed = false;
+            const entries = getQueueEntries(guildId, gameKey, gamemode);
+
+            // Try sizes in the order of whoever has waited longest
+            const sizes = [...new Set(entries.map(entry => entry.partySize || getDefaultPartySize(gamemode)))];
+            for (const size of sizes) {
+                const party = entries.filter(entry => !entry.partySize || entry.partySize === size).slice(0, size);
+                if (party.length === size) {
+                    formed = await createMatchmadeSession(guild, gameData, gamemode, party);
+                    break;
+                }
+            }
+        }
+    } catch (error) {
+        console.error(`Error processing matchmaking queue ${queueKey}:`, error);
+    } finally {
+        formingQueues.delete(queueKey);
     }
+}
 
-    // Check if the session creator is declining - if so, cancel entire session
-    if (interaction.user.id === session.creator) {
-        console.log(`Session creator ${interaction.user.displayName} declined session ${sessionId}, cancelling entire session`);
+async function createMatchmadeSession(guild, gameData, gamemode, party) {
+    const playerIds = party.map(entry => entry.userId);
+    const leaderId = playerIds[0]; // Longest-waiting player leads
 
-        // Clear timeout
-        if (session.timeoutId) {
-            clearTimeout(session.timeoutId);
-            session.timeoutId = null;
+    // Take the party out of the queue before any awaits so nobody gets matched twice
+    await removeFromQueue(playerIds);
+
+    const guildSetting = guildSettingsCache.get(guild.id);
+    const channel = guild.channels.cache.get(guildSetting?.lfgChannel) || guild.channels.cache.get(party[0].channelId);
+    const sessionId = `${leaderId}-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
+    let voiceChannel = null;
+    const trackedPlayers = [];
+
+    try {
+        if (!channel) {
+            throw new Error('No channel available to post the matchmade session');
         }
 
-        // Delete voice channel
-        try {
-            const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
-            if (voiceChannel) {
-                await voiceChannel.delete();
-            }
-        } catch (error) {
-            console.error('Error deleting voice channel:', error);
+        const leader = await guild.members.fetch(leaderId);
+        const category = await getOrCreateGameCategory(guild, gameData.key, gameData.name);
+        voiceChannel = await createLfgVoiceChannel(guild, leader, gameData, category);
+
+        await storage.createSession({
+            id: sessionId,
+            creatorId: leaderId,
+            guildId: guild.id,
+            channelId: channel.id,
+            game: gameData.name,
+            gamemode: gamemode,
+            playersNeeded: playerIds.length,
+            info: '🎲 Matched from the solo queue',
+            status: 'waiting',
+            currentPlayers: playerIds,
+            confirmedPlayers: [],
+            voiceChannelId: voiceChannel.id,
+            confirmationStartTime: null,
+            expiresAt: new Date(Date.now() + getSessionLifetime(guild.id) * 60 * 1000)
+        });
+        console.log(`💾 Created matchmade session #${sessionId.slice(-6)} in database`);
+
+        for (const playerId of playerIds) {
+            await storage.createUserSession({ userId: playerId, sessionId });
+            trackedPlayers.push(playerId);
+            await stopSpectatingOnJoin(guild, playerId, sessionId);
         }
 
-        // Remove session and clean up all user references
-        activeSessions.delete(sessionId);
-        userCreatedSessions.delete(session.creator);
+        const session = {
+            id: sessionId,
+            creator: leaderId,
+            guildId: guild.id,
+            channelId: channel.id,
+            messageId: null,
+            game: gameData.name,
+            gamemode: gamemode,
+            playersNeeded: playerIds.length,
+            info: '🎲 Matched from the solo queue',
+            currentPlayers: playerIds,
+            confirmedPlayers: [],
+            voiceChannel: voiceChannel.id,
+            category: category.id,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + getSessionLifetime(guild.id) * 60 * 1000,
+            confirmationStartTime: null,
+            scheduledStart: null,
+            reminderSent: false,
+            waitlist: [],
+            minRank: null,
+            maxRank: null,
+            region: null,
+            platform: null,
+            locked: false,
+            kickedPlayers: [],
+            visibility: 'public',
+            inviteCode: null,
+            invitedPlayers: [],
+            confirmationWindow: getConfirmationWindow(guild.id),
+            minConfirmed: null,
+            customs: null,
+            filledAt: null,
+            startedAt: null,
+            scheduledEventId: null,
+            voiceLockedLimit: null,
+            voicePresence: {},
+            noShowChecked: false,
+            threadId: null,
+            spectatorSlots: 0,
+            spectators: [],
+            status: 'waiting',
+            timeoutId: null
+        };
+
+        activeSessions.set(sessionId, session);
+        userCreatedSessions.set(leaderId, sessionId);
 
-        // Remove all player references from user sessions
-        for (const playerId of session.currentPlayers || []) {
-            userCreatedSessions.delete(playerId);
-            try {
-                await storage.deleteUserSession(playerId);
-            } catch (dbError) {
-                console.error(`Failed to delete user session for ${playerId}:`, dbError);
-            }
+        for (const playerId of playerIds.slice(1)) {
+            await manageVoiceChannelAccess(voiceChannel, playerId, 'grant', `Matched into LFG session #${sessionId.slice(-6)}`);
         }
 
-        // Remove session from database
+        const message = await channel.send({ embeds: [createDetailedLfgEmbed(session, guild, sessionId)] });
+        session.messageId = message.id;
+        await storage.updateSession(sessionId, { messageId: message.id });
+        await createSessionThread(session, channel, guild.members.cache.get(leaderId)?.displayName || 'Matchmade');
+
+        console.log(`🎲 Matched ${playerIds.length} players into ${gameData.name} ${gamemode} session #${sessionId.slice(-6)}`);
+
+        // Everyone is already in, so go straight to the ready check
+        await startConfirmationPhase(session, guild);
+        return true;
+    } catch (error) {
+        console.error(`❌ Failed to create matchmade ${gameData.name} session:`, error);
+
+        activeSessions.delete(sessionId);
+        if (userCreatedSessions.get(leaderId) === sessionId) {
+            userCreatedSessions.delete(leaderId);
+        }
         try {
+            for (const playerId of trackedPlayers) {
+                await storage.deleteUserSession(playerId);
+            }
             await storage.deleteSession(sessionId);
         } catch (dbError) {
-            console.error(`Failed to delete session from database:`, dbError);
+            console.error('Error cleaning up matchmade session from database:', dbError);
+        }
+        if (voiceChannel) {
+            await safeDeleteVoiceChannel(voiceChannel, 'matchmaking_failed');
         }
 
-        // Update embed to show session cancelled
-        const cancelledEmbed = new EmbedBuilder()
-            .setColor(0xff6b6b)
-            .setTitle('❌ LFG Session Cancelled')
-            .setDescription(`The session creator cancelled this LFG.`)
-            .setTimestamp();
-
-        await interaction.update({ embeds: [cancelledEmbed], components: [] });
-        await interaction.editReply({ content: '❌ You cancelled your LFG session.' });
-        return;
+        // Put everyone back where they were in line
+        for (const entry of party) {
+            queuedPlayers.set(entry.userId, entry);
+            await storage.addQueueEntry({ ...entry, joinedAt: new Date(entry.joinedAt) });
+        }
+        return false;
     }
+}
 
-    // Regular player declining - remove them and continue
-    session.currentPlayers = session.currentPlayers.filter(id => id !== interaction.user.id);
-    session.confirmedPlayers = session.confirmedPlayers.filter(id => id !== interaction.user.id);
+async function checkMatchmakingQueues() {
+    const now = Date.now();
+    const stale = Array.from(queuedPlayers.values()).filter(entry => now - entry.joinedAt > QUEUE_MAX_WAIT);
 
-    // Clear timeout if it exists (someone declined, so we're reopening)
-    if (session.timeoutId) {
-        clearTimeout(session.timeoutId);
-        session.timeoutId = null;
-    }
-    session.confirmationStartTime = null; // Clear confirmation time
-    console.log(`Player ${interaction.user.displayName} declined session ${sessionId}, reopening`);
+    if (stale.length > 0) {
+        await removeFromQueue(stale.map(entry => entry.userId));
 
-    // Remove voice channel access
-    try {
-        const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
-        if (voiceChannel) {
-            await voiceChannel.permissionOverwrites.delete(interaction.user.id);
-            // Disconnect if user is in the voice channel
-            if (interaction.member.voice.channel?.id === session.voiceChannel) {
-                await interaction.member.voice.disconnect('Declined LFG session');
+        for (const entry of stale) {
+            try {
+                const user = await client.users.fetch(entry.userId);
+                await user.send(`⏰ You've been in the matchmaking queue for an hour without a match, so we took you out. Use \`/queue join\` to search again.`);
+            } catch (error) {
+                console.log(`Could not DM ${entry.userId} about their expired queue entry: ${error.message}`);
             }
         }
-    } catch (error) {
-        console.error('Error removing voice channel access:', error);
     }
 
-    await interaction.editReply({ content: '❌ You declined the LFG session.' });
-
-    // Reopen LFG for remaining spots
-    await reopenLfg(session);
+    // Retry matching in case a queue was left unmatched by an earlier failure or restart
+    const queueKeys = new Set(Array.from(queuedPlayers.values()).map(entry => `${entry.guildId}|${entry.gameKey}|${entry.gamemode}`));
+    for (const queueKey of queueKeys) {
+        const [guildId, gameKey, gamemode] = queueKey.split('|');
+        await processQueue(guildId, gameKey, gamemode);
+    }
 }
 
-async function handleConfirmationTimeout(sessionId) {
-    const session = activeSessions.get(sessionId);
+// ⚔️ CUSTOM MATCHES - 2×N players split into Team A and Team B, each with its own voice channel
 
-    if (!session || session.status !== 'confirming') {
-        console.log(`Timeout called for session ${sessionId} but session not found or not confirming`);
-        return;
+async function handleCustomsCommand(interaction) {
+    if (interaction.options.getSubcommand() === 'create') {
+        return handleLfgCommand(interaction, {
+            customs: {
+                teamSize: interaction.options.getInteger('team_size'),
+                split: interaction.options.getString('split') || 'random'
+            }
+        });
     }
 
-    console.log(`Processing confirmation timeout for session ${sessionId}`);
+    const player = interaction.options.getUser('player');
+    const rating = interaction.options.getInteger('rating');
 
-    // Clear the timeout reference
-    session.timeoutId = null;
+    await interaction.deferReply({ flags: 64 });
+    await getGuildCatalog(interaction.guild.id);
+    const gameData = findCatalogGame(interaction.guild.id, interaction.options.getString('game'));
+    if (!gameData) {
+        return interaction.editReply({ content: '❌ Unsupported game selected. Pick one from the list.' });
+    }
 
-    // Get players who didn't confirm
-    const unconfirmedPlayers = session.currentPlayers.filter(id => !session.confirmedPlayers.includes(id));
-    console.log(`Unconfirmed players: ${unconfirmedPlayers.length}, Confirmed players: ${session.confirmedPlayers.length}`);
+    if (rating === null) {
+        const [stored] = await storage.getPlayerRatings(interaction.guild.id, gameData.key, [player.id]);
+        return interaction.editReply({ 
+            content: `⚖️ **${player.displayName}**'s ${gameData.name} rating: ${stored ? `**${stored.rating}**` : `**${DEFAULT_PLAYER_RATING}** (not rated yet)`}`
+        });
+    }
 
-    // Remove voice channel access from unconfirmed players
-    try {
-        const guild = client.guilds.cache.get(session.guildId);
-        const voiceChannel = guild?.channels.cache.get(session.voiceChannel);
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.editReply({ content: '❌ You need Manage Server permission to set ratings!' });
+    }
 
-        if (voiceChannel) {
-            for (const playerId of unconfirmedPlayers) {
-                await voiceChannel.permissionOverwrites.delete(playerId);
+    const saved = await storage.setPlayerRating(interaction.guild.id, player.id, gameData.key, rating);
+    if (!saved) {
+        return interaction.editReply({ content: '❌ Could not save the rating. Please try again.' });
+    }
 
-                // Disconnect if user is in the voice channel
-                let member = guild.members.cache.get(playerId);
-                if (!member) {
-                    try {
-                        member = await guild.members.fetch(playerId);
-                    } catch (fetchError) {
-                        console.warn(`Could not fetch member ${playerId} for disconnect`);
-                    }
-                }
+    console.log(`⚖️ ${interaction.user.displayName} set ${player.displayName}'s ${gameData.name} rating to ${rating}`);
+    await interaction.editReply({ content: `✅ **${player.displayName}**'s ${gameData.name} rating is now **${rating}**. Balanced custom matches will use it.` });
+}
 
-                if (member && member.voice.channel?.id === session.voiceChannel) {
-                    await member.voice.disconnect('Failed to confirm in time');
-                }
-            }
+// Split the ready players once the ready check passes; a draft waits for the captains, other modes start straight away
+async function startCustomsSplit(session) {
+    const customs = session.customs;
+    const players = [...session.confirmedPlayers];
+
+    if (customs.split === 'draft' && players.length > 2) {
+        // The leader captains Team A and a random other player captains Team B
+        const others = players.filter(id => id !== session.creator);
+        const captainB = others[Math.floor(Math.random() * others.length)];
+        customs.captains = [session.creator, captainB];
+        customs.teams = { a: [session.creator], b: [captainB] };
+        await saveCustoms(session);
+
+        const channel = client.guilds.cache.get(session.guildId)?.channels.cache.get(session.channelId);
+        try {
+            await channel?.send({ 
+                content: `<@${session.creator}> <@${captainB}> you're the captains!`,
+                allowedMentions: { users: customs.captains },
+                ...createCustomsDraft(session, channel.guild)
+            });
+        } catch (error) {
+            console.error(`Error posting draft for custom match ${session.id}:`, error);
         }
-    } catch (error) {
-        console.error('Error removing voice access from unconfirmed players:', error);
+        return;
     }
 
-    // Always keep the creator + all confirmed players
-    const confirmedPlayersSet = new Set(session.confirmedPlayers);
-    const keepPlayers = [session.creator, ...session.confirmedPlayers];
+    if (customs.split === 'balanced') {
+        await splitByRating(session, players);
+    } else {
+        // Shuffle, then cut the list in half
+        for (let i = players.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [players[i], players[j]] = [players[j], players[i]];
+        }
+        const half = Math.ceil(players.length / 2);
+        customs.teams = { a: players.slice(0, half), b: players.slice(half) };
+    }
 
-    // Remove duplicates (in case creator also confirmed)
-    session.currentPlayers = [...new Set(keepPlayers)];
+    await startCustomsMatch(session);
+}
 
-    console.log(`Keeping creator + ${session.confirmedPlayers.length} confirmed players = ${session.currentPlayers.length} total players`);
+// Hand out the highest-rated players first, each to the team with the lower total
+async function splitByRating(session, players) {
+    const customs = session.customs;
+    const stored = await storage.getPlayerRatings(session.guildId, customs.gameKey, players);
 
-    session.confirmedPlayers = [];
-    session.status = 'waiting';
-    session.confirmationStartTime = null; // Reset confirmation time
+    customs.ratings = {};
+    for (const playerId of players) {
+        customs.ratings[playerId] = stored.find(entry => entry.userId === playerId)?.rating ?? DEFAULT_PLAYER_RATING;
+    }
 
-    await reopenLfg(session, null);
+    const maxTeamSize = Math.ceil(players.length / 2);
+    const teams = { a: [], b: [] };
+    const totals = { a: 0, b: 0 };
+    for (const playerId of [...players].sort((x, y) => customs.ratings[y] - customs.ratings[x])) {
+        let team = totals.a <= totals.b ? 'a' : 'b';
+        if (teams[team].length >= maxTeamSize) {
+            team = team === 'a' ? 'b' : 'a';
+        }
+        teams[team].push(playerId);
+        totals[team] += customs.ratings[playerId];
+    }
+    customs.teams = teams;
 }
 
-// 🕐 Enhanced session timer update system - runs every 5 minutes
-async function updateSessionTimers() {
-    if (activeSessions.size === 0) {
-        return;
-    }
+// Captains alternate, Team A first
+function getCustomsPicker(customs) {
+    return customs.teams.a.length <= customs.teams.b.length ? 'a' : 'b';
+}
 
-    console.log(`🔄 Updating timers for ${activeSessions.size} active sessions...`);
-    let updatedCount = 0;
+function getUndraftedPlayers(session) {
+    const { teams } = session.customs;
+    return session.confirmedPlayers.filter(id => !teams.a.includes(id) && !teams.b.includes(id));
+}
 
-    for (const [sessionId, session] of activeSessions) {
-        try {
-            if (session.status === 'waiting' && session.channelId && session.messageId) {
-                const timeInfo = getDetailedExpiryTime(session.createdAt);
+function formatCustomsTeam(session, guild, team) {
+    const { customs } = session;
+    const players = customs.teams[team].map(playerId => {
+        const playerName = guild?.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`;
+        const icon = customs.captains?.includes(playerId) ? '👑' : '⚔️';
+        return `${icon} **${playerName}**${customs.ratings ? ` (${customs.ratings[playerId]})` : ''}`;
+    });
 
-                // Update the session embed with new timing
-                await updateSessionEmbed(sessionId, session, timeInfo);
-                updatedCount++;
+    if (customs.ratings) {
+        const total = customs.teams[team].reduce((sum, playerId) => sum + customs.ratings[playerId], 0);
+        players.push(`⚖️ Total: **${total}**`);
+    }
+    return players.join('\n') || '*Nobody yet*';
+}
 
-                console.log(`✅ Updated timer for session #${sessionId.slice(-6)}: ${timeInfo.text}`);
-            }
-        } catch (error) {
-            console.error(`❌ Failed to update timer for session #${sessionId.slice(-6)}:`, error.message);
+function createCustomsDraft(session, guild) {
+    const picker = getCustomsPicker(session.customs);
+    const captainId = session.customs.captains[picker === 'a' ? 0 : 1];
+    const undrafted = getUndraftedPlayers(session);
 
-            // If it's a message-related error, clean up the session
-            if (error.code === 10008 || error.message.includes('Unknown Message')) {
-                console.warn(`🧹 Session #${sessionId.slice(-6)} has invalid message, cleaning up...`);
-                await cleanupInvalidSession(sessionId, 'timer_update_failed');
-            }
-        }
-    }
+    const embed = new EmbedBuilder()
+        .setColor(0xe67e22)
+        .setTitle(`👑 ${session.game} • Captain's Draft`)
+        .setDescription(undrafted.length > 0
+            ? `<@${captainId}> is picking for **Team ${picker.toUpperCase()}**.\n\nCaptains take turns - only the captain on the clock can pick.`
+            : '✅ **Draft complete!** Setting up team voice channels...')
+        .addFields(
+            { name: '🔵 Team A', value: formatCustomsTeam(session, guild, 'a'), inline: true },
+            { name: '🔴 Team B', value: formatCustomsTeam(session, guild, 'b'), inline: true }
+        )
+        .setFooter({ text: `Session #${session.id.slice(-6)}` })
+        .setTimestamp();
 
-    if (updatedCount > 0) {
-        console.log(`🏆 Timer update cycle completed - ${updatedCount} sessions updated`);
+    const rows = [];
+    for (let i = 0; i < undrafted.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(undrafted.slice(i, i + 5).map(playerId => 
+            new ButtonBuilder()
+                .setCustomId(`customs_pick_${session.id}_${playerId}`)
+                .setLabel((guild?.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`).substring(0, 80))
+                .setStyle(picker === 'a' ? ButtonStyle.Primary : ButtonStyle.Danger)
+        )));
     }
+
+    return { embeds: [embed], components: rows };
 }
 
-// Clean up invalid sessions (deleted messages, missing channels, etc)
-async function cleanupInvalidSession(sessionId, reason) {
-    try {
-        console.log(`🧹 Cleaning up invalid session #${sessionId.slice(-6)} (reason: ${reason})`);
+async function handleCustomsPick(interaction) {
+    const [sessionId, pickedId] = interaction.customId.replace('customs_pick_', '').split('_');
+    const session = activeSessions.get(sessionId);
 
-        const session = activeSessions.get(sessionId);
-        if (session) {
-            // Clear any timeouts
-            if (session.timeoutId) {
-                clearTimeout(session.timeoutId);
-                session.timeoutId = null;
-            }
+    if (!session?.customs?.captains || session.customs.teamChannels.length > 0) {
+        return interaction.reply({ content: '❌ This draft is already over.', flags: 64 });
+    }
 
-            // Remove from memory
-            activeSessions.delete(sessionId);
+    const { customs } = session;
+    const picker = getCustomsPicker(customs);
+    const captainId = customs.captains[picker === 'a' ? 0 : 1];
+    if (interaction.user.id !== captainId) {
+        return interaction.reply({ content: `❌ It's <@${captainId}>'s turn to pick.`, flags: 64 });
+    }
 
-            // Clean up ALL user session references for this session
-            for (const [userId, userSessionId] of userCreatedSessions.entries()) {
-                if (userSessionId === sessionId) {
-                    userCreatedSessions.delete(userId);
-                }
-            }
+    if (!getUndraftedPlayers(session).includes(pickedId)) {
+        return interaction.reply({ content: '❌ That player has already been picked.', flags: 64 });
+    }
 
-            // Remove user session mappings from database
-            for (const playerId of session.currentPlayers) {
-                try {
-                    await storage.deleteUserSession(playerId);
-                } catch (dbError) {
-                    console.warn(`⚠️ Could not clean up user session for ${playerId}:`, dbError.message);
-                }
-            }
+    customs.teams[picker].push(pickedId);
 
-            // Clean up voice channel if it exists
-            try {
-                const guild = client.guilds.cache.get(session.guildId);
-                if (guild && session.voiceChannel) {
-                    const voiceChannel = guild.channels.cache.get(session.voiceChannel);
-                    if (voiceChannel) {
-                        await safeDeleteVoiceChannel(voiceChannel, reason);
-                    }
-                }
-            } catch (voiceError) {
-                console.warn(`⚠️ Could not clean up voice channel:`, voiceError.message);
-            }
+    // Nobody has a choice about the last player
+    const undrafted = getUndraftedPlayers(session);
+    if (undrafted.length === 1) {
+        customs.teams[getCustomsPicker(customs)].push(undrafted[0]);
+    }
 
-            // Mark as inactive in database
-            await storage.deleteSession(sessionId);
-        }
+    const draftComplete = getUndraftedPlayers(session).length === 0;
+    await interaction.update(createCustomsDraft(session, interaction.guild));
 
-        console.log(`✅ Successfully cleaned up invalid session #${sessionId.slice(-6)}`);
-    } catch (error) {
-        console.error(`❌ Error cleaning up invalid session #${sessionId.slice(-6)}:`, error);
+    if (draftComplete) {
+        console.log(`👑 Draft finished for custom match #${sessionId.slice(-6)}`);
+        await startCustomsMatch(session);
+    } else {
+        await saveCustoms(session);
     }
 }
 
-// Optimized cache cleanup function for memory management
-async function cleanupCaches() {
+// Create a voice channel per team and move everyone waiting in the lobby into theirs
+async function startCustomsMatch(session) {
+    const { customs } = session;
+    const guild = client.guilds.cache.get(session.guildId);
+    if (!guild) return;
+
+    const lobby = guild.channels.cache.get(session.voiceChannel);
+    const gameData = findCatalogGame(guild.id, customs.gameKey) || { name: session.game };
+    let moved = 0;
+
     try {
-        let itemsCleared = 0;
-        const now = Date.now();
-        const maxAge = 300000; // 5 minutes
-        
-        // Clean expired member name cache
-        for (const [key, cached] of memberNameCache.entries()) {
-            if (now - cached.timestamp > maxAge) {
-                memberNameCache.delete(key);
-                itemsCleared++;
-            }
-        }
-        
-        // Clean expired interaction timeouts
-        for (const [key, timeout] of interactionTimeouts.entries()) {
-            if (timeout && typeof timeout === 'object') {
-                clearTimeout(timeout);
-                interactionTimeouts.delete(key);
-                itemsCleared++;
-            }
-        }
-        
-        // Clean stale voice channel operations (already running in setInterval, but double-check)
-        for (const [channelId, timestamp] of voiceChannelOperations.entries()) {
-            if (now - timestamp > 30000) { // 30 seconds timeout
-                voiceChannelOperations.delete(channelId);
-                itemsCleared++;
-            }
-        }
-        
-        // Clean guild settings cache older than 30 minutes
-        const oldGuildSettingsAge = 30 * 60 * 1000; // 30 minutes
-        for (const [guildId, timestamp] of guildSettingsLoadTime.entries()) {
-            if (now - timestamp > oldGuildSettingsAge) {
-                guildSettingsCache.delete(guildId);
-                guildSettingsLoadTime.delete(guildId);
-                itemsCleared++;
+        const category = lobby?.parent || await getOrCreateGameCategory(guild, customs.gameKey, session.game);
+
+        for (const team of ['a', 'b']) {
+            const teamPlayers = customs.teams[team];
+            if (teamPlayers.length === 0) continue;
+
+            const firstMember = await guild.members.fetch(teamPlayers[0]);
+            const teamChannel = await createLfgVoiceChannel(guild, firstMember, gameData, category, `Team ${team.toUpperCase()} - ${session.game}`);
+            customs.teamChannels.push(teamChannel.id);
+
+            for (const playerId of teamPlayers) {
+                if (playerId !== teamPlayers[0]) {
+                    await manageVoiceChannelAccess(teamChannel, playerId, 'grant', `Team ${team.toUpperCase()} in custom match #${session.id.slice(-6)}`);
+                }
+
+                const member = await guild.members.fetch(playerId).catch(() => null);
+                if (lobby && member?.voice.channel?.id === lobby.id) {
+                    try {
+                        await member.voice.setChannel(teamChannel, 'Custom match started');
+                        moved++;
+                    } catch (error) {
+                        console.warn(`⚠️ Could not move ${member.displayName} to Team ${team.toUpperCase()}: ${error.message}`);
+                    }
+                }
             }
         }
-        
-        return itemsCleared;
     } catch (error) {
-        console.error('❌ Error during cache cleanup:', error);
-        return 0;
+        console.error(`❌ Error setting up team channels for custom match ${session.id}:`, error);
+    }
+
+    await saveCustoms(session);
+
+    const embed = new EmbedBuilder()
+        .setColor(0xe67e22)
+        .setTitle(`⚔️ ${session.game} • Teams Are Set!`)
+        .setDescription(`**${CUSTOMS_SPLIT_MODES[customs.split]}** • ${session.gamemode}\n\n${moved > 0 ? `🔀 Moved ${moved} ${moved === 1 ? 'player' : 'players'} from the lobby. ` : ''}Everyone else can jump into their team channel below.`)
+        .addFields(
+            { name: '🔵 Team A', value: `${formatCustomsTeam(session, guild, 'a')}${customs.teamChannels[0] ? `\n🔊 <#${customs.teamChannels[0]}>` : ''}`, inline: true },
+            { name: '🔴 Team B', value: `${formatCustomsTeam(session, guild, 'b')}${customs.teamChannels[1] ? `\n🔊 <#${customs.teamChannels[1]}>` : ''}`, inline: true }
+        )
+        .setFooter({ text: `Session #${session.id.slice(-6)} • GL HF!` })
+        .setTimestamp();
+
+    try {
+        const channel = guild.channels.cache.get(session.channelId);
+        await channel?.send({ 
+            content: session.confirmedPlayers.map(id => `<@${id}>`).join(' '),
+            embeds: [embed],
+            allowedMentions: { users: session.confirmedPlayers }
+        });
+    } catch (error) {
+        console.error(`Error posting teams for custom match ${session.id}:`, error);
     }
+
+    console.log(`⚔️ Custom match #${session.id.slice(-6)} started: ${customs.teams.a.length}v${customs.teams.b.length}`);
 }
 
-// Enhanced session embed updater with time synchronization
-async function updateSessionEmbed(sessionId, session, timeInfo) {
+async function saveCustoms(session) {
     try {
-        const guild = client.guilds.cache.get(session.guildId);
-        if (!guild) return;
+        await storage.updateSession(session.id, { customs: session.customs });
+    } catch (error) {
+        console.error(`Failed to save teams for custom match ${session.id}:`, error);
+    }
+}
 
-        const channel = guild.channels.cache.get(session.channelId);
-        if (!channel) return;
+// Team channels are removed together with the lobby when the session ends
+async function deleteCustomsTeamChannels(session, guild) {
+    for (const channelId of session.customs?.teamChannels || []) {
+        const teamChannel = guild?.channels.cache.get(channelId);
+        if (teamChannel) {
+            await safeDeleteVoiceChannel(teamChannel, 'custom match ended');
+        }
+    }
+}
 
-        // Enhanced message fetching with proper error handling and recovery
-        let message;
-        try {
-            if (!session.messageId) {
-                console.warn(`⚠️ No message ID stored for session #${sessionId.slice(-6)}, skipping update`);
-                return;
-            }
+// 🏅 RANK REQUIREMENTS - checked against the roles mapped to each game's ladder
 
-            message = await channel.messages.fetch(session.messageId);
-        } catch (fetchError) {
-            if (fetchError.code === 10008) { // Unknown Message - message was deleted
-                console.warn(`⚠️ Message deleted for session #${sessionId.slice(-6)}, attempting recovery...`);
+function formatRankRequirement(session) {
+    if (session.minRank && session.maxRank) {
+        return session.minRank === session.maxRank ? `${session.minRank} only` : `${session.minRank} – ${session.maxRank}`;
+    }
+    if (session.minRank) return `${session.minRank}+`;
+    if (session.maxRank) return `Up to ${session.maxRank}`;
+    return 'All Welcome';
+}
 
-                // Try to find the message by searching recent messages
-                try {
-                    const recentMessages = await channel.messages.fetch({ limit: 50 });
-                    const sessionMessage = recentMessages.find(msg => 
-                        msg.embeds.length > 0 && 
-                        msg.embeds[0].footer?.text?.includes(sessionId.slice(-6))
-                    );
+// Index of the highest rank on the ladder the member holds, or -1 if they have no rank role
+function getMemberRankIndex(member, game) {
+    for (let index = game.ranks.length - 1; index >= 0; index--) {
+        const rank = game.ranks[index];
+        const hasRank = rank.roleId
+            ? member.roles.cache.has(rank.roleId)
+            : member.roles.cache.some(role => role.name.toLowerCase() === `${game.name} ${rank.name}`.toLowerCase());
+        if (hasRank) return index;
+    }
+    return -1;
+}
 
-                    if (sessionMessage) {
-                        session.messageId = sessionMessage.id;
-                        await storage.updateSession(sessionId, { messageId: sessionMessage.id });
-                        console.log(`✅ Recovered message ID for session #${sessionId.slice(-6)}`);
-                        message = sessionMessage;
-                    } else {
-                        console.log(`✅ Recovered and updated LFG message for session #${sessionId.slice(-6)}`);
-                        return;
-                    }
-                } catch (recoveryError) {
-                    console.error('Failed to recover message ID:', recoveryError);
-                    return;
-                }
-            } else {
-                throw fetchError; // Re-throw other errors
-            }
-        }
+// Returns a reason the member can't join, or null when they meet the session's rank range
+function checkRankRequirement(member, session) {
+    if (!session.minRank && !session.maxRank) return null;
 
-        if (!message) return;
+    const game = findCatalogGame(session.guildId, session.game);
+    if (!game || game.ranks.length === 0) {
+        console.warn(`⚠️ Rank ladder for ${session.game} is gone, skipping rank check for session #${session.id.slice(-6)}`);
+        return null;
+    }
 
-        const spotsLeft = session.playersNeeded - session.currentPlayers.length;
-        const isFull = spotsLeft === 0;
-        const gameEmoji = getGameEmoji(session.game);
-        const gameDesc = getGameDescription(session.game);
+    const findRank = (name) => game.ranks.findIndex(rank => rank.name === name);
+    const minIndex = session.minRank ? findRank(session.minRank) : 0;
+    const maxIndex = session.maxRank ? findRank(session.maxRank) : game.ranks.length - 1;
+    if (minIndex === -1 || maxIndex === -1) {
+        console.warn(`⚠️ Ranks for session #${session.id.slice(-6)} are no longer on the ${game.name} ladder, skipping rank check`);
+        return null;
+    }
 
-        // Use the consistent detailed embed format that includes player names
-        const embed = createDetailedLfgEmbed(session, guild, sessionId);
+    const memberIndex = getMemberRankIndex(member, game);
+    if (memberIndex === -1) {
+        return `❌ You don't have a ${game.name} rank role. Ask staff to give you the role for your rank first.`;
+    }
 
-        // Update message with new embed (keep existing components)
-        await message.edit({ embeds: [embed], components: message.components });
+    const memberRank = game.ranks[memberIndex].name;
+    if (memberIndex < minIndex) {
+        return `❌ Your rank is **${memberRank}**, below the minimum of **${game.ranks[minIndex].name}**.`;
+    }
+    if (memberIndex > maxIndex) {
+        return `❌ Your rank is **${memberRank}**, above the maximum of **${game.ranks[maxIndex].name}**.`;
+    }
+    return null;
+}
 
-    } catch (error) {
-        console.error(`❌ Error updating session embed:`, error);
+// 📋 WAITLIST - queue for full sessions, promoted in order when a slot frees up
+
+async function handleJoinWaitlist(interaction, session) {
+    const userId = interaction.user.id;
+    const leaveButton = new ButtonBuilder()
+        .setCustomId(`leave_waitlist_${session.id}`)
+        .setLabel('Leave Waitlist')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('🚪');
+    const leaveRow = new ActionRowBuilder().addComponents(leaveButton);
+
+    if (session.waitlist.includes(userId)) {
+        return interaction.followUp({
+            content: `📋 You're already **#${session.waitlist.indexOf(userId) + 1}** on the waitlist for this ${session.game} session.`,
+            components: [leaveRow],
+            ephemeral: true
+        });
+    }
+
+    if (session.waitlist.length >= MAX_WAITLIST_SIZE) {
+        const fullEmbed = new EmbedBuilder()
+            .setColor(0xff9900)
+            .setTitle('🚫 **Team and Waitlist are Full!**')
+            .setDescription(`**This ${session.game} session is already complete**\n\n👥 **Team:** ${session.currentPlayers.length}/${session.playersNeeded}\n📋 **Waitlist:** ${session.waitlist.length}/${MAX_WAITLIST_SIZE}\n\n🔍 Try creating your own LFG with \`/lfg create\`!`)
+            .setTimestamp();
+
+        return interaction.followUp({ embeds: [fullEmbed], ephemeral: true });
+    }
+
+    session.waitlist.push(userId);
+    try {
+        await storage.updateSession(session.id, { waitlist: session.waitlist });
+    } catch (dbError) {
+        console.error(`Failed to persist waitlist for session ${session.id}:`, dbError);
     }
+    console.log(`📋 ${interaction.user.displayName} joined the waitlist for session #${session.id.slice(-6)} at position ${session.waitlist.length}`);
+
+    // Refresh the embed but keep whatever buttons the phase currently shows
+    await updateSessionPost(interaction, session, { embeds: [createDetailedLfgEmbed(session, client.guilds.cache.get(session.guildId), session.id)] });
+
+    const waitlistEmbed = new EmbedBuilder()
+        .setColor(0xffa500)
+        .setTitle('📋 Added to the Waitlist')
+        .setDescription(`**This ${session.game} session is full right now.**\n\n🔢 **Your position:** #${session.waitlist.length}\n👥 **Team:** ${session.currentPlayers.length}/${session.playersNeeded}\n\n🔔 If a spot opens up you'll be added automatically and pinged to confirm.`)
+        .setTimestamp();
+
+    await interaction.followUp({ embeds: [waitlistEmbed], components: [leaveRow], ephemeral: true });
 }
 
-// Backup function to check for expired confirmations (runs every minute)
-async function checkExpiredConfirmations() {
-    const now = Date.now();
-    const twoMinutes = 2 * 60 * 1000; // 2 minutes in milliseconds
+async function handleLeaveWaitlist(interaction) {
+    const sessionId = interaction.customId.replace('leave_waitlist_', '');
+    const session = activeSessions.get(sessionId);
 
-    for (const [sessionId, session] of activeSessions) {
-        if (session.status === 'confirming' && session.confirmationStartTime) {
-            const elapsed = now - session.confirmationStartTime;
+    if (!session || !session.waitlist.includes(interaction.user.id)) {
+        return interaction.reply({ content: '❌ You are not on the waitlist for this session.', flags: 64 });
+    }
 
-            if (elapsed >= twoMinutes) {
-                console.log(`⏰ Found expired confirmation for session #${sessionId.slice(-6)}, processing timeout`);
-                await handleConfirmationTimeout(sessionId);
-            }
-        }
+    session.waitlist = session.waitlist.filter(id => id !== interaction.user.id);
+    try {
+        await storage.updateSession(sessionId, { waitlist: session.waitlist });
+    } catch (dbError) {
+        console.error(`Failed to persist waitlist for session ${sessionId}:`, dbError);
+    }
+
+    await interaction.reply({ content: '✅ You left the waitlist.', flags: 64 });
+
+    // Keep the public embed's queue accurate
+    const guild = client.guilds.cache.get(session.guildId);
+    if (guild) {
+        await editSessionMessage(session, guild, { embeds: [createDetailedLfgEmbed(session, guild, sessionId)] });
     }
 }
 
-async function checkExpiredLfgSessions() {
-    const now = Date.now();
-    const twentyMinutes = 20 * 60 * 1000; // 20 minutes in milliseconds
+// Move waitlisted players into free slots, then restart the ready check or reopen the post
+async function fillFromWaitlist(session) {
+    const guild = client.guilds.cache.get(session.guildId);
+    const promoted = [];
 
-    for (const [sessionId, session] of activeSessions) {
-        // Only check sessions that are in 'waiting' status with only the creator (no one joined)
-        if (session.status === 'waiting' && session.currentPlayers.length === 1) {
-            const elapsed = now - session.createdAt;
+    // Locked sessions keep their waitlist but don't promote anyone until unlocked
+    while (guild && !session.locked && session.waitlist?.length > 0 && session.currentPlayers.length < session.playersNeeded) {
+        const playerId = session.waitlist.shift();
 
-            if (elapsed >= twentyMinutes) {
-                console.log(`⏰ Found expired LFG session #${sessionId.slice(-6)} with no joiners, processing timeout`);
-                await handleLfgTimeout(sessionId);
+        // Skip anyone who has since joined this or another live session
+        const busy = session.currentPlayers.includes(playerId) || Array.from(activeSessions.values()).some(s =>
+            s.id !== session.id && s.status !== 'scheduled' && s.currentPlayers.includes(playerId)
+        );
+        if (busy) continue;
+
+        // Rank roles can change while waiting, so check the range again before promoting
+        const member = guild.members.cache.get(playerId) || await guild.members.fetch(playerId).catch(() => null);
+        if (!member || checkRankRequirement(member, session)) {
+            console.log(`📋 Skipped waitlisted ${playerId} for session #${session.id.slice(-6)} - no longer meets the rank range`);
+            continue;
+        }
+
+        session.currentPlayers.push(playerId);
+        promoted.push(playerId);
+        await addToSessionThread(session, playerId);
+
+        // A match that already started takes the player straight in - there's no new ready check
+        if (session.status === 'active') {
+            session.confirmedPlayers.push(playerId);
+        }
+        await stopSpectatingOnJoin(guild, playerId, session.id);
+
+        if (session.status !== 'scheduled') {
+            await removeFromQueue([playerId]);
+
+            try {
+                await storage.createUserSession({ userId: playerId, sessionId: session.id });
+            } catch (dbError) {
+                console.error(`Failed to create user session for promoted player ${playerId}:`, dbError);
+            }
+
+            const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+            if (voiceChannel) {
+                await manageVoiceChannelAccess(voiceChannel, playerId, 'grant', `Promoted from waitlist for LFG session #${session.id.slice(-6)}`);
             }
         }
     }
-}
 
-async function handleLfgTimeout(sessionId) {
-    // Use the new unified expiration function
-    await expireSession(sessionId, 'timeout_no_joiners');
+    if (promoted.length === 0) {
+        await reopenLfg(session);
+        return;
+    }
+
+    console.log(`📋 Promoted ${promoted.length} player(s) from the waitlist of session #${session.id.slice(-6)}`);
+    try {
+        await storage.updateSession(session.id, {
+            currentPlayers: session.currentPlayers,
+            confirmedPlayers: session.confirmedPlayers,
+            waitlist: session.waitlist
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist waitlist promotion for session ${session.id}:`, dbError);
+    }
+
+    // A full live session goes straight back to the ready check, which pings everyone
+    if (session.status !== 'scheduled' && session.status !== 'active' && session.currentPlayers.length >= session.playersNeeded) {
+        await startConfirmationPhase(session, guild);
+        return;
+    }
+
+    await reopenLfg(session);
+
+    const channel = guild.channels.cache.get(session.channelId);
+    if (channel) {
+        try {
+            await channel.send({
+                content: `${promoted.map(id => `<@${id}>`).join(' ')} **A spot opened up - you've been moved off the waitlist into the ${session.game} session!**${session.voiceChannel ? `\n🔊 Voice channel: <#${session.voiceChannel}>` : ''}`,
+                allowedMentions: { users: promoted }
+            });
+        } catch (error) {
+            console.error(`Error pinging promoted players for session #${session.id.slice(-6)}:`, error);
+        }
+    }
 }
 
 async function reopenLfg(session) {
@@ -2457,12 +8860,34 @@ async function reopenLfg(session) {
         } catch (error) {
             console.error('Error deleting voice channel:', error);
         }
+        await closeSessionEvent(session);
+        await archiveSessionThread(session);
+        await recordSessionHistory(session, 'ended');
         activeSessions.delete(session.id);
         userCreatedSessions.delete(session.creator); // Clean up creator tracking
         return;
     }
 
-    session.status = 'waiting';
+    // Scheduled sessions keep taking RSVPs until their start time, and started matches stay active
+    if (session.status !== 'scheduled' && session.status !== 'active') {
+        session.status = 'waiting';
+    }
+
+    try {
+        await storage.updateSession(session.id, {
+            status: session.status,
+            currentPlayers: session.currentPlayers,
+            confirmedPlayers: session.confirmedPlayers
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist reopened session ${session.id}:`, dbError);
+    }
+
+    // A running match keeps its "game on" post instead of going back to recruiting
+    if (session.status === 'active') {
+        console.log(`Kept session ${session.id} active with ${session.currentPlayers.length} players`);
+        return;
+    }
 
     // Get guild reliably using stored guild ID
     const guild = client.guilds.cache.get(session.guildId);
@@ -2473,13 +8898,15 @@ async function reopenLfg(session) {
 
     const embed = createDetailedLfgEmbed(session, guild, session.id);
 
-    const joinButton = new ButtonBuilder()
-        .setCustomId(`join_lfg_${session.id}`)
-        .setLabel('Join LFG')
-        .setStyle(ButtonStyle.Primary)
-        .setEmoji('✅');
+    const joinButton = session.status === 'scheduled'
+        ? createRsvpButton(session)
+        : new ButtonBuilder()
+            .setCustomId(`join_lfg_${session.id}`)
+            .setLabel('Join LFG')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('✅');
 
-    const row = new ActionRowBuilder().addComponents(joinButton);
+    const row = createSessionRow(session, joinButton);
 
     // Use the stored channel where the original LFG was posted
     const channel = guild.channels.cache.get(session.channelId);
@@ -2564,19 +8991,24 @@ async function reopenLfg(session) {
     }
 }
 
-async function finalizeSession(session, interaction) {
+// Show the final squad on the session post; interaction is null when the deadline started the match
+async function finalizeSession(session, interaction = null) {
     session.status = 'active';
-    const gameEmoji = getGameEmoji(session.game);
+    session.startedAt = Date.now();
+    // The lobby may have sat empty during the ready check - that doesn't count towards the match ending
+    emptyChannelTimestamps.delete(session.voiceChannel);
+    const guild = client.guilds.cache.get(session.guildId);
+    const gameEmoji = getGameEmoji(session.game, session.guildId);
 
     // Create spectacular final embed
     const embed = new EmbedBuilder()
         .setColor(0x00ff00)
         .setTitle(`${gameEmoji} **GAME ON!** ${gameEmoji}`)
-        .setDescription(`**🎆 ${session.game} match confirmed! 🎆**\n\n✨ All players are ready - time to dominate!`)
+        .setDescription(`**🎆 ${session.game} match confirmed! 🎆**\n\n✨ ${session.confirmedPlayers.length < session.playersNeeded ? `${session.confirmedPlayers.length} players are ready` : 'All players are ready'} - time to dominate!`)
         .addFields(
             { 
                 name: '🎮 Game Session Details', 
-                value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Players:** ${session.confirmedPlayers.length}\n**Status:** 🟢 Active`, 
+                value: `**Game:** ${session.game}\n**Mode:** ${session.gamemode}\n**Players:** ${session.confirmedPlayers.length}\n**Region:** ${formatRegion(session.region)}\n**Platform:** ${formatPlatform(session.platform)}\n**Status:** 🟢 Active`, 
                 inline: true 
             },
             { 
@@ -2587,27 +9019,143 @@ async function finalizeSession(session, interaction) {
             { 
                 name: '🏆 Your Team', 
                 value: session.confirmedPlayers.map((id, index) => {
-                    const user = interaction.guild.members.cache.get(id);
+                    const user = guild?.members.cache.get(id);
                     const userName = user ? user.displayName : 'Unknown';
                     const role = index === 0 ? '👑 Leader' : '⚔️ Member';
-                    return `${role} **${userName}**`;
+                    return `${role} **${userName}**${formatProfileTag(session.guildId, id, session.game)}`;
                 }).join('\n'), 
                 inline: false 
             }
         )
         .setFooter({ 
             text: `Session #${session.id.slice(-6)} • Have an amazing game!`,
-            iconURL: interaction.guild.members.cache.get(session.creator)?.displayAvatarURL() || null
+            iconURL: guild?.members.cache.get(session.creator)?.displayAvatarURL() || null
         })
         .setTimestamp();
 
+    const copyIgnsButton = new ButtonBuilder()
+        .setCustomId(`copy_igns_${session.id}`)
+        .setLabel('Copy IGNs')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('📋');
+    const components = [new ActionRowBuilder().addComponents(copyIgnsButton)];
+
     try {
         // Update the original message with finalized status
-        await interaction.message.edit({ embeds: [embed], components: [] });
+        if (interaction?.message && interaction.message.id === session.messageId) {
+            await interaction.message.edit({ embeds: [embed], components });
+        } else {
+            await editSessionMessage(session, guild, { embeds: [embed], components });
+        }
         console.log(`🎆 LFG Session ${session.id} finalized successfully - ${session.game} match ready!`);
     } catch (error) {
         console.error('Error updating finalized session message:', error);
     }
+
+    try {
+        await storage.updateSession(session.id, {
+            status: 'active',
+            confirmedPlayers: session.confirmedPlayers,
+            startedAt: new Date(session.startedAt)
+        });
+    } catch (dbError) {
+        console.error(`Failed to persist start of session ${session.id}:`, dbError);
+    }
+
+    // Record the roster now, so players who leave afterwards still show up in /history
+    await recordSessionHistory(session, 'finalized', { inProgress: true });
+
+    if (session.customs) {
+        await startCustomsSplit(session);
+    }
+}
+
+// Close out a match once its voice channels have emptied: summary post, history and cleanup.
+// A match nobody ever joined voice for is recorded as abandoned.
+async function endFinishedSession(session, guild) {
+    if (!activeSessions.has(session.id)) return;
+    activeSessions.delete(session.id);
+    session.status = 'ended';
+    console.log(`🏁 Voice emptied for session #${session.id.slice(-6)} - ending the match`);
+
+    if (session.timeoutId) {
+        clearTimeout(session.timeoutId);
+        session.timeoutId = null;
+    }
+
+    // Play time runs to the last player leaving voice, not to the cleanup pass that noticed
+    const lastLeftAt = Math.max(0, ...Object.values(session.voicePresence).map(presence => presence.leftAt || 0));
+    const endedAt = lastLeftAt > session.startedAt ? lastLeftAt : Date.now();
+    const roster = session.confirmedPlayers.length > 0 ? session.confirmedPlayers : session.currentPlayers;
+    const attended = roster.filter(playerId => session.voicePresence[playerId]?.firstJoinedAt);
+    const missed = roster.filter(playerId => !attended.includes(playerId));
+    const abandoned = attended.length === 0;
+    const gameEmoji = getGameEmoji(session.game, session.guildId);
+
+    const summaryEmbed = new EmbedBuilder()
+        .setColor(abandoned ? 0x95a5a6 : 0x2ecc71)
+        .setTitle(`${abandoned ? '👻 **Match Abandoned**' : '🏁 **Match Over**'} • ${session.game}`)
+        .setDescription(`${gameEmoji} **${session.gamemode}** ${abandoned ? 'was abandoned - nobody joined the voice channel' : `wrapped up after **${formatDuration(endedAt - session.startedAt)}** of play`}.${formatThreadLink(session)}\n\n🔄 Up for another? Create a new session with \`/lfg create\``)
+        .addFields(
+            {
+                name: `🎤 Played (${attended.length})`,
+                value: attended.length > 0
+                    ? attended.map(playerId => `✅ **${guild.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`}**${formatProfileTag(session.guildId, playerId, session.game)}`).join('\n')
+                    : 'Nobody joined voice',
+                inline: true
+            },
+            {
+                name: '⏱️ Timeline',
+                value: `**Started:** <t:${Math.floor(session.startedAt / 1000)}:t>\n**Ended:** <t:${Math.floor(endedAt / 1000)}:t>\n**Duration:** ${formatDuration(endedAt - session.startedAt)}`,
+                inline: true
+            }
+        )
+        .setFooter({ text: `Session #${session.id.slice(-6)} • Ended when the voice channel emptied` })
+        .setTimestamp(endedAt);
+
+    if (missed.length > 0) {
+        summaryEmbed.addFields({
+            name: `🚫 Didn't join voice (${missed.length})`,
+            value: missed.map(playerId => `• ${guild.members.cache.get(playerId)?.displayName || `Player-${playerId.slice(-4)}`}`).join('\n'),
+            inline: false
+        });
+    }
+
+    await editSessionMessage(session, guild, { embeds: [summaryEmbed], components: [], attachments: [] });
+
+    await closeSessionEvent(session);
+
+    await archiveSessionThread(session);
+    await recordSessionHistory(session, abandoned ? 'abandoned' : 'finalized');
+    if (!abandoned) {
+        await sendPostGamePrompts(session);
+    }
+
+    await deleteCustomsTeamChannels(session, guild);
+    const voiceChannel = guild.channels.cache.get(session.voiceChannel);
+    if (voiceChannel) {
+        await safeDeleteVoiceChannel(voiceChannel, 'match over');
+    }
+
+    if (userCreatedSessions.get(session.creator) === session.id) {
+        userCreatedSessions.delete(session.creator);
+    }
+
+    // Players who already moved on to another live session keep that tracking row
+    for (const playerId of new Set([...session.currentPlayers, ...session.confirmedPlayers])) {
+        const inOtherSession = Array.from(activeSessions.values()).some(s => s.status !== 'scheduled' && s.currentPlayers.includes(playerId));
+        if (!inOtherSession) {
+            await storage.deleteUserSession(playerId);
+        }
+    }
+
+    try {
+        await storage.updateSession(session.id, { status: 'ended' });
+        await storage.deleteSession(session.id);
+        console.log(`💾 Session #${session.id.slice(-6)} marked ended in database`);
+    } catch (dbError) {
+        console.error(`❌ Failed to mark session ${session.id} ended in database:`, dbError);
+    }
 }
 
 function parseDuration(durationStr) {
@@ -2626,6 +9174,64 @@ function parseDuration(durationStr) {
     }
 }
 
+// Parse a session start time: Discord timestamps, "in 2h", "tonight 21:00", "tomorrow 6:30pm" or "2025-06-01 20:00".
+// Clock times are interpreted in the bot's local timezone.
+function parseStartTime(input) {
+    const value = input.trim().toLowerCase();
+
+    // Discord timestamp (<t:1712345678:F>) or raw unix seconds
+    const unixMatch = value.match(/^<t:(\d+)(?::[a-z])?>$/i) || value.match(/^(\d{10})$/);
+    if (unixMatch) {
+        return new Date(parseInt(unixMatch[1]) * 1000);
+    }
+
+    // Relative: "in 2h", "in 1h30m", "in 45m"
+    const relativeMatch = value.match(/^in\s+((?:\d+\s*[dhm]\s*)+)$/);
+    if (relativeMatch) {
+        let offset = 0;
+        for (const [, amount, unit] of relativeMatch[1].matchAll(/(\d+)\s*([dhm])/g)) {
+            offset += parseDuration(`${amount}${unit}`);
+        }
+        return new Date(Date.now() + offset);
+    }
+
+    // Absolute date: "2025-06-01 20:00"
+    const dateMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})[ t](\d{1,2}):(\d{2})$/);
+    if (dateMatch) {
+        const [, year, month, day, hours, minutes] = dateMatch.map(Number);
+        const date = new Date(year, month - 1, day, hours, minutes);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Clock time with an optional day: "21:00", "tonight 9pm", "tomorrow 18:30"
+    const clockMatch = value.match(/^(?:(today|tonight|tomorrow)\s+)?(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (clockMatch) {
+        const [, day, rawHours, rawMinutes, meridiem] = clockMatch;
+        let hours = parseInt(rawHours);
+        const minutes = rawMinutes ? parseInt(rawMinutes) : 0;
+
+        // A bare number needs am/pm or a day word to count as a time
+        if (!rawMinutes && !meridiem && !day) return null;
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) return null;
+
+        const date = new Date();
+        date.setHours(hours, minutes, 0, 0);
+        if (day === 'tomorrow') {
+            date.setDate(date.getDate() + 1);
+        } else if (!day && date.getTime() <= Date.now()) {
+            // "21:00" after 21:00 means tomorrow
+            date.setDate(date.getDate() + 1);
+        }
+        return date;
+    }
+
+    return null;
+}
+
 async function handleHelpCommand(interaction) {
     const embed = new EmbedBuilder()
         .setColor(0x00d4ff)
@@ -2634,27 +9240,37 @@ async function handleHelpCommand(interaction) {
         .addFields(
             {
                 name: '⚡ **Premium LFG Commands**',
-                value: '`/lfg <game> <gamemode> <players> [info]`\n🎆 **Elite Squad Formation** - Create premium gaming sessions\n🔒 **Auto Private Channels** - Secure voice communication\n⚡ **Instant Matching** - Advanced confirmation system\n🏆 **Professional Interface** - Premium gaming experience',
+                value: '`/lfg create <game> <gamemode> <players> [info] [start]`\n🎆 **Elite Squad Formation** - Create premium gaming sessions\n📅 **Scheduled Sessions** - Add `start` (e.g. `tonight 21:00`) to collect RSVPs, with a server event and calendar invite\n🏅 **Rank Requirements** - Add `min_rank`/`max_rank` to keep the lobby at your level\n🌍 **Region & Platform** - Tag sessions and save your defaults with `/preferences`\n🔒 **Auto Private Channels** - Secure voice plus a private party chat thread\n⚡ **Instant Matching** - Advanced confirmation system\n🏆 **Professional Interface** - Premium gaming experience',
+                inline: false
+            },
+            {
+                name: '🧭 **Finding & Running Sessions**',
+                value: '🎲 **Solo Queue** - `/queue join` and the bot builds the party for you\n👑 **Leader Controls** - Kick, hand over leadership or lock with `/lfg manage` or the Manage button; rename, resize or lock voice with 🎚️ Voice\n👀 **Spectators** - Add `spectators` to open listen-only voice slots; viewers press **Spectate** and can hear but not talk\n👥 **Premade Party** - Add friends with `with`…`with4` so they hold their spots\n🔐 **Invite Only** - Set `visibility`, then `/lfg invite` friends or share the code for `/lfg join`\n🔎 **Browse** - `/lfgs` lists open sessions before you create a duplicate\n⚔️ **Custom Matches** - `/customs create` splits 2×N players into two teams (random, draft or by `/customs rating`)\n📜 **History** - `/history [user] [game]` shows who played, when and how each session ended\n🏅 **Commendations** - After a match, commend teammates or flag problems for staff\n🪪 **Profiles** - `/profile set` your IGN, rank and mains so leaders see them in the squad list',
+                inline: false
+            },
+            {
+                name: '🔔 **Notifications**',
+                value: '`/notify add <game> [mode] [via]` - Get a DM or a game role ping when a matching session is posted\n`/notify remove|list` - Manage your subscriptions\n`/notify settings` - Quiet hours and a cap on DMs per hour',
                 inline: false
             },
             {
                 name: '🛠️ **Administrative Commands** (Staff Only)',
-                value: '`/setchannel <channel>` - Configure LFG-exclusive zones\n`/embed <title> <description> [color]` - Professional announcements\n`/mod <action> <user> [reason] [duration]` - Advanced moderation\n`/endlfg` - Terminate active LFG sessions',
+                value: '`/setchannel <channel>` - Configure LFG-exclusive zones\n`/embed <title> <description> [color]` - Professional announcements\n`/mod <action> <user> [reason] [duration]` - Advanced moderation\n`/endlfg` - Terminate active LFG sessions\n`/settings view|lifetime|confirmation|reliability|reviews|threads` - Session timing, no-show rules, the report channel and party threads\n`/recurring create|list|pause|delete` - Post sessions on a schedule, e.g. `0 21 * * FRI` for weekly league nights\n`/mod resetreliability <user>` - Clear a player\'s reliability record',
                 inline: false
             },
             {
                 name: '🎮 **Elite Game Library**',
-                value: '🔫 **Valorant** • 🏰 **Fortnite** • ⚔️ **Brawlhalla** • 🏆 **The Finals**\n📺 **Roblox** • 🧡 **Minecraft** • ⚡ **Marvel Rivals** • ⚽ **Rocket League**\n🎆 **Apex Legends** • 🚁 **Call of Duty** • 🤖 **Overwatch** • 🕶️ **Among Us**',
+                value: 'Every server has its own catalog - start typing in the `game` option to search it.\n`/game list` shows all games and modes\n`/game add|remove|addmode|removemode` - Manage the catalog (Staff only)\n`/game ranks|rankrole` - Set rank ladders and link them to roles (Staff only)',
                 inline: false
             },
             {
                 name: '🌟 **Premium Features**',
-                value: '💸 **Private Voice Channels** - Crystal clear team communication\n💸 **Auto-Cleanup System** - Smart channel management\n💸 **Elite Confirmation** - 2-minute availability system\n💸 **Secure Access Control** - Role-based permissions\n💸 **Game Categories** - Organized by franchise\n💸 **Real-time Status** - Live session tracking',
+                value: '💸 **Private Voice Channels** - Crystal clear team communication\n💸 **Auto-Cleanup System** - Smart channel management\n💸 **Elite Confirmation** - Configurable ready check with partial starts; joining voice confirms you\n💸 **Secure Access Control** - Role-based permissions\n💸 **Game Categories** - Organized by franchise\n💸 **Real-time Status** - Live session tracking',
                 inline: false
             },
             {
                 name: '🏆 **Professional Workflow**',
-                value: '1️⃣ **Create** - Launch premium LFG with `/lfg`\n2️⃣ **Recruit** - Elite players join via smart buttons\n3️⃣ **Confirm** - 2-minute availability confirmation\n4️⃣ **Connect** - Auto-access to private voice channel\n5️⃣ **Dominate** - Professional team coordination',
+                value: '1️⃣ **Create** - Launch premium LFG with `/lfg create`\n2️⃣ **Recruit** - Elite players join via smart buttons\n3️⃣ **Confirm** - Ready check before the match starts\n4️⃣ **Connect** - Auto-access to private voice channel\n5️⃣ **Dominate** - Professional team coordination',
                 inline: false
             },
             {
@@ -2694,9 +9310,18 @@ function getTimeAgo(timestamp) {
     return `${hours}h ago`;
 }
 
-function getExpiryTime(createdAt) {
-    const expiry = new Date(createdAt + (20 * 60 * 1000)); // 20 minutes from creation
-    const remainingMs = expiry - Date.now();
+// Compact elapsed time like "45s", "12m" or "1h 5m"
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return `${Math.max(0, Math.floor(ms / 1000))}s`;
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+function getExpiryTime(expiresAt) {
+    const remainingMs = expiresAt - Date.now();
     const remainingMinutes = Math.max(0, Math.ceil(remainingMs / 60000));
 
     if (remainingMinutes === 0) {
@@ -2710,9 +9335,8 @@ function getExpiryTime(createdAt) {
     }
 }
 
-function getDetailedExpiryTime(createdAt) {
-    const expiry = new Date(createdAt + (20 * 60 * 1000));
-    const remainingMs = expiry - Date.now();
+function getDetailedExpiryTime(expiresAt) {
+    const remainingMs = expiresAt - Date.now();
     const remainingMinutes = Math.max(0, Math.ceil(remainingMs / 60000));
 
     if (remainingMinutes === 0) {
@@ -2742,41 +9366,15 @@ function getDetailedExpiryTime(createdAt) {
     }
 }
 
-function getGameEmoji(gameName) {
-    const gameEmojis = {
-        'Valorant': '🔫',
-        'Fortnite': '🏗️',
-        'Apex Legends': '🎆',
-        'Call of Duty': '🚁',
-        'Overwatch': '🤖',
-        'Rocket League': '⚽',
-        'Minecraft': '🧺',
-        'Roblox': '🎮',
-        'Brawlhalla': '⚔️',
-        'The Finals': '🏆',
-        'Marvel Rivals': '⚡',
-        'Among Us': '🕵️'
-    };
-    return gameEmojis[gameName] || '🎮';
+function getGameEmoji(gameName, guildId) {
+    const game = findCatalogGame(guildId, gameName) || Object.values(DEFAULT_GAMES).find(g => g.name === gameName);
+    return game?.emoji || '🎮';
 }
 
 // Enhanced game descriptions for premium experience
-function getGameDescription(gameName) {
-    const descriptions = {
-        'Valorant': 'Tactical FPS • 5v5 Competitive',
-        'Fortnite': 'Battle Royale • Building Mechanics', 
-        'Apex Legends': 'Squad-Based BR • Hero Abilities',
-        'Call of Duty': 'Military FPS • Fast-Paced Action',
-        'Overwatch': 'Team-Based Hero Shooter',
-        'Rocket League': 'Vehicular Soccer • High-Octane',
-        'Minecraft': 'Sandbox • Creative Building',
-        'Roblox': 'Platform • Multiple Game Modes',
-        'Brawlhalla': '2D Fighter • Platform Combat',
-        'The Finals': 'Destructible FPS • Team Strategy',
-        'Marvel Rivals': 'Hero Shooter • Marvel Universe',
-        'Among Us': 'Social Deduction • Teamwork'
-    };
-    return descriptions[gameName] || 'Elite Gaming Experience';
+function getGameDescription(gameName, guildId) {
+    const game = findCatalogGame(guildId, gameName) || Object.values(DEFAULT_GAMES).find(g => g.name === gameName);
+    return game?.description || 'Elite Gaming Experience';
 }
 
 // Enhanced time display function for better UX
@@ -2806,6 +9404,11 @@ async function removeMemberFromAllSessions(memberId) {
     const affectedSessions = [];
 
     for (const [sessionId, session] of activeSessions) {
+        if (session.waitlist?.includes(memberId)) {
+            session.waitlist = session.waitlist.filter(id => id !== memberId);
+            await storage.updateSession(sessionId, { waitlist: session.waitlist });
+        }
+
         if (session.currentPlayers.includes(memberId) || session.confirmedPlayers.includes(memberId)) {
             affectedSessions.push(sessionId);
 
@@ -2843,6 +9446,10 @@ async function removeMemberFromAllSessions(memberId) {
                     console.error('Error deleting voice channel during moderation:', error);
                 }
 
+                await closeSessionEvent(session);
+
+                await archiveSessionThread(session);
+                await recordSessionHistory(session, 'ended');
                 activeSessions.delete(sessionId);
                 userCreatedSessions.delete(memberId);
                 console.log(`Ended session ${sessionId} - creator was moderated`);
@@ -2865,6 +9472,10 @@ async function removeMemberFromAllSessions(memberId) {
                     console.error('Error deleting empty voice channel during moderation:', error);
                 }
 
+                await closeSessionEvent(session);
+
+                await archiveSessionThread(session);
+                await recordSessionHistory(session, 'ended');
                 activeSessions.delete(sessionId);
                 userCreatedSessions.delete(session.creator);
                 console.log(`Cleaned up empty session ${sessionId} after moderation`);
@@ -2899,16 +9510,25 @@ async function handleLeaveLfg(interaction) {
         });
     }
 
+    // The opt-out button for premade parties is pressed from a DM
+    const guild = client.guilds.cache.get(session.guildId);
+
     try {
         // First reply to the interaction immediately to prevent timeout
         await interaction.reply({ content: '✅ You left the LFG session.', flags: 64 });
 
+        // Backing out once the party is full or playing counts against reliability
+        if (session.status === 'confirming' || session.status === 'active') {
+            await recordReliability(session.guildId, interaction.user.id, 'earlyLeaves');
+        }
+
         // Remove user from session
         session.currentPlayers = session.currentPlayers.filter(id => id !== interaction.user.id);
         session.confirmedPlayers = session.confirmedPlayers.filter(id => id !== interaction.user.id);
+        await removeFromSessionThread(session, interaction.user.id);
 
         // Remove voice channel access
-        const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
+        const voiceChannel = guild.channels.cache.get(session.voiceChannel);
         if (voiceChannel) {
             const accessRevoked = await manageVoiceChannelAccess(
                 voiceChannel, 
@@ -2919,8 +9539,9 @@ async function handleLeaveLfg(interaction) {
 
             // Disconnect if user is in the voice channel
             try {
-                if (interaction.member.voice.channel?.id === session.voiceChannel) {
-                    await interaction.member.voice.disconnect('Left LFG session');
+                const member = interaction.member || await guild.members.fetch(interaction.user.id);
+                if (member.voice.channel?.id === session.voiceChannel) {
+                    await member.voice.disconnect('Left LFG session');
                     console.log(`📋 Disconnected ${interaction.user.displayName} from voice channel`);
                 }
             } catch (disconnectError) {
@@ -2937,7 +9558,7 @@ async function handleLeaveLfg(interaction) {
         // If session becomes empty, clean it up
         if (session.currentPlayers.length === 0) {
             try {
-                const voiceChannel = interaction.guild.channels.cache.get(session.voiceChannel);
+                const voiceChannel = guild.channels.cache.get(session.voiceChannel);
                 if (voiceChannel) {
                     const category = voiceChannel.parent;
                     await voiceChannel.delete();
@@ -2951,6 +9572,9 @@ async function handleLeaveLfg(interaction) {
             } catch (error) {
                 console.error('Error deleting voice channel:', error);
             }
+            await closeSessionEvent(session);
+            await archiveSessionThread(session);
+            await recordSessionHistory(session, 'ended');
             activeSessions.delete(sessionId);
             userCreatedSessions.delete(session.creator); // Clean up creator tracking
 
@@ -2966,8 +9590,8 @@ async function handleLeaveLfg(interaction) {
             return;
         }
 
-        // Update the session embed and reopen for new joiners
-        await reopenLfg(session);
+        // Promote waitlisted players, or update the embed and reopen for new joiners
+        await fillFromWaitlist(session);
 
     } catch (error) {
         console.error('Error in handleLeaveLfg:', error);
@@ -3019,6 +9643,31 @@ async function handleEndLfgCommand(interaction) {
                     voiceChannel: dbUserSession.voiceChannelId,
                     confirmationStartTime: dbUserSession.confirmationStartTime ? new Date(dbUserSession.confirmationStartTime).getTime() : null,
                     createdAt: new Date(dbUserSession.createdAt).getTime(),
+                    expiresAt: new Date(dbUserSession.expiresAt).getTime(),
+                    scheduledStart: dbUserSession.scheduledStart ? new Date(dbUserSession.scheduledStart).getTime() : null,
+                    reminderSent: !!dbUserSession.reminderSent,
+                    waitlist: Array.isArray(dbUserSession.waitlist) ? dbUserSession.waitlist : [],
+                    minRank: dbUserSession.minRank,
+                    maxRank: dbUserSession.maxRank,
+                    region: dbUserSession.region,
+                    platform: dbUserSession.platform,
+                    locked: !!dbUserSession.locked,
+                    kickedPlayers: Array.isArray(dbUserSession.kickedPlayers) ? dbUserSession.kickedPlayers : [],
+                    visibility: dbUserSession.visibility || 'public',
+                    inviteCode: dbUserSession.inviteCode,
+                    invitedPlayers: Array.isArray(dbUserSession.invitedPlayers) ? dbUserSession.invitedPlayers : [],
+                    confirmationWindow: dbUserSession.confirmationWindow || DEFAULT_CONFIRMATION_WINDOW,
+                    minConfirmed: dbUserSession.minConfirmed,
+                    customs: dbUserSession.customs || null,
+                    filledAt: dbUserSession.filledAt ? new Date(dbUserSession.filledAt).getTime() : null,
+                    startedAt: dbUserSession.startedAt ? new Date(dbUserSession.startedAt).getTime() : null,
+                    scheduledEventId: dbUserSession.scheduledEventId,
+                    voiceLockedLimit: dbUserSession.voiceLockedLimit ?? null,
+                    voicePresence: dbUserSession.voicePresence || {},
+                    noShowChecked: !!dbUserSession.noShowChecked,
+                    threadId: dbUserSession.threadId,
+                    spectatorSlots: dbUserSession.spectatorSlots || 0,
+                    spectators: Array.isArray(dbUserSession.spectators) ? dbUserSession.spectators : [],
                     timeoutId: null
                 };
 
@@ -3056,6 +9705,7 @@ async function handleEndLfgCommand(interaction) {
 
         // Delete voice channel
         try {
+            await deleteCustomsTeamChannels(session, guild);
             const voiceChannel = guild?.channels.cache.get(session.voiceChannel);
             if (voiceChannel) {
                 const category = voiceChannel.parent;
@@ -3076,7 +9726,7 @@ async function handleEndLfgCommand(interaction) {
         const endedEmbed = new EmbedBuilder()
             .setColor(0x747f8d) // Professional gray
             .setTitle('🔚 **LFG Session Terminated**')
-            .setDescription(`📼 **Session closed by ${interaction.user.displayName}**\n\n🔄 **Create a new session anytime with \`/lfg\`**\n🏆 **Party Up! - Premium LFG Service**`)
+            .setDescription(`📼 **Session closed by ${interaction.user.displayName}**${formatThreadLink(session)}\n\n🔄 **Create a new session anytime with \`/lfg create\`**\n🏆 **Party Up! - Premium LFG Service**`)
             .addFields(
                 {
                     name: '📊 Session Statistics',
@@ -3103,7 +9753,7 @@ async function handleEndLfgCommand(interaction) {
                 if (session.messageId && session.messageId.length > 0) {
                     try {
                         const originalMessage = await channel.messages.fetch(session.messageId);
-                        await originalMessage.edit({ embeds: [endedEmbed], components: [] });
+                        await originalMessage.edit({ embeds: [endedEmbed], components: [], attachments: [] });
                         console.log(`✅ Successfully updated original LFG message for session #${sessionId.slice(-6)}`);
                         messageUpdated = true;
                     } catch (fetchError) {
@@ -3124,7 +9774,7 @@ async function handleEndLfgCommand(interaction) {
                     );
 
                     if (originalMessage) {
-                        await originalMessage.edit({ embeds: [endedEmbed], components: [] });
+                        await originalMessage.edit({ embeds: [endedEmbed], components: [], attachments: [] });
                         console.log(`✅ Updated LFG message via fallback search for session #${sessionId.slice(-6)}`);
                         messageUpdated = true;
                     }
@@ -3144,7 +9794,7 @@ async function handleEndLfgCommand(interaction) {
                     );
 
                     if (originalMessage) {
-                        await originalMessage.edit({ embeds: [endedEmbed], components: [] });
+                        await originalMessage.edit({ embeds: [endedEmbed], components: [], attachments: [] });
                         console.log(`✅ Recovered and updated LFG message for session #${sessionId.slice(-6)}`);
                         messageUpdated = true;
                     }
@@ -3159,6 +9809,12 @@ async function handleEndLfgCommand(interaction) {
             }
         }
 
+        await closeSessionEvent(session);
+
+        await archiveSessionThread(session);
+        await recordSessionHistory(session, 'creator_cancelled');
+        await sendPostGamePrompts(session);
+
         // Remove session from memory AND database
         activeSessions.delete(sessionId);
         userCreatedSessions.delete(session.creator); // Clean up creator tracking